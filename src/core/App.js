@@ -6,19 +6,43 @@
 import * as THREE from 'three';
 import { SceneManager } from './SceneManager.js';
 import { EventBus } from './EventBus.js';
+import { VoxelGridSystem } from './VoxelGridSystem.js';
+import { CollisionSystem } from './CollisionSystem.js';
 import { CameraManager } from '../vision/CameraManager.js';
 import { HandTracker } from '../vision/HandTracker.js';
+import { HandReplaySource } from '../vision/HandReplaySource.js';
+import { SyntheticHandSource } from '../vision/SyntheticHandSource.js';
+import { LandmarkSmoother } from '../vision/LandmarkSmoother.js';
+import { HandIdentityTracker } from '../vision/HandIdentityTracker.js';
 import { GestureRecognizer } from '../vision/GestureRecognizer.js';
+import { GestureRegistry } from '../gestures/GestureRegistry.js';
+import { GestureStateMachine } from '../gestures/GestureStateMachine.js';
+import { registerDefaultGestures } from '../gestures/DefaultGestures.js';
+import { GestureTrainer } from '../gestures/GestureTrainer.js';
+import { GestureBindings } from '../gestures/GestureBindings.js';
 import { CoordinateMapper } from '../vision/CoordinateMapper.js';
+import { WorkspaceCalibrator } from '../vision/WorkspaceCalibrator.js';
+import { HandDepthEstimator } from '../vision/HandDepthEstimator.js';
 import { VisualFeedback } from '../ui/VisualFeedback.js';
+import { HoverIndicator } from '../ui/HoverIndicator.js';
+import { FingerCursorSystem } from '../ui/FingerCursorSystem.js';
 import { GridBlockSystem } from '../modeling/GridBlockSystem.js';
 import { SelectionSystem } from '../modeling/SelectionSystem.js';
 import { ManipulationSystem } from '../modeling/ManipulationSystem.js';
+import { GrabMoveSystem } from '../modeling/GrabMoveSystem.js';
+import { PointToSelectHelper } from '../modeling/PointToSelectHelper.js';
+import { FaceExtrusionSystem } from '../modeling/FaceExtrusionSystem.js';
 import { ExtrudeSystem } from '../modeling/ExtrudeSystem.js';
 import { CSGOperations } from '../modeling/CSGOperations.js';
 import { UndoManager } from '../state/UndoManager.js';
 import { StateSerializer } from '../state/StateSerializer.js';
+import { SceneDeserializer } from '../state/SceneDeserializer.js';
+import { TrackerSettings, SMOOTHING_SETTINGS } from '../state/TrackerSettings.js';
 import { CreateBlockCommand, DeleteObjectsCommand, TransformObjectsCommand, CreateExtrusionCommand } from '../state/Command.js';
+import { CSGCommand } from '../state/CSGCommand.js';
+import { MoveCommand } from '../state/MoveCommand.js';
+import { ExtrudeCommand } from '../state/ExtrudeCommand.js';
+import { DeleteCommand } from '../state/DeleteCommand.js';
 import { ModeManager } from '../ui/ModeManager.js';
 import { UIPanel } from '../ui/UIPanel.js';
 import { updateLoadingStep } from '../main.js';
@@ -35,19 +59,39 @@ export class HandCraft3DApp {
         // Computer vision systems
         this.cameraManager = null;
         this.handTracker = null;
+        this.trackerSettings = null;
+        this.handIdentityTracker = null;
+        this.replaySource = null;
+
+        // Synthetic (mouse/keyboard) hands: forced with ?input=synthetic, or used when no camera
+        this.useSyntheticInput = new URLSearchParams(window.location.search).get('input') === 'synthetic';
         this.gestureRecognizer = null;
+        this.gestureRegistry = null;
+        this.gestureMachine = null;
+        this.gestureTrainer = null;
+        this.gestureBindings = null;
         this.coordinateMapper = null;
+        this.workspaceCalibrator = null;
+        this.depthEstimator = null;
 
         // Modeling systems
+        this.gridSystem = null;
+        this.collisionSystem = null;
         this.blockSystem = null;
         this.selectionSystem = null;
         this.manipulationSystem = null;
+        this.grabMoveSystem = null;
+        this.pointToSelect = null;
+        this.hoverIndicator = null;
+        this.fingerCursor = null;
+        this.faceExtrusionSystem = null;
         this.extrudeSystem = null;
         this.csgOperations = null;
 
         // State management
         this.undoManager = null;
         this.stateSerializer = null;
+        this.sceneDeserializer = null;
 
         // UI systems
         this.visualFeedback = null;
@@ -63,6 +107,7 @@ export class HandCraft3DApp {
         this.leftHand = null;
         this.rightHand = null;
         this.latestHandResults = null;
+        this.handDepths = { left: null, right: null }; // Last usable distance per hand (cm)
 
         // DOM elements
         this.videoElement = null;
@@ -77,16 +122,37 @@ export class HandCraft3DApp {
             await this.initializeScene();
             updateLoadingStep('scene', 'complete');
 
+            // Settings first: they hold the camera capture size
+            this.trackerSettings = new TrackerSettings(this.eventBus);
+            this.trackerSettings.load();
+
             updateLoadingStep('camera', 'active');
             await this.initializeCamera();
             updateLoadingStep('camera', 'complete');
 
             updateLoadingStep('mediapipe', 'active');
+            this.handIdentityTracker = new HandIdentityTracker(this.eventBus);
             await this.initializeHandTracking();
             updateLoadingStep('mediapipe', 'complete');
 
+            this.landmarkSmoother = new LandmarkSmoother(this.trackerSettings.getSmoothingConfig());
             this.gestureRecognizer = new GestureRecognizer();
+            this.gestureRegistry = registerDefaultGestures(new GestureRegistry(), this.gestureRecognizer);
+            this.gestureMachine = new GestureStateMachine(this.gestureRegistry, this.eventBus);
+            this.gestureTrainer = new GestureTrainer(this.eventBus);
+            this.gestureTrainer.updateResolution(this.videoElement?.videoWidth, this.videoElement?.videoHeight);
+            this.gestureTrainer.load();
+            this.gestureTrainer.registerGestures(this.gestureRegistry);
+            this.gestureBindings = new GestureBindings(this.eventBus, this.gestureMachine, this.gestureRegistry);
+            this.gestureBindings.load();
             this.coordinateMapper = new CoordinateMapper(this.videoElement);
+            this.depthEstimator = new HandDepthEstimator({
+                videoWidth: this.videoElement?.videoWidth,
+                videoHeight: this.videoElement?.videoHeight
+            });
+            this.depthEstimator.loadCalibration();
+            this.workspaceCalibrator = new WorkspaceCalibrator(this.coordinateMapper, this.eventBus);
+            this.workspaceCalibrator.applySavedProfile();
 
             this.visualFeedback = new VisualFeedback(
                 this.sceneManager.scene,
@@ -128,16 +194,34 @@ export class HandCraft3DApp {
         this.canvasElement.width = 1280;
         this.canvasElement.height = 720;
 
-        this.cameraManager = new CameraManager();
-        await this.cameraManager.initialize(this.videoElement);
-
         const statusText = document.querySelector('#camera-status .status-text');
-        if (statusText) statusText.textContent = 'Camera Active';
+
+        if (!this.useSyntheticInput) {
+            try {
+                const { width, height } = this.trackerSettings.get();
+                this.cameraManager = new CameraManager(this.eventBus);
+                await this.cameraManager.initialize(this.videoElement, { width, height });
+            } catch (error) {
+                console.warn('⚠️ No camera, falling back to synthetic hand input:', error.message);
+                this.cameraManager = null;
+                this.useSyntheticInput = true;
+            }
+        }
+
+        if (statusText) {
+            statusText.textContent = this.useSyntheticInput ? 'Synthetic Hands' : 'Camera Active';
+        }
     }
 
     async initializeHandTracking() {
+        const source = this.useSyntheticInput
+            ? new SyntheticHandSource({ element: document.getElementById('canvas-container') })
+            : undefined;
+
         this.handTracker = new HandTracker({
             videoElement: this.videoElement,
+            options: this.trackerSettings.get(),
+            source,
             onResults: (results) => this.onHandsDetected(results)
         });
 
@@ -146,26 +230,72 @@ export class HandCraft3DApp {
     }
 
     initializeModelingSystems() {
-        this.blockSystem = new GridBlockSystem(this.sceneManager.scene, this.eventBus);
+        this.gridSystem = new VoxelGridSystem(3.0);
+        this.collisionSystem = new CollisionSystem(this.gridSystem);
+        this.blockSystem = new GridBlockSystem(
+            this.sceneManager.scene,
+            this.eventBus,
+            this.gridSystem,
+            this.collisionSystem
+        );
         this.selectionSystem = new SelectionSystem(
             this.sceneManager.scene,
             this.sceneManager.camera,
-            this.eventBus
+            this.eventBus,
+            this.gridSystem
         );
         this.manipulationSystem = new ManipulationSystem(
             this.sceneManager.scene,
             this.eventBus
         );
+        this.grabMoveSystem = new GrabMoveSystem(
+            this.sceneManager.scene,
+            this.eventBus,
+            this.gridSystem,
+            this.collisionSystem
+        );
+        this.pointToSelect = new PointToSelectHelper(this.selectionSystem, this.eventBus);
+        this.pointToSelect.load();
+        this.hoverIndicator = new HoverIndicator(this.sceneManager.scene);
+        this.fingerCursor = new FingerCursorSystem(
+            this.sceneManager.scene,
+            this.sceneManager.camera,
+            this.depthEstimator,
+            this.gridSystem
+        );
+        this.faceExtrusionSystem = new FaceExtrusionSystem(
+            this.sceneManager.scene,
+            this.sceneManager.camera,
+            this.eventBus,
+            this.gridSystem,
+            this.collisionSystem
+        );
         console.log('✅ Modeling systems initialized');
     }
 
     async initializeStateManagement() {
         this.undoManager = new UndoManager(this.eventBus);
-        this.stateSerializer = new StateSerializer(this.sceneManager.scene, this.eventBus);
+        this.stateSerializer = new StateSerializer(this.sceneManager.scene, this.eventBus, {
+            camera: this.sceneManager.camera,
+            controls: this.sceneManager.controls,
+            collisionSystem: this.collisionSystem
+        });
         await this.stateSerializer.initializeDB();
 
         this.extrudeSystem = new ExtrudeSystem(this.sceneManager.scene, this.eventBus);
-        this.csgOperations = new CSGOperations(this.sceneManager.scene, this.eventBus);
+        this.csgOperations = new CSGOperations(this.sceneManager.scene, this.eventBus, this.gridSystem);
+
+        this.sceneDeserializer = new SceneDeserializer({
+            scene: this.sceneManager.scene,
+            blockSystem: this.blockSystem,
+            collisionSystem: this.collisionSystem,
+            extrudeSystem: this.extrudeSystem,
+            selectionSystem: this.selectionSystem,
+            undoManager: this.undoManager,
+            camera: this.sceneManager.camera,
+            controls: this.sceneManager.controls,
+            eventBus: this.eventBus
+        });
 
         this.setupStateEventListeners();
         console.log('✅ State management initialized');
@@ -178,7 +308,7 @@ export class HandCraft3DApp {
         });
 
         this.eventBus.on('objects-deleted', ({ objects }) => {
-            const command = new DeleteObjectsCommand(this.sceneManager.scene, objects);
+            const command = new DeleteObjectsCommand(this.sceneManager.scene, objects, this.collisionSystem);
             this.undoManager.execute(command);
         });
 
@@ -187,31 +317,70 @@ export class HandCraft3DApp {
             this.undoManager.execute(command);
         });
 
+        this.eventBus.on('objects-moved', ({ objects, fromPositions, toPositions }) => {
+            const command = new MoveCommand(objects, fromPositions, toPositions, this.gridSystem, this.collisionSystem);
+            this.undoManager.execute(command);
+        });
+
+        this.eventBus.on('voxels-extruded', ({ voxels }) => {
+            const command = new ExtrudeCommand(voxels, this.gridSystem, this.collisionSystem);
+            this.undoManager.execute(command);
+        });
+
+        this.eventBus.on('voxels-intruded', ({ voxels }) => {
+            // Carved voxels leave the grid - drop their outlines first
+            for (const voxel of voxels) this.selectionSystem.deselectObject(voxel);
+
+            const command = new DeleteCommand(voxels, this.gridSystem, this.collisionSystem);
+            this.undoManager.execute(command);
+        });
+
         this.eventBus.on('extrude-created', ({ mesh }) => {
             const command = new CreateExtrusionCommand(this.extrudeSystem, mesh);
             this.undoManager.execute(command);
         });
+
+        this.eventBus.on('csg-operation', ({ type, inputs, result }) => {
+            // Inputs are about to leave the scene - drop their outlines first
+            this.selectionSystem.clearSelection();
+
+            const command = new CSGCommand(type, inputs, result, this.sceneManager.scene, this.collisionSystem);
+            this.undoManager.execute(command);
+        });
+
+        this.eventBus.on('scene-loaded', ({ sceneData }) => {
+            this.sceneDeserializer.restore(sceneData);
+        });
     }
 
     onHandsDetected(results) {
         this.latestHandResults = results;
 
-        if (results.multiHandedness && results.multiHandLandmarks) {
-            this.leftHand = null;
-            this.rightHand = null;
+        // MediaPipe omits the arrays when no hands are visible
+        const multiHandedness = results.multiHandedness || [];
+        const multiHandLandmarks = results.multiHandLandmarks || [];
 
-            for (let i = 0; i < results.multiHandedness.length; i++) {
-                const handedness = results.multiHandedness[i].label;
-                const landmarks = results.multiHandLandmarks[i];
+        // Replays carry their recorded time so filtering matches the original session
+        const timestamp = results.replayTime ?? performance.now();
 
-                if (handedness === 'Left') {
-                    this.leftHand = landmarks;
-                } else {
-                    this.rightHand = landmarks;
-                }
-            }
+        // Identity follows hand position, so crossed hands and brief dropouts keep their roles
+        const detections = multiHandLandmarks.map((landmarks, i) => ({
+            landmarks,
+            label: multiHandedness[i]?.label
+        }));
+        const hands = this.handIdentityTracker.update(detections, timestamp);
+
+        this.leftHand = hands.left ? this.smoothLandmarks('left', hands.left, timestamp) : null;
+        this.rightHand = hands.right ? this.smoothLandmarks('right', hands.right, timestamp) : null;
+
+        // Tracking lost: next detection starts with fresh filter state
+        if (this.landmarkSmoother) {
+            if (!this.leftHand) this.landmarkSmoother.reset('left');
+            if (!this.rightHand) this.landmarkSmoother.reset('right');
         }
 
+        this.updateGestures(timestamp);
+
         const handCount = document.getElementById('hand-count');
         if (handCount) {
             const count = (this.leftHand ? 1 : 0) + (this.rightHand ? 1 : 0);
@@ -219,13 +388,79 @@ export class HandCraft3DApp {
         }
 
         if (this.visualFeedback) {
-            this.visualFeedback.drawHandOverlay(results);
+            this.visualFeedback.drawHandOverlay(results, this.getOverlayTargets());
         }
     }
 
+    updateGestures(timestamp) {
+        // Tracking starts before the gesture systems exist
+        if (!this.gestureMachine) return;
+
+        const velocities = {};
+        for (const handId of ['left', 'right']) {
+            const landmarks = handId === 'left' ? this.leftHand : this.rightHand;
+            if (landmarks) {
+                velocities[handId] = this.gestureRecognizer.trackMovement(handId, landmarks);
+            } else {
+                this.gestureRecognizer.resetMovement(handId);
+                velocities[handId] = { x: 0, y: 0, z: 0 };
+            }
+        }
+
+        this.gestureTrainer.record({ left: this.leftHand, right: this.rightHand });
+
+        // Poses shown for training shouldn't trigger actions
+        this.gestureBindings.enabled = !this.gestureTrainer.isRecording();
+
+        this.gestureMachine.update({
+            left: this.leftHand,
+            right: this.rightHand,
+            velocities,
+            timestamp
+        });
+    }
+
+    getOverlayTargets() {
+        if (!this.selectionSystem || !this.coordinateMapper) return [];
+
+        // Selected objects, projected back into camera space to guide the hand
+        const worldPos = new THREE.Vector3();
+        return Array.from(this.selectionSystem.getSelectedObjects(), (object) => {
+            object.getWorldPosition(worldPos);
+            return this.coordinateMapper.worldToMediaPipe(worldPos);
+        });
+    }
+
+    smoothLandmarks(handId, landmarks, timestamp) {
+        if (!this.landmarkSmoother) return landmarks;
+        return this.landmarkSmoother.filter(handId, landmarks, timestamp);
+    }
+
     processHandData() {
+        // Metric hand distance drives world height
+        const leftDepth = this.updateHandDepth('left', this.leftHand);
+        const rightDepth = this.updateHandDepth('right', this.rightHand);
+
         if (!this.leftHand && !this.rightHand) return;
 
+        // Calibration takes over pinch input until all corners are recorded
+        // (cursors stay visible as feedback, modeling is paused)
+        const calibrating = this.workspaceCalibrator.isActive();
+        if (calibrating) {
+            const hand = this.rightHand || this.leftHand;
+            const depth = this.rightHand ? rightDepth : leftDepth;
+            if (depth !== null) {
+                const pinch = this.gestureRecognizer.detectPinch(hand);
+                pinch.position.depth = depth;
+                this.workspaceCalibrator.update(pinch);
+            }
+        }
+
+        // Swipe undo/redo would fire mid-gesture while a volume or manipulation is in progress
+        if (this.gestureRegistry) {
+            this.gestureRegistry.setEnabled('swipe', !calibrating && !this.isModelingGestureActive());
+        }
+
         const gestureData = {
             leftHand: this.leftHand,
             rightHand: this.rightHand,
@@ -233,13 +468,17 @@ export class HandCraft3DApp {
             twoHandPinch: null
         };
 
-        if (this.leftHand && this.rightHand) {
+        if (this.leftHand && this.rightHand && leftDepth !== null && rightDepth !== null) {
             const twoHandPinch = this.gestureRecognizer.detectTwoHandPinch(
                 this.leftHand,
                 this.rightHand
             );
 
             if (twoHandPinch.isActive) {
+                twoHandPinch.leftPosition.depth = leftDepth;
+                twoHandPinch.rightPosition.depth = rightDepth;
+                twoHandPinch.center.depth = (leftDepth + rightDepth) / 2;
+
                 gestureData.twoHandPinch = {
                     isActive: true,
                     center: this.coordinateMapper.mediaPipeToWorld(twoHandPinch.center),
@@ -250,20 +489,31 @@ export class HandCraft3DApp {
             }
         }
 
-        if (this.blockSystem) {
+        // A fist near the selection drags it; no new volumes while something is held
+        if (this.grabMoveSystem && !calibrating) {
+            this.grabMoveSystem.update({
+                left: this.getGrabInput(this.leftHand, leftDepth),
+                right: this.getGrabInput(this.rightHand, rightDepth)
+            }, this.selectionSystem.getSelectedObjects());
+        }
+
+        const handBusy = this.grabMoveSystem.isActive() || this.faceExtrusionSystem.isActive();
+        if (this.blockSystem && !calibrating && !handBusy) {
             this.blockSystem.update(gestureData);
         }
 
-        if (this.leftHand) {
+        if (this.leftHand && leftDepth !== null) {
             const pinch = this.gestureRecognizer.detectPinch(this.leftHand);
+            pinch.position.depth = leftDepth;
             const worldPos = this.coordinateMapper.mediaPipeToWorld(pinch.position);
             this.visualFeedback.showHandCursor('left', worldPos, { isPinched: pinch.isPinched });
         } else {
             this.visualFeedback.hideHandCursor('left');
         }
 
-        if (this.rightHand) {
+        if (this.rightHand && rightDepth !== null) {
             const pinch = this.gestureRecognizer.detectPinch(this.rightHand);
+            pinch.position.depth = rightDepth;
             const worldPos = this.coordinateMapper.mediaPipeToWorld(pinch.position);
             this.visualFeedback.showHandCursor('right', worldPos, { isPinched: pinch.isPinched });
         } else {
@@ -271,6 +521,95 @@ export class HandCraft3DApp {
         }
     }
 
+    updatePointing() {
+        const hand = this.rightHand || this.leftHand;
+        const selectMode = this.modeManager && this.modeManager.getMode() === this.modeManager.modes.SELECT;
+
+        if (!hand || !selectMode || this.workspaceCalibrator.isActive() || this.grabMoveSystem.isActive()) {
+            this.selectionSystem.clearHover();
+            this.pointToSelect.reset();
+            this.hoverIndicator.hide();
+            this.fingerCursor.update({});
+            return;
+        }
+
+        // Index fingertip, mirrored like the camera view (raycasts only when it has moved)
+        const tip = hand[8];
+        const pointer = { x: 1 - tip.x, y: tip.y };
+
+        // Cursor sits on the same ray that picks the object
+        const handId = hand === this.rightHand ? 'right' : 'left';
+        this.fingerCursor.update({ [handId]: { landmarks: hand, pointer } });
+
+        const object = this.selectionSystem.update({ pointer });
+        const pointing = this.pointToSelect.update(object);
+
+        if (pointing.hovering) {
+            this.hoverIndicator.show(pointing.object, pointing.dwellProgress);
+        } else {
+            this.hoverIndicator.hide();
+        }
+    }
+
+    updateFaceExtrusion() {
+        const hand = this.rightHand || this.leftHand;
+        const extrudeMode = this.modeManager && this.modeManager.getMode() === this.modeManager.modes.EXTRUDE;
+
+        if (!hand || !extrudeMode || this.workspaceCalibrator.isActive() || this.grabMoveSystem.isActive()) {
+            this.faceExtrusionSystem.update(null);
+            return;
+        }
+
+        // No usable distance for this hand yet: skip the frame
+        const handId = this.rightHand ? 'right' : 'left';
+        const depth = this.handDepths[handId];
+        if (depth === null) return;
+
+        const pinch = this.gestureRecognizer.detectPinch(hand);
+        pinch.position.depth = depth;
+
+        // Index fingertip picks the face, mirrored like the camera view
+        const tip = hand[8];
+        this.faceExtrusionSystem.update({
+            handId,
+            pointer: { x: 1 - tip.x, y: tip.y },
+            isPinched: pinch.isPinched,
+            pinchPosition: this.coordinateMapper.mediaPipeToWorld(pinch.position),
+            timestamp: performance.now()
+        });
+    }
+
+    // Keeps the last usable distance when the estimate fails (degenerate landmarks);
+    // null until the hand has had one
+    updateHandDepth(handId, landmarks) {
+        if (!landmarks) {
+            this.handDepths[handId] = null;
+            return null;
+        }
+
+        const depth = this.depthEstimator.estimate(landmarks);
+        if (depth !== null) this.handDepths[handId] = depth;
+        return this.handDepths[handId];
+    }
+
+    getGrabInput(landmarks, depth) {
+        if (!landmarks || depth === null) return null;
+
+        // Middle finger base: the center of a closed fist
+        const palm = { ...landmarks[9], depth };
+        return { landmarks, position: this.coordinateMapper.mediaPipeToWorld(palm) };
+    }
+
+    isModelingGestureActive() {
+        return Boolean(
+            this.blockSystem?.isCreating ||
+            this.manipulationSystem?.isActive() ||
+            this.grabMoveSystem?.isActive() ||
+            this.faceExtrusionSystem?.isActive() ||
+            this.gestureMachine?.isActive('two-hand-pinch')
+        );
+    }
+
     addTestCube() {
         const geometry = new THREE.BoxGeometry(2, 2, 2);
         const material = new THREE.MeshStandardMaterial({
@@ -298,6 +637,17 @@ export class HandCraft3DApp {
 
         this.uiPanel = new UIPanel(this.eventBus);
         this.uiPanel.initialize();
+        this.uiPanel.updateSettingsForm(this.trackerSettings.get());
+        this.uiPanel.updateTrainedGestures(this.gestureTrainer.getLabels());
+        this.uiPanel.updateBindings(this.gestureBindings.getState());
+        this.uiPanel.updateDwellTime(this.pointToSelect.DWELL_TIME_MS);
+
+        // Camera list was announced before the panel existed
+        if (this.cameraManager) {
+            this.cameraManager.refreshDevices();
+        } else {
+            this.uiPanel.updateCameraList([], null);
+        }
 
         this.setupUIEventListeners();
 
@@ -309,6 +659,24 @@ export class HandCraft3DApp {
             this.modeManager.setMode(mode);
         });
 
+        this.eventBus.on('mode-next-requested', () => {
+            this.modeManager.nextMode();
+        });
+
+        this.eventBus.on('grid-toggle-requested', () => {
+            this.sceneManager.toggleGrid();
+        });
+
+        this.eventBus.on('mode-changed', ({ mode }) => {
+            // CSG needs several objects selected at once, dwell selection builds groups to grab
+            const { CSG, SELECT } = this.modeManager.modes;
+            this.selectionSystem.setMultiSelect(mode === CSG || mode === SELECT);
+        });
+
+        this.eventBus.on('csg-requested', ({ operation }) => {
+            this.performCSG(operation);
+        });
+
         this.eventBus.on('undo-requested', () => {
             if (this.undoManager) this.undoManager.undo();
         });
@@ -324,11 +692,336 @@ export class HandCraft3DApp {
             }
         });
 
+        this.eventBus.on('load-requested', () => {
+            this.openScene();
+        });
+
         this.eventBus.on('export-requested', () => {
             if (this.stateSerializer) {
                 this.stateSerializer.exportGLB('handcraft3d-scene.glb');
             }
         });
+
+        this.eventBus.on('export-stl-requested', () => {
+            this.exportSTL();
+        });
+
+        this.eventBus.on('recording-toggle-requested', () => {
+            this.toggleRecording();
+        });
+
+        this.eventBus.on('replay-requested', () => {
+            this.openReplay();
+        });
+
+        this.eventBus.on('calibration-requested', () => {
+            this.workspaceCalibrator.start();
+        });
+
+        this.eventBus.on('hand-size-calibration-requested', () => {
+            this.calibrateHandSize();
+        });
+
+        this.eventBus.on('tracker-settings-change-requested', ({ changes }) => {
+            this.applyTrackerSettings(changes);
+        });
+
+        this.eventBus.on('dwell-time-change-requested', ({ dwellTimeMs }) => {
+            this.pointToSelect.setDwellTime(dwellTimeMs);
+        });
+
+        this.eventBus.on('gesture-training-requested', ({ label }) => {
+            this.trainGesture(label);
+        });
+
+        this.eventBus.on('trained-gesture-remove-requested', ({ label }) => {
+            this.gestureTrainer.removeLabel(label);
+        });
+
+        this.eventBus.on('gesture-set-export-requested', () => {
+            this.gestureTrainer.download();
+        });
+
+        this.eventBus.on('gesture-set-import-requested', () => {
+            this.importGestureSet();
+        });
+
+        this.eventBus.on('camera-device-change-requested', ({ deviceId }) => {
+            this.switchCamera(deviceId);
+        });
+
+        this.eventBus.on('camera-lost', () => {
+            this.onCameraLost();
+        });
+
+        this.eventBus.on('camera-changed', (camera) => {
+            this.onCameraChanged(camera);
+        });
+    }
+
+    async applyTrackerSettings(changes) {
+        const settings = this.trackerSettings.update(changes);
+
+        // Filters restart with the new parameters (no camera or model change needed)
+        if (this.landmarkSmoother && SMOOTHING_SETTINGS.some(key => key in changes)) {
+            this.landmarkSmoother.setConfig(this.trackerSettings.getSmoothingConfig());
+        }
+
+        try {
+            await this.handTracker.setOptions(settings);
+
+            // Reopens the camera if the size changed ('camera-changed' follows)
+            if (this.cameraManager) {
+                await this.cameraManager.setResolution(settings.width, settings.height);
+            }
+        } catch (error) {
+            console.error('❌ Could not apply tracker settings:', error);
+            this.uiPanel.showMessage(`⚠️ Could not apply settings: ${error.message}`, { duration: 4000 });
+        }
+    }
+
+    async switchCamera(deviceId) {
+        if (!this.cameraManager || deviceId === this.cameraManager.deviceId) return;
+
+        try {
+            await this.cameraManager.switchDevice(deviceId);
+        } catch (error) {
+            this.uiPanel.showMessage(`⚠️ ${error.message}`, { duration: 4000 });
+        }
+    }
+
+    onCameraLost() {
+        // No frames until a camera is back; drop hands instead of predicting them
+        if (this.handTracker && !this.replaySource) this.handTracker.stop();
+        this.handIdentityTracker.loseAll();
+        this.leftHand = null;
+        this.rightHand = null;
+
+        const statusText = document.querySelector('#camera-status .status-text');
+        if (statusText) statusText.textContent = 'Camera Lost';
+
+        this.uiPanel.showMessage('📷 Camera disconnected, waiting for a camera...');
+    }
+
+    async onCameraChanged({ label, width, height }) {
+        // Landmarks are normalized, but pixel measurements follow the capture size
+        this.coordinateMapper.updateResolution(width, height);
+        this.depthEstimator.updateResolution(width, height);
+        this.gestureTrainer.updateResolution(width, height);
+
+        // Fresh stream: restart tracking with clean filter and identity state
+        if (this.landmarkSmoother) this.landmarkSmoother.resetAll();
+        this.handIdentityTracker.reset();
+
+        // A running replay restarts live tracking itself when it ends
+        if (this.handTracker && !this.replaySource) {
+            this.handTracker.stop();
+            await this.handTracker.start();
+        }
+
+        const statusText = document.querySelector('#camera-status .status-text');
+        if (statusText) statusText.textContent = 'Camera Active';
+
+        this.uiPanel.showMessage(`📷 ${label} (${width}×${height})`, { duration: 3000 });
+    }
+
+    trainGesture(label) {
+        // Give the user time to form the pose before sampling
+        this.uiPanel.showMessage(`🎓 Show the "${label}" pose to the camera and move it around a little...`);
+
+        setTimeout(() => {
+            this.gestureTrainer.startRecording(label);
+        }, 3000);
+    }
+
+    importGestureSet() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            const merge = confirm('Keep your current custom poses? (Cancel replaces them)');
+
+            try {
+                const count = this.gestureTrainer.fromJSON(await file.text(), { merge });
+                this.uiPanel.showMessage(`✅ Imported ${count} poses`, { duration: 3000 });
+            } catch (error) {
+                console.error('❌ Failed to import gesture set:', error);
+                alert(`Could not import ${file.name}: ${error.message}`);
+            }
+        });
+
+        input.click();
+    }
+
+    calibrateHandSize() {
+        if (!this.depthEstimator) return;
+
+        const answer = prompt('Hand-to-camera distance you will hold your hand at (cm):', '80');
+        if (answer === null) return;
+
+        const distance = parseFloat(answer);
+        if (!(distance > 0)) {
+            alert(`Invalid distance: ${answer}`);
+            return;
+        }
+
+        // Give the user time to put the hand in place before sampling
+        this.uiPanel.showMessage(`📏 Hold your open hand flat, facing the camera, ${distance} cm away...`);
+
+        setTimeout(() => {
+            const hand = this.rightHand || this.leftHand;
+            if (hand && this.depthEstimator.calibrate(hand, distance)) {
+                this.uiPanel.showMessage('✅ Hand size calibrated', { duration: 3000 });
+            } else {
+                this.uiPanel.showMessage('⚠️ No hand visible, hand size unchanged', { duration: 3000 });
+            }
+        }, 3000);
+    }
+
+    toggleRecording() {
+        if (!this.handTracker) return;
+
+        if (this.handTracker.isRecording()) {
+            this.handTracker.stopRecording();
+            this.handTracker.recorder.download(`hand-recording-${Date.now()}.json`);
+        } else {
+            this.handTracker.startRecording();
+        }
+
+        this.eventBus.emit('recording-changed', { isRecording: this.handTracker.isRecording() });
+    }
+
+    openReplay() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            const answer = prompt('Replay speed (1 = real time):', '1');
+            if (answer === null) return;
+
+            try {
+                this.startReplay(await file.text(), parseFloat(answer) || 1);
+            } catch (error) {
+                console.error('❌ Failed to load hand recording:', error);
+                alert(`Could not replay ${file.name}: ${error.message}`);
+            }
+        });
+
+        input.click();
+    }
+
+    /**
+     * Replay recorded hand data instead of live tracking
+     * @param {Object|string} recording - HandRecorder recording (object or JSON)
+     * @param {number} speed - Playback speed multiplier
+     */
+    startReplay(recording, speed = 1) {
+        this.stopReplay();
+
+        // Pause live tracking so both sources don't fight over the hands
+        const resumeLive = this.handTracker && this.handTracker.isActive();
+        if (resumeLive) this.handTracker.stop();
+
+        this.replaySource = new HandReplaySource({
+            speed,
+            onResults: (results) => this.onHandsDetected(results),
+            onEnded: () => {
+                this.replaySource = null;
+                if (this.landmarkSmoother) this.landmarkSmoother.resetAll();
+                this.handIdentityTracker.reset();
+                this.gestureMachine.reset();
+                this.grabMoveSystem.reset();
+                this.faceExtrusionSystem.reset();
+                if (resumeLive) this.handTracker.start();
+                this.eventBus.emit('replay-ended');
+            }
+        });
+
+        // Replay timestamps start at 0, drop filter state from live tracking
+        if (this.landmarkSmoother) this.landmarkSmoother.resetAll();
+        this.handIdentityTracker.reset();
+        this.gestureMachine.reset();
+        this.grabMoveSystem.reset();
+        this.faceExtrusionSystem.reset();
+
+        this.replaySource.load(recording);
+        this.replaySource.start();
+        this.eventBus.emit('replay-started', { speed });
+    }
+
+    stopReplay() {
+        if (this.replaySource) {
+            const replaySource = this.replaySource;
+            replaySource.stop();
+            replaySource.finish({ stopped: true });
+        }
+    }
+
+    exportSTL() {
+        if (!this.stateSerializer) return;
+
+        const answer = prompt('Millimetres per grid cell:', '10');
+        if (answer === null) return;
+
+        const mmPerVoxel = Number(answer.trim());
+        if (!(mmPerVoxel > 0)) {
+            alert(`Invalid scale: ${answer}`);
+            return;
+        }
+
+        const binary = confirm('Save as binary STL (smaller file)?\n\nOK = binary, Cancel = ASCII text STL');
+
+        this.stateSerializer.exportSTL('handcraft3d-model.stl', { mmPerVoxel, binary });
+    }
+
+    async openScene() {
+        if (!this.stateSerializer) return;
+
+        const scenes = await this.stateSerializer.listScenes();
+        if (scenes.length === 0) {
+            alert('No saved scenes yet.');
+            return;
+        }
+
+        const list = scenes
+            .map(scene => `${scene.id}: ${scene.name} (${new Date(scene.timestamp).toLocaleString()}, ${scene.objectCount} objects)`)
+            .join('\n');
+
+        const answer = prompt(`Enter scene ID to open:\n${list}`, scenes[scenes.length - 1].id);
+        if (!answer) return;
+
+        try {
+            await this.stateSerializer.loadScene(Number(answer));
+        } catch (error) {
+            console.error('❌ Failed to open scene:', error);
+            alert(`Could not open scene ${answer}: ${error.message}`);
+        }
+    }
+
+    performCSG(operation) {
+        if (!this.csgOperations) return;
+
+        // Selection order matters for subtract: first selected is the base
+        const meshes = Array.from(this.selectionSystem.getSelectedObjects());
+
+        if (operation === 'union') {
+            this.csgOperations.union(meshes);
+        } else if (operation === 'subtract') {
+            const [baseMesh, ...cutters] = meshes;
+            this.csgOperations.subtract(baseMesh, cutters);
+        } else if (operation === 'intersect') {
+            this.csgOperations.intersect(meshes);
+        } else {
+            console.warn(`Unknown CSG operation: ${operation}`);
+        }
     }
 
     setupEventListeners() {
@@ -355,12 +1048,31 @@ export class HandCraft3DApp {
                 }
             }
 
-            if ((event.ctrlKey || event.metaKey) && event.key === 'e') {
+            if ((event.ctrlKey || event.metaKey) && event.key === 'o') {
+                event.preventDefault();
+                this.openScene();
+            }
+
+            if ((event.ctrlKey || event.metaKey) && !event.shiftKey && event.key === 'e') {
                 event.preventDefault();
                 if (this.stateSerializer) {
                     this.stateSerializer.exportGLB('handcraft3d-scene.glb');
                 }
             }
+
+            if ((event.ctrlKey || event.metaKey) && event.shiftKey && event.key.toLowerCase() === 'e') {
+                event.preventDefault();
+                this.exportSTL();
+            }
+
+            if (event.key === 'Escape' && this.workspaceCalibrator) {
+                this.workspaceCalibrator.cancel();
+            }
+
+            if (event.key === 'Escape' && this.gestureTrainer && this.gestureTrainer.isRecording()) {
+                this.gestureTrainer.cancelRecording();
+                this.uiPanel.hideMessage();
+            }
         });
     }
 
@@ -387,8 +1099,15 @@ export class HandCraft3DApp {
             this.sceneManager.update();
         }
 
+        // Rebuild block chunks changed since last frame
+        if (this.blockSystem) {
+            this.blockSystem.chunkRenderer.update();
+        }
+
         if (this.latestHandResults) {
             this.processHandData();
+            this.updatePointing();
+            this.updateFaceExtrusion();
         }
     }
 
@@ -413,13 +1132,32 @@ export class HandCraft3DApp {
                     fpsCounter.style.color = '#ff6b9d';
                 }
             }
+
+            this.updateInferenceStats();
         }
     }
 
+    updateInferenceStats() {
+        const inferenceFps = document.getElementById('inference-fps');
+        if (!inferenceFps) return;
+
+        const stats = this.handTracker && !this.replaySource ? this.handTracker.getInferenceStats() : null;
+        if (!stats) {
+            inferenceFps.textContent = '--';
+            inferenceFps.title = '';
+            return;
+        }
+
+        inferenceFps.textContent = stats.fps.toString();
+        inferenceFps.title = `${stats.mode} thread, ${Math.round(stats.latency ?? 0)} ms latency, ` +
+            `${stats.droppedFrames + stats.skippedFrames} frames skipped`;
+    }
+
     stop() {
         this.isRunning = false;
 
         if (this.sceneManager) this.sceneManager.dispose();
+        this.stopReplay();
         if (this.handTracker) this.handTracker.dispose();
         if (this.cameraManager) this.cameraManager.dispose();
         if (this.visualFeedback) this.visualFeedback.dispose();
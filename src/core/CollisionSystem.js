@@ -0,0 +1,143 @@
+/**
+ * Collision System - Voxel Occupancy Tracking
+ *
+ * Single source of truth for which grid cells are occupied.
+ * Every block creation path (GridBlockSystem volumes, VoxelExtruder,
+ * move/rotate/delete commands) registers and unregisters voxels here,
+ * so they all respect the same collisions.
+ *
+ * Occupancy is stored in the VoxelGridSystem chunked voxel store,
+ * addressed by integer grid coordinates.
+ */
+
+export class CollisionSystem {
+    /**
+     * @param {VoxelGridSystem} gridSystem - Grid coordinate system and voxel store
+     */
+    constructor(gridSystem) {
+        this.gridSystem = gridSystem;
+
+        console.log('✅ CollisionSystem initialized');
+    }
+
+    /**
+     * Check if a grid cell is occupied
+     *
+     * @param {Object} gridPos - Grid position {x, y, z} (integers)
+     * @returns {boolean} True if occupied
+     */
+    isOccupied(gridPos) {
+        return this.gridSystem.hasVoxel(gridPos.x, gridPos.y, gridPos.z);
+    }
+
+    /**
+     * Get voxel occupying a grid cell
+     *
+     * @param {Object} gridPos - Grid position {x, y, z}
+     * @returns {THREE.Object3D|null} Voxel or null
+     */
+    getVoxelAt(gridPos) {
+        return this.gridSystem.getVoxel(gridPos.x, gridPos.y, gridPos.z);
+    }
+
+    /**
+     * Check whether a voxel can be placed at a grid cell
+     *
+     * @param {Object} gridPos - Grid position {x, y, z}
+     * @param {Set|Array} [ignore] - Voxels to ignore (e.g. the ones being moved)
+     * @returns {Object} {canPlace, reason, occupant}
+     */
+    canPlaceVoxel(gridPos, ignore = null) {
+        if (!Number.isInteger(gridPos.x) || !Number.isInteger(gridPos.y) || !Number.isInteger(gridPos.z)) {
+            return { canPlace: false, reason: 'invalid-position', occupant: null };
+        }
+
+        const occupant = this.getVoxelAt(gridPos);
+
+        if (occupant && !this.isIgnored(occupant, ignore)) {
+            return { canPlace: false, reason: 'occupied', occupant };
+        }
+
+        return { canPlace: true, reason: null, occupant: null };
+    }
+
+    /**
+     * Register a voxel at a grid cell
+     *
+     * @param {THREE.Object3D} voxel - Voxel object
+     * @param {Object} gridPos - Grid position {x, y, z}
+     * @returns {boolean} True if registered (false if another voxel is there)
+     */
+    registerVoxel(voxel, gridPos) {
+        const occupant = this.getVoxelAt(gridPos);
+
+        if (occupant === voxel) return true;
+
+        if (occupant) {
+            console.warn(`⚠️ Grid cell ${this.gridSystem.getGridKey(gridPos)} already occupied`);
+            return false;
+        }
+
+        this.gridSystem.setVoxel(gridPos.x, gridPos.y, gridPos.z, voxel);
+        return true;
+    }
+
+    /**
+     * Unregister the voxel at a grid cell
+     *
+     * @param {Object} gridPos - Grid position {x, y, z}
+     * @returns {THREE.Object3D|null} Removed voxel or null
+     */
+    unregisterVoxel(gridPos) {
+        return this.gridSystem.setVoxel(gridPos.x, gridPos.y, gridPos.z, null);
+    }
+
+    /**
+     * Check if a grid cell touches an occupied cell (face-adjacent)
+     *
+     * @param {Object} gridPos - Grid position {x, y, z}
+     * @returns {boolean} True if touching
+     */
+    isTouchingExisting(gridPos) {
+        return this.gridSystem.getNeighbors(gridPos.x, gridPos.y, gridPos.z).length > 0;
+    }
+
+    /**
+     * Check if a voxel is in the ignore list
+     *
+     * @param {THREE.Object3D} voxel - Voxel to check
+     * @param {Set|Array|null} ignore - Ignore list
+     * @returns {boolean}
+     */
+    isIgnored(voxel, ignore) {
+        if (!ignore) return false;
+        return ignore instanceof Set ? ignore.has(voxel) : ignore.includes(voxel);
+    }
+
+    /**
+     * Get all registered voxels
+     *
+     * @returns {Array} Voxel objects
+     */
+    getAllVoxels() {
+        const voxels = [];
+        this.gridSystem.forEachVoxel(voxel => voxels.push(voxel));
+        return voxels;
+    }
+
+    /**
+     * Get number of occupied cells
+     *
+     * @returns {number}
+     */
+    getVoxelCount() {
+        return this.gridSystem.getVoxelCount();
+    }
+
+    /**
+     * Remove all occupancy data
+     */
+    clear() {
+        this.gridSystem.clearVoxels();
+    }
+}
@@ -14,6 +14,7 @@ export class SceneManager {
         this.camera = null;
         this.renderer = null;
         this.controls = null;
+        this.gridHelper = null;
 
         this.clock = new THREE.Clock();
     }
@@ -119,6 +120,7 @@ export class SceneManager {
         const gridHelper = new THREE.GridHelper(40, 40, 0x00ff88, 0x333333);
         gridHelper.position.y = -0.01;
         this.scene.add(gridHelper);
+        this.gridHelper = gridHelper;
 
         // Axes helper (X=red, Y=green, Z=blue)
         const axesHelper = new THREE.AxesHelper(5);
@@ -138,6 +140,17 @@ export class SceneManager {
         this.scene.add(ground);
     }
 
+    /**
+     * Show or hide the floor grid
+     * @returns {boolean} True if the grid is now visible
+     */
+    toggleGrid() {
+        if (!this.gridHelper) return false;
+
+        this.gridHelper.visible = !this.gridHelper.visible;
+        return this.gridHelper.visible;
+    }
+
     /**
      * Handle window resize
      */
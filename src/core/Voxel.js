@@ -0,0 +1,41 @@
+/**
+ * Voxel - One grid block in the voxel store
+ *
+ * Voxels are plain records kept in the VoxelGridSystem store, not scene
+ * objects: VoxelChunkRenderer draws them as merged chunk meshes, so the
+ * scene graph stays small no matter how many blocks there are.
+ *
+ * They keep the parts of the Object3D interface the editing code relies
+ * on (position, userData, getWorldPosition), so selection, moving and
+ * undo treat them like any other object.
+ */
+
+import * as THREE from 'three';
+
+export class Voxel {
+    /**
+     * @param {Object} gridPosition - Grid position {x, y, z} (integers)
+     * @param {Object} position - World position {x, y, z}
+     * @param {number} color - Hex color
+     */
+    constructor(gridPosition, position, color) {
+        this.isVoxel = true;
+        this.position = new THREE.Vector3(position.x, position.y, position.z);
+        this.color = color;
+        this.userData = {
+            isBlock: true,
+            gridPosition: { ...gridPosition },
+            createdAt: Date.now()
+        };
+    }
+
+    /**
+     * Get world position (voxels have no parent transform)
+     *
+     * @param {THREE.Vector3} target - Vector to write to
+     * @returns {THREE.Vector3} target
+     */
+    getWorldPosition(target) {
+        return target.copy(this.position);
+    }
+}
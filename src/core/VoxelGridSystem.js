@@ -14,6 +14,22 @@
 
 import * as THREE from 'three';
 
+// Chunks are 2^CHUNK_BITS cells per side (16³)
+const CHUNK_BITS = 4;
+const CHUNK_SIZE = 1 << CHUNK_BITS;
+const CHUNK_MASK = CHUNK_SIZE - 1;
+
+// Numeric chunk keys: chunk coordinates in [-32768, 32767] packed into one number
+const CHUNK_KEY_RANGE = 65536;
+const CHUNK_KEY_OFFSET = 32768;
+
+// Face-adjacent neighbour offsets
+const NEIGHBOR_OFFSETS = [
+    [1, 0, 0], [-1, 0, 0],
+    [0, 1, 0], [0, -1, 0],
+    [0, 0, 1], [0, 0, -1]
+];
+
 export class VoxelGridSystem {
     constructor(voxelSize = 3.0) {
         // Grid configuration
@@ -21,6 +37,15 @@ export class VoxelGridSystem {
         this.gridOrigin = { x: 0, y: 0, z: 0 };  // World-space grid origin
         this.showGrid = true;  // Whether to display visual grid
 
+        // Chunked sparse voxel storage
+        // Each chunk stores voxel ids in a typed array (0 = empty),
+        // ids index into voxelObjects
+        this.CHUNK_SIZE = CHUNK_SIZE;
+        this.chunks = new Map();  // numeric chunk key -> chunk
+        this.voxelObjects = [null];
+        this.freeVoxelIds = [];
+        this.voxelCount = 0;
+
         // Performance tracking
         this.stats = {
             snapOperations: 0,
@@ -108,7 +133,7 @@ export class VoxelGridSystem {
     /**
      * Generate spatial hash key for grid position
      * 
-     * Used by CollisionDetectionSystem for O(1) lookup.
+     * Human-readable key for logs and debugging (storage uses numeric chunk keys).
      * Format: "x,y,z" (e.g., "5,2,-3")
      * 
      * @param {Object} gridPos - Grid position {x, y, z} (integers)
@@ -129,6 +154,382 @@ export class VoxelGridSystem {
         return { x, y, z };
     }
 
+    /**
+     * Get numeric key for chunk coordinates
+     * 
+     * @param {number} cx - Chunk X
+     * @param {number} cy - Chunk Y
+     * @param {number} cz - Chunk Z
+     * @returns {number} Chunk key
+     */
+    getChunkKey(cx, cy, cz) {
+        return ((cx + CHUNK_KEY_OFFSET) * CHUNK_KEY_RANGE + (cy + CHUNK_KEY_OFFSET)) * CHUNK_KEY_RANGE +
+            (cz + CHUNK_KEY_OFFSET);
+    }
+
+    /**
+     * Get chunk by chunk coordinates
+     * 
+     * @param {number} cx - Chunk X
+     * @param {number} cy - Chunk Y
+     * @param {number} cz - Chunk Z
+     * @param {boolean} create - Create the chunk if missing
+     * @returns {Object|null} Chunk {x, y, z, key, cells, count, dirty}
+     */
+    getChunk(cx, cy, cz, create = false) {
+        const key = this.getChunkKey(cx, cy, cz);
+        let chunk = this.chunks.get(key);
+
+        if (!chunk && create) {
+            chunk = {
+                x: cx,
+                y: cy,
+                z: cz,
+                key,
+                cells: new Uint32Array(CHUNK_SIZE * CHUNK_SIZE * CHUNK_SIZE),
+                count: 0,
+                dirty: true
+            };
+            this.chunks.set(key, chunk);
+        }
+
+        return chunk || null;
+    }
+
+    /**
+     * Index of a grid cell inside its chunk's cell array
+     */
+    getCellIndex(x, y, z) {
+        return (x & CHUNK_MASK) + CHUNK_SIZE * ((y & CHUNK_MASK) + CHUNK_SIZE * (z & CHUNK_MASK));
+    }
+
+    /**
+     * Get voxel stored at a grid cell
+     * 
+     * @param {number} x - Grid X (integer)
+     * @param {number} y - Grid Y (integer)
+     * @param {number} z - Grid Z (integer)
+     * @returns {*} Stored voxel or null
+     */
+    getVoxel(x, y, z) {
+        const chunk = this.chunks.get(this.getChunkKey(x >> CHUNK_BITS, y >> CHUNK_BITS, z >> CHUNK_BITS));
+        if (!chunk) return null;
+
+        const id = chunk.cells[this.getCellIndex(x, y, z)];
+        return id ? this.voxelObjects[id] : null;
+    }
+
+    /**
+     * Check if a grid cell holds a voxel
+     * 
+     * @param {number} x - Grid X (integer)
+     * @param {number} y - Grid Y (integer)
+     * @param {number} z - Grid Z (integer)
+     * @returns {boolean} True if occupied
+     */
+    hasVoxel(x, y, z) {
+        const chunk = this.chunks.get(this.getChunkKey(x >> CHUNK_BITS, y >> CHUNK_BITS, z >> CHUNK_BITS));
+        return !!chunk && chunk.cells[this.getCellIndex(x, y, z)] !== 0;
+    }
+
+    /**
+     * Store (or remove) a voxel at a grid cell
+     * 
+     * Marks the chunk dirty, plus neighbouring chunks when the cell is on
+     * a chunk border (their exposed faces change too).
+     * 
+     * @param {number} x - Grid X (integer)
+     * @param {number} y - Grid Y (integer)
+     * @param {number} z - Grid Z (integer)
+     * @param {*} voxel - Voxel to store, or null to remove
+     * @returns {*} Previously stored voxel or null
+     */
+    setVoxel(x, y, z, voxel) {
+        const cx = x >> CHUNK_BITS;
+        const cy = y >> CHUNK_BITS;
+        const cz = z >> CHUNK_BITS;
+        const chunk = this.getChunk(cx, cy, cz, voxel !== null);
+        if (!chunk) return null;
+
+        const index = this.getCellIndex(x, y, z);
+        const oldId = chunk.cells[index];
+        const previous = oldId ? this.voxelObjects[oldId] : null;
+
+        if (oldId) {
+            this.voxelObjects[oldId] = null;
+            this.freeVoxelIds.push(oldId);
+            chunk.count--;
+            this.voxelCount--;
+        }
+
+        if (voxel !== null) {
+            const id = this.freeVoxelIds.length > 0 ? this.freeVoxelIds.pop() : this.voxelObjects.length;
+            this.voxelObjects[id] = voxel;
+            chunk.cells[index] = id;
+            chunk.count++;
+            this.voxelCount++;
+        } else {
+            chunk.cells[index] = 0;
+        }
+
+        chunk.dirty = true;
+
+        // Border cells change faces of the neighbouring chunk
+        const local = [x & CHUNK_MASK, y & CHUNK_MASK, z & CHUNK_MASK];
+        for (let axis = 0; axis < 3; axis++) {
+            if (local[axis] !== 0 && local[axis] !== CHUNK_MASK) continue;
+
+            const neighbor = [cx, cy, cz];
+            neighbor[axis] += local[axis] === 0 ? -1 : 1;
+
+            const neighborChunk = this.getChunk(neighbor[0], neighbor[1], neighbor[2]);
+            if (neighborChunk) neighborChunk.dirty = true;
+        }
+
+        return previous;
+    }
+
+    /**
+     * Call a function for every stored voxel
+     * 
+     * @param {Function} callback - fn(voxel, x, y, z)
+     */
+    forEachVoxel(callback) {
+        for (const chunk of this.chunks.values()) {
+            if (chunk.count === 0) continue;
+            this.forEachVoxelInChunk(chunk, callback);
+        }
+    }
+
+    /**
+     * Call a function for every voxel in a chunk
+     * 
+     * @param {Object} chunk - Chunk
+     * @param {Function} callback - fn(voxel, x, y, z)
+     */
+    forEachVoxelInChunk(chunk, callback) {
+        const cells = chunk.cells;
+        const baseX = chunk.x * CHUNK_SIZE;
+        const baseY = chunk.y * CHUNK_SIZE;
+        const baseZ = chunk.z * CHUNK_SIZE;
+
+        for (let index = 0; index < cells.length; index++) {
+            const id = cells[index];
+            if (id === 0) continue;
+
+            callback(
+                this.voxelObjects[id],
+                baseX + (index & CHUNK_MASK),
+                baseY + ((index >> CHUNK_BITS) & CHUNK_MASK),
+                baseZ + (index >> (2 * CHUNK_BITS))
+            );
+        }
+    }
+
+    /**
+     * Call a function for every voxel inside a grid region (inclusive bounds)
+     * 
+     * @param {Object} min - Minimum grid position {x, y, z}
+     * @param {Object} max - Maximum grid position {x, y, z}
+     * @param {Function} callback - fn(voxel, x, y, z)
+     */
+    forEachVoxelInRegion(min, max, callback) {
+        for (let cz = min.z >> CHUNK_BITS; cz <= max.z >> CHUNK_BITS; cz++) {
+            for (let cy = min.y >> CHUNK_BITS; cy <= max.y >> CHUNK_BITS; cy++) {
+                for (let cx = min.x >> CHUNK_BITS; cx <= max.x >> CHUNK_BITS; cx++) {
+                    const chunk = this.getChunk(cx, cy, cz);
+                    if (!chunk || chunk.count === 0) continue;
+
+                    this.forEachVoxelInChunk(chunk, (voxel, x, y, z) => {
+                        if (x >= min.x && x <= max.x &&
+                            y >= min.y && y <= max.y &&
+                            z >= min.z && z <= max.z) {
+                            callback(voxel, x, y, z);
+                        }
+                    });
+                }
+            }
+        }
+    }
+
+    /**
+     * Get occupied face-adjacent neighbours of a grid cell
+     * 
+     * @param {number} x - Grid X (integer)
+     * @param {number} y - Grid Y (integer)
+     * @param {number} z - Grid Z (integer)
+     * @returns {Array} Neighbours [{x, y, z, voxel}, ...]
+     */
+    getNeighbors(x, y, z) {
+        const neighbors = [];
+
+        for (const [dx, dy, dz] of NEIGHBOR_OFFSETS) {
+            const voxel = this.getVoxel(x + dx, y + dy, z + dz);
+            if (voxel !== null) {
+                neighbors.push({ x: x + dx, y: y + dy, z: z + dz, voxel });
+            }
+        }
+
+        return neighbors;
+    }
+
+    /**
+     * Find the first stored voxel along a ray
+     * 
+     * Walks the grid cell by cell (Amanatides & Woo, 1987), so the cost
+     * depends on the ray length in cells, not on the number of voxels.
+     * Cell i covers world [(i - 0.5) * voxelSize, (i + 0.5) * voxelSize].
+     * 
+     * @param {Object} origin - Ray origin in world space {x, y, z}
+     * @param {Object} direction - Ray direction {x, y, z} (need not be normalized)
+     * @param {number} [maxDistance] - Ignore voxels further than this (world units)
+     * @returns {Object|null} {voxel, gridPosition, normal, point, distance}; normal is the
+     *   entered face as an axis vector ({0,0,0} when the ray starts inside the voxel)
+     */
+    raycast(origin, direction, maxDistance = Infinity) {
+        const length = Math.hypot(direction.x, direction.y, direction.z);
+        if (length === 0 || this.voxelCount === 0) return null;
+
+        const bounds = this.getOccupiedBounds();
+        const size = this.voxelSize;
+        const start = [origin.x, origin.y, origin.z];
+        const dir = [direction.x / length, direction.y / length, direction.z / length];
+        const min = [bounds.min.x, bounds.min.y, bounds.min.z];
+        const max = [bounds.max.x, bounds.max.y, bounds.max.z];
+
+        const cell = [0, 0, 0];
+        const step = [0, 0, 0];
+        const tMax = [Infinity, Infinity, Infinity];
+        const tDelta = [Infinity, Infinity, Infinity];
+
+        for (let axis = 0; axis < 3; axis++) {
+            cell[axis] = Math.round(start[axis] / size);
+            if (dir[axis] > 0) {
+                step[axis] = 1;
+                tMax[axis] = ((cell[axis] + 0.5) * size - start[axis]) / dir[axis];
+                tDelta[axis] = size / dir[axis];
+            } else if (dir[axis] < 0) {
+                step[axis] = -1;
+                tMax[axis] = ((cell[axis] - 0.5) * size - start[axis]) / dir[axis];
+                tDelta[axis] = -size / dir[axis];
+            }
+        }
+
+        let distance = 0;
+        let enteredAxis = -1;
+
+        for (;;) {
+            // Moving away from every stored voxel on some axis: nothing left to hit
+            for (let axis = 0; axis < 3; axis++) {
+                if ((cell[axis] < min[axis] && step[axis] <= 0) ||
+                    (cell[axis] > max[axis] && step[axis] >= 0)) {
+                    return null;
+                }
+            }
+
+            const voxel = this.getVoxel(cell[0], cell[1], cell[2]);
+            if (voxel !== null) {
+                const normal = { x: 0, y: 0, z: 0 };
+                if (enteredAxis !== -1) normal['xyz'[enteredAxis]] = -step[enteredAxis];
+
+                return {
+                    voxel,
+                    gridPosition: { x: cell[0], y: cell[1], z: cell[2] },
+                    normal,
+                    point: {
+                        x: start[0] + dir[0] * distance,
+                        y: start[1] + dir[1] * distance,
+                        z: start[2] + dir[2] * distance
+                    },
+                    distance
+                };
+            }
+
+            // Step into the next cell across the closest boundary
+            enteredAxis = tMax[0] < tMax[1]
+                ? (tMax[0] < tMax[2] ? 0 : 2)
+                : (tMax[1] < tMax[2] ? 1 : 2);
+            distance = tMax[enteredAxis];
+            if (distance > maxDistance) return null;
+
+            cell[enteredAxis] += step[enteredAxis];
+            tMax[enteredAxis] += tDelta[enteredAxis];
+        }
+    }
+
+    /**
+     * Get grid bounds of all non-empty chunks
+     * 
+     * @returns {Object} Bounds {min: {x,y,z}, max: {x,y,z}} (inclusive cell coordinates)
+     */
+    getOccupiedBounds() {
+        const min = { x: Infinity, y: Infinity, z: Infinity };
+        const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+
+        for (const chunk of this.chunks.values()) {
+            if (chunk.count === 0) continue;
+
+            for (const axis of ['x', 'y', 'z']) {
+                min[axis] = Math.min(min[axis], chunk[axis] * CHUNK_SIZE);
+                max[axis] = Math.max(max[axis], chunk[axis] * CHUNK_SIZE + CHUNK_MASK);
+            }
+        }
+
+        return { min, max };
+    }
+
+    /**
+     * Get chunks changed since their dirty flag was last cleared
+     * 
+     * @returns {Array} Dirty chunks
+     */
+    getDirtyChunks() {
+        const dirty = [];
+
+        for (const chunk of this.chunks.values()) {
+            if (chunk.dirty) dirty.push(chunk);
+        }
+
+        return dirty;
+    }
+
+    /**
+     * Clear a chunk's dirty flag (drops the chunk once it is empty)
+     * 
+     * @param {Object} chunk - Chunk
+     */
+    clearChunkDirty(chunk) {
+        chunk.dirty = false;
+
+        if (chunk.count === 0) {
+            this.chunks.delete(chunk.key);
+        }
+    }
+
+    /**
+     * Remove all voxels (chunks stay dirty until consumers have caught up)
+     */
+    clearVoxels() {
+        for (const chunk of this.chunks.values()) {
+            chunk.cells.fill(0);
+            chunk.count = 0;
+            chunk.dirty = true;
+        }
+
+        this.voxelObjects = [null];
+        this.freeVoxelIds = [];
+        this.voxelCount = 0;
+    }
+
+    /**
+     * Get number of stored voxels
+     * 
+     * @returns {number}
+     */
+    getVoxelCount() {
+        return this.voxelCount;
+    }
+
     /**
      * Check if a world position is exactly on the grid
      * 
@@ -326,6 +727,8 @@ export class VoxelGridSystem {
     getStats() {
         return {
             voxelSize: this.voxelSize,
+            voxelCount: this.voxelCount,
+            chunkCount: this.chunks.size,
             snapOperations: this.stats.snapOperations,
             conversions: this.stats.conversions
         };
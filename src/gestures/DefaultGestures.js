@@ -0,0 +1,100 @@
+/**
+ * Default Gestures - Built-in gesture definitions for the registry
+ *
+ * Thresholds stay in the detectors (GestureRecognizer, ClosedFistDetector,
+ * SwipeDetector); timing, cooldown and priority live here so the state
+ * machine can arbitrate, e.g. a fist outranks the pinch it may start as.
+ */
+
+import { ClosedFistDetector } from './ClosedFistDetector.js';
+import { SwipeDetector } from './SwipeDetector.js';
+
+/**
+ * Register the built-in gestures
+ * @param {GestureRegistry} registry - Registry to fill
+ * @param {GestureRecognizer} recognizer - Pinch / palm detection
+ * @returns {GestureRegistry} The registry
+ */
+export function registerDefaultGestures(registry, recognizer) {
+    const fistDetector = new ClosedFistDetector();
+    const swipeDetector = new SwipeDetector();
+
+    // Cooldown is handled by the state machine
+    swipeDetector.COOLDOWN_PERIOD = 0;
+
+    registry.register({
+        name: 'swipe',
+        hands: 'both',
+        priority: 40,
+        instant: true,
+        cooldownMs: 800,
+        predicate: (frame) => {
+            if (!frame.left || !frame.right) {
+                swipeDetector.reset();
+                return false;
+            }
+
+            const swipe = swipeDetector.detect(
+                frame.left,
+                frame.right,
+                frame.velocities.left,
+                frame.velocities.right
+            );
+            return swipe.isSwipe && { direction: swipe.direction, distance: swipe.distance };
+        }
+    });
+
+    registry.register({
+        name: 'two-hand-pinch',
+        hands: 'both',
+        priority: 30,
+        releaseMs: 100,
+        predicate: (frame) => {
+            if (!frame.left || !frame.right) return false;
+
+            const pinch = recognizer.detectTwoHandPinch(frame.left, frame.right);
+            return pinch.isActive && pinch;
+        }
+    });
+
+    registry.register({
+        name: 'fist',
+        hands: 'each',
+        priority: 20,
+        holdMs: 200,
+        releaseMs: 100,
+        predicate: (frame, hand) => {
+            if (!frame[hand]) return false;
+
+            const fist = fistDetector.detectGeometric(frame[hand]);
+            return fist.isFist && { confidence: fist.confidence, position: frame[hand][0] };
+        }
+    });
+
+    registry.register({
+        name: 'pinch',
+        hands: 'each',
+        priority: 10,
+        releaseMs: 100,
+        predicate: (frame, hand) => {
+            if (!frame[hand]) return false;
+
+            const pinch = recognizer.detectPinch(frame[hand]);
+            return pinch.isPinched && pinch;
+        }
+    });
+
+    registry.register({
+        name: 'palm-open',
+        hands: 'each',
+        priority: 5,
+        holdMs: 300,
+        releaseMs: 150,
+        predicate: (frame, hand) => {
+            if (!frame[hand]) return false;
+            return recognizer.detectPalmOpen(frame[hand]);
+        }
+    });
+
+    return registry;
+}
@@ -0,0 +1,355 @@
+/**
+ * Gesture Bindings - User-remappable gesture -> action table
+ *
+ * A binding fires an EventBus action when a gesture starts:
+ *
+ *   {
+ *     gesture: 'palm-open',                      // Registry name (built-in or 'custom:...')
+ *     hand: 'right',                             // 'left' | 'right' | 'both' | 'any'
+ *     when: { direction: 'left' },               // Optional match on gesture data
+ *     modifier: { gesture: 'fist', hand: 'left' }, // Optional gesture that must be held
+ *     action: 'mode-next'                        // Id from BINDABLE_ACTIONS
+ *   }
+ *
+ * Bindings are grouped in named profiles (e.g. a left-handed layout) kept
+ * in localStorage. The bindings panel edits them through *-requested
+ * events; 'gesture-bindings-changed' reports the current state.
+ */
+
+import { saveStored, loadStored } from '../state/LocalStore.js';
+
+export const BINDABLE_ACTIONS = [
+    { id: 'undo', label: 'Undo', event: 'undo-requested' },
+    { id: 'redo', label: 'Redo', event: 'redo-requested' },
+    { id: 'mode-next', label: 'Next mode', event: 'mode-next-requested' },
+    { id: 'mode-create', label: 'Create mode', event: 'mode-change-requested', data: { mode: 'create' } },
+    { id: 'mode-select', label: 'Select mode', event: 'mode-change-requested', data: { mode: 'select' } },
+    { id: 'mode-extrude', label: 'Extrude mode', event: 'mode-change-requested', data: { mode: 'extrude' } },
+    { id: 'mode-delete', label: 'Delete mode', event: 'mode-change-requested', data: { mode: 'delete' } },
+    { id: 'mode-csg', label: 'CSG mode', event: 'mode-change-requested', data: { mode: 'csg' } },
+    { id: 'save', label: 'Save scene', event: 'save-requested' },
+    { id: 'export', label: 'Export GLB', event: 'export-requested' },
+    { id: 'export-stl', label: 'Export STL', event: 'export-stl-requested' },
+    { id: 'toggle-grid', label: 'Toggle grid', event: 'grid-toggle-requested' },
+    { id: 'toggle-help', label: 'Toggle help', event: 'help-toggle-requested' }
+];
+
+// Right-handed layout: the left hand holds modifiers, the right hand acts
+const DEFAULT_BINDINGS = [
+    { gesture: 'swipe', hand: 'both', when: { direction: 'left' }, action: 'undo' },
+    { gesture: 'swipe', hand: 'both', when: { direction: 'right' }, action: 'redo' },
+    { gesture: 'palm-open', hand: 'right', modifier: { gesture: 'fist', hand: 'left' }, action: 'mode-next' }
+];
+
+const DEFAULT_PROFILE = 'Default';
+const LEFT_HANDED_PROFILE = 'Left-handed';
+
+export class GestureBindings {
+    /**
+     * @param {EventBus} eventBus - Event bus
+     * @param {GestureStateMachine} gestureMachine - Answers "is the modifier held?"
+     * @param {GestureRegistry} registry - Gestures offered for binding
+     * @param {Object} [options]
+     * @param {string} [options.storageKey] - localStorage key for the profiles
+     */
+    constructor(eventBus, gestureMachine, registry, options = {}) {
+        this.eventBus = eventBus;
+        this.gestureMachine = gestureMachine;
+        this.registry = registry;
+        this.storageKey = options.storageKey || 'handcraft3d-gesture-bindings';
+
+        this.profiles = this.createDefaultProfiles();
+        this.activeProfile = DEFAULT_PROFILE;
+
+        // Off while the gesture trainer records examples
+        this.enabled = true;
+
+        this.eventBus.on('gesture-start', (gesture) => this.handleGesture(gesture));
+        this.setupEditorEvents();
+    }
+
+    /**
+     * Built-in profiles
+     * @returns {Object} name -> bindings
+     */
+    createDefaultProfiles() {
+        return {
+            [DEFAULT_PROFILE]: DEFAULT_BINDINGS.map(binding => this.cloneBinding(binding)),
+            [LEFT_HANDED_PROFILE]: DEFAULT_BINDINGS.map(binding => this.mirrorBinding(binding))
+        };
+    }
+
+    /**
+     * Run the actions bound to a gesture that just started
+     * @param {Object} gesture - 'gesture-start' payload {name, hand, data}
+     */
+    handleGesture(gesture) {
+        if (!this.enabled) return;
+
+        for (const binding of this.getBindings()) {
+            if (this.matches(binding, gesture)) {
+                this.trigger(binding, gesture);
+            }
+        }
+    }
+
+    /**
+     * Check if a binding applies to a gesture
+     * @param {Object} binding - Binding
+     * @param {Object} gesture - {name, hand, data}
+     * @returns {boolean}
+     */
+    matches(binding, gesture) {
+        if (binding.gesture !== gesture.name) return false;
+        if (binding.hand !== 'any' && binding.hand !== gesture.hand) return false;
+
+        if (binding.when) {
+            for (const [key, value] of Object.entries(binding.when)) {
+                if (gesture.data?.[key] !== value) return false;
+            }
+        }
+
+        if (binding.modifier) {
+            const { gesture: name, hand } = binding.modifier;
+            if (!this.gestureMachine.isActive(name, hand === 'any' ? undefined : hand)) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Emit the action of a binding
+     * @param {Object} binding - Binding
+     * @param {Object} gesture - Triggering gesture
+     */
+    trigger(binding, gesture) {
+        const action = BINDABLE_ACTIONS.find(a => a.id === binding.action);
+        if (!action) {
+            console.warn(`Unknown gesture action: ${binding.action}`);
+            return;
+        }
+
+        console.log(`🕹️ ${gesture.name} (${gesture.hand}) → ${action.label}`);
+        this.eventBus.emit(action.event, { ...action.data, source: 'gesture', gesture });
+    }
+
+    /**
+     * Bindings of the active profile
+     * @returns {Array}
+     */
+    getBindings() {
+        return this.profiles[this.activeProfile] || [];
+    }
+
+    /**
+     * Replace a binding
+     * @param {number} index - Binding index in the active profile
+     * @param {Object} changes - Binding fields to change
+     */
+    updateBinding(index, changes) {
+        const bindings = this.getBindings();
+        if (!bindings[index]) return;
+
+        bindings[index] = this.fitHands(this.cloneBinding({ ...bindings[index], ...changes }));
+        this.commit();
+    }
+
+    /**
+     * Add a binding to the active profile
+     * @param {Object} [binding] - Binding (default: right palm open -> undo, edited afterwards)
+     */
+    addBinding(binding = { gesture: 'palm-open', hand: 'right', action: 'undo' }) {
+        this.getBindings().push(this.cloneBinding(binding));
+        this.commit();
+    }
+
+    /**
+     * Remove a binding from the active profile
+     * @param {number} index - Binding index
+     */
+    removeBinding(index) {
+        this.getBindings().splice(index, 1);
+        this.commit();
+    }
+
+    /**
+     * Switch profiles
+     * @param {string} name - Profile name
+     */
+    setActiveProfile(name) {
+        if (!this.profiles[name]) return;
+
+        this.activeProfile = name;
+        this.commit();
+        console.log(`🕹️ Gesture profile: ${name}`);
+    }
+
+    /**
+     * Create a profile (copy of the active one) and switch to it
+     * @param {string} name - Profile name
+     */
+    createProfile(name) {
+        const profileName = String(name || '').trim();
+        if (!profileName || this.profiles[profileName]) return;
+
+        this.profiles[profileName] = this.getBindings().map(binding => this.cloneBinding(binding));
+        this.setActiveProfile(profileName);
+    }
+
+    /**
+     * Delete a profile (built-in ones are reset instead)
+     * @param {string} name - Profile name
+     */
+    deleteProfile(name) {
+        const defaults = this.createDefaultProfiles();
+
+        if (defaults[name]) {
+            this.profiles[name] = defaults[name];
+        } else {
+            delete this.profiles[name];
+            if (this.activeProfile === name) this.activeProfile = DEFAULT_PROFILE;
+        }
+
+        this.commit();
+    }
+
+    /**
+     * Copy a binding, keeping known fields only
+     * @param {Object} binding - Binding
+     * @returns {Object}
+     */
+    cloneBinding(binding) {
+        const copy = {
+            gesture: binding.gesture,
+            hand: binding.hand || 'any',
+            action: binding.action
+        };
+        if (binding.when) copy.when = { ...binding.when };
+        if (binding.modifier && binding.modifier.gesture) copy.modifier = { ...binding.modifier };
+        return copy;
+    }
+
+    /**
+     * Hands a gesture can be bound to, from its registry 'hands' mode
+     * @param {string} name - Gesture name
+     * @returns {Array<string>} 'left' | 'right' | 'both' (empty if unknown)
+     */
+    getGestureHands(name) {
+        const gesture = this.registry.get(name);
+        if (!gesture) return [];
+        return gesture.hands === 'each' ? ['left', 'right'] : [gesture.hands];
+    }
+
+    /**
+     * Move a binding's hands onto ones its gestures can report, e.g. after
+     * switching from a one-hand gesture to a two-hand one
+     * @param {Object} binding - Binding (changed in place)
+     * @returns {Object} binding
+     */
+    fitHands(binding) {
+        const hands = this.getGestureHands(binding.gesture);
+        // 'any' only means something when there is a choice of hands
+        const allowed = hands.length > 1 ? ['any', ...hands] : hands;
+        if (hands.length && !allowed.includes(binding.hand)) binding.hand = allowed[0];
+
+        if (binding.modifier) {
+            const modifierHands = this.getGestureHands(binding.modifier.gesture);
+            if (modifierHands.length && !modifierHands.includes(binding.modifier.hand)) {
+                binding.modifier.hand = modifierHands[0];
+            }
+        }
+        return binding;
+    }
+
+    /**
+     * Swap left and right in a binding (left-handed layout)
+     * @param {Object} binding - Binding
+     * @returns {Object}
+     */
+    mirrorBinding(binding) {
+        const swap = (hand) => ({ left: 'right', right: 'left' })[hand] || hand;
+        const copy = this.cloneBinding(binding);
+
+        copy.hand = swap(copy.hand);
+        if (copy.modifier) copy.modifier.hand = swap(copy.modifier.hand);
+        return copy;
+    }
+
+    /**
+     * Listen for edits from the bindings panel
+     */
+    setupEditorEvents() {
+        this.eventBus.on('binding-update-requested', ({ index, changes }) => this.updateBinding(index, changes));
+        this.eventBus.on('binding-add-requested', () => this.addBinding());
+        this.eventBus.on('binding-remove-requested', ({ index }) => this.removeBinding(index));
+        this.eventBus.on('binding-profile-select-requested', ({ name }) => this.setActiveProfile(name));
+        this.eventBus.on('binding-profile-create-requested', ({ name }) => this.createProfile(name));
+        this.eventBus.on('binding-profile-delete-requested', ({ name }) => this.deleteProfile(name));
+
+        // Newly trained poses become bindable
+        this.eventBus.on('trained-gestures-changed', () => this.emitChanged());
+    }
+
+    /**
+     * Save and announce a change
+     */
+    commit() {
+        this.save();
+        this.emitChanged();
+    }
+
+    /**
+     * Announce profiles, bindings and what can be bound
+     */
+    emitChanged() {
+        this.eventBus.emit('gesture-bindings-changed', this.getState());
+    }
+
+    /**
+     * Current state for the bindings panel
+     * @returns {Object} {profiles, activeProfile, bindings, gestures, gestureHands, actions}
+     */
+    getState() {
+        const gestures = this.registry.getNames();
+
+        return {
+            profiles: Object.keys(this.profiles),
+            activeProfile: this.activeProfile,
+            bindings: this.getBindings().map(binding => this.cloneBinding(binding)),
+            gestures,
+            gestureHands: Object.fromEntries(gestures.map(name => [name, this.getGestureHands(name)])),
+            actions: BINDABLE_ACTIONS.map(({ id, label }) => ({ id, label }))
+        };
+    }
+
+    /**
+     * Save profiles to localStorage
+     */
+    save() {
+        saveStored(this.storageKey, {
+            version: 1,
+            activeProfile: this.activeProfile,
+            profiles: this.profiles
+        }, 'gesture bindings');
+    }
+
+    /**
+     * Load saved profiles (call at startup)
+     * @returns {boolean} True if saved bindings were found
+     */
+    load() {
+        const saved = loadStored(this.storageKey, 'gesture bindings');
+        if (!saved || saved.version !== 1 || !saved.profiles || typeof saved.profiles !== 'object') return false;
+
+        this.profiles = this.createDefaultProfiles();
+        for (const [name, bindings] of Object.entries(saved.profiles)) {
+            if (!Array.isArray(bindings)) continue;
+            this.profiles[name] = bindings
+                .filter(binding => binding && binding.gesture && binding.action)
+                .map(binding => this.cloneBinding(binding));
+        }
+
+        this.activeProfile = this.profiles[saved.activeProfile] ? saved.activeProfile : DEFAULT_PROFILE;
+        return true;
+    }
+}
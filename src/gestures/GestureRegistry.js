@@ -0,0 +1,115 @@
+/**
+ * Gesture Registry - Declarative gesture definitions
+ *
+ * Each gesture declares what it looks like and how it behaves in time:
+ *
+ *   {
+ *     name: 'fist',
+ *     hands: 'each',        // 'left' | 'right' | 'each' (per hand) | 'both' (two-hand)
+ *     priority: 20,         // Higher wins when gestures compete for a hand
+ *     holdMs: 200,          // Predicate must hold this long before 'gesture-start'
+ *     releaseMs: 100,       // ...and fail this long before 'gesture-end'
+ *     cooldownMs: 0,        // Quiet time after the gesture ends
+ *     instant: false,       // One-shot gesture (start + end in the same frame)
+ *     predicate: (frame, hand) => false | true | {data}
+ *   }
+ *
+ * The predicate gets a frame {left, right, velocities, timestamp} and,
+ * for 'each' gestures, the hand being tested. Returning an object both
+ * matches and passes that object along as event data.
+ * GestureStateMachine evaluates the registry every frame.
+ */
+
+const DEFAULT_DEFINITION = {
+    hands: 'each',
+    priority: 0,
+    holdMs: 0,
+    releaseMs: 0,
+    cooldownMs: 0,
+    instant: false,
+    enabled: true
+};
+
+const HAND_MODES = ['left', 'right', 'each', 'both'];
+
+export class GestureRegistry {
+    constructor() {
+        this.gestures = new Map(); // name -> definition
+    }
+
+    /**
+     * Add or replace a gesture
+     * @param {Object} definition - Gesture definition (see file header)
+     * @returns {Object} Stored definition with defaults applied
+     */
+    register(definition) {
+        if (!definition.name) {
+            throw new Error('Gesture definition needs a name');
+        }
+        if (typeof definition.predicate !== 'function') {
+            throw new Error(`Gesture "${definition.name}" needs a predicate function`);
+        }
+
+        const gesture = { ...DEFAULT_DEFINITION, ...definition };
+        if (!HAND_MODES.includes(gesture.hands)) {
+            throw new Error(`Gesture "${gesture.name}": hands must be one of ${HAND_MODES.join(', ')}`);
+        }
+
+        this.gestures.set(gesture.name, gesture);
+        return gesture;
+    }
+
+    /**
+     * Remove a gesture
+     * @param {string} name - Gesture name
+     * @returns {boolean} True if it existed
+     */
+    unregister(name) {
+        return this.gestures.delete(name);
+    }
+
+    /**
+     * Get a gesture definition
+     * @param {string} name - Gesture name
+     * @returns {Object|undefined}
+     */
+    get(name) {
+        return this.gestures.get(name);
+    }
+
+    /**
+     * Check if a gesture exists
+     * @param {string} name - Gesture name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.gestures.has(name);
+    }
+
+    /**
+     * Turn a gesture on or off without removing it
+     * @param {string} name - Gesture name
+     * @param {boolean} enabled - Enabled state
+     */
+    setEnabled(name, enabled) {
+        const gesture = this.gestures.get(name);
+        if (gesture) gesture.enabled = enabled;
+    }
+
+    /**
+     * Get all gestures, highest priority first
+     * @returns {Array} Definitions
+     */
+    getAll() {
+        return Array.from(this.gestures.values())
+            .sort((a, b) => b.priority - a.priority);
+    }
+
+    /**
+     * Get gesture names
+     * @returns {Array<string>}
+     */
+    getNames() {
+        return Array.from(this.gestures.keys());
+    }
+}
@@ -0,0 +1,244 @@
+/**
+ * Gesture State Machine - Timing and arbitration for registered gestures
+ *
+ * Every frame, gestures are evaluated highest priority first. Each gesture
+ * instance (one per hand for 'each' gestures) moves through:
+ *
+ *   idle -> pending (predicate holding, waiting holdMs) -> active -> idle
+ *
+ * An active gesture survives predicate misses for releaseMs, then ends and
+ * rests for cooldownMs. Instant gestures start and end in one frame.
+ *
+ * Arbitration: a pending or active gesture claims its hands. Lower-priority
+ * gestures can't start on a claimed hand, and an active one is ended
+ * ('preempted') once a higher-priority gesture becomes active on its hand.
+ *
+ * Events: 'gesture-start', 'gesture-update' {name, hand, data, timestamp}
+ *         'gesture-end' {name, hand, data, timestamp, duration, reason}
+ */
+
+const PHASE = {
+    IDLE: 'idle',
+    PENDING: 'pending',
+    ACTIVE: 'active'
+};
+
+export class GestureStateMachine {
+    /**
+     * @param {GestureRegistry} registry - Gesture definitions
+     * @param {EventBus} eventBus - Event bus
+     */
+    constructor(registry, eventBus) {
+        this.registry = registry;
+        this.eventBus = eventBus;
+
+        this.states = new Map(); // 'name:hand' -> {name, hand, phase, since, lastMatch, cooldownUntil, data}
+    }
+
+    /**
+     * Evaluate all gestures for a frame
+     * @param {Object} frame - {left, right, velocities, timestamp}
+     */
+    update(frame) {
+        const now = frame.timestamp;
+        const claims = new Map(); // hand -> phase of the claiming gesture
+
+        for (const gesture of this.registry.getAll()) {
+            for (const hand of this.getInstanceHands(gesture)) {
+                const phase = this.updateInstance(gesture, hand, frame, claims, now);
+
+                if (phase !== PHASE.IDLE) {
+                    for (const claimed of this.getClaimedHands(hand)) {
+                        if (!claims.has(claimed)) claims.set(claimed, phase);
+                    }
+                }
+            }
+        }
+
+        // Gestures removed from the registry end too
+        for (const [key, state] of this.states) {
+            if (!this.registry.has(state.name)) {
+                if (state.phase === PHASE.ACTIVE) this.end(state, now, 'removed');
+                this.states.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Advance one gesture instance
+     * @returns {string} Phase after this frame
+     */
+    updateInstance(gesture, hand, frame, claims, now) {
+        const state = this.getState(gesture.name, hand);
+        const claimedHands = this.getClaimedHands(hand);
+
+        if (!gesture.enabled) {
+            if (state.phase === PHASE.ACTIVE) this.end(state, now, 'disabled');
+            state.phase = PHASE.IDLE;
+            return state.phase;
+        }
+
+        // Active gestures yield only to active ones, new gestures to any claim
+        const blocked = state.phase === PHASE.ACTIVE
+            ? claimedHands.some(h => claims.get(h) === PHASE.ACTIVE)
+            : claimedHands.some(h => claims.has(h));
+
+        if (blocked) {
+            if (state.phase === PHASE.ACTIVE) this.end(state, now, 'preempted');
+            state.phase = PHASE.IDLE;
+            return state.phase;
+        }
+
+        if (state.phase === PHASE.IDLE && now < state.cooldownUntil) {
+            return state.phase;
+        }
+
+        const result = gesture.predicate(frame, hand === 'both' ? undefined : hand);
+        const matched = Boolean(result);
+        const data = typeof result === 'object' && result !== null ? result : {};
+
+        switch (state.phase) {
+            case PHASE.IDLE:
+                if (!matched) break;
+
+                if (gesture.instant) {
+                    state.data = data;
+                    state.since = now;
+                    this.emit('gesture-start', gesture.name, hand, data, now);
+                    this.end(state, now, 'instant');
+                    state.cooldownUntil = now + gesture.cooldownMs;
+                    // Claims its hands for this frame only
+                    return PHASE.ACTIVE;
+                }
+
+                state.phase = PHASE.PENDING;
+                state.since = now;
+                // falls through: zero hold time starts right away
+
+            case PHASE.PENDING:
+                if (!matched) {
+                    state.phase = PHASE.IDLE;
+                } else if (now - state.since >= gesture.holdMs) {
+                    state.phase = PHASE.ACTIVE;
+                    state.since = now;
+                    state.lastMatch = now;
+                    state.data = data;
+                    this.emit('gesture-start', gesture.name, hand, data, now);
+                }
+                break;
+
+            case PHASE.ACTIVE:
+                if (matched) {
+                    state.lastMatch = now;
+                    state.data = data;
+                    this.emit('gesture-update', gesture.name, hand, data, now);
+                } else if (now - state.lastMatch >= gesture.releaseMs) {
+                    this.end(state, now, 'released');
+                    state.cooldownUntil = now + gesture.cooldownMs;
+                }
+                break;
+        }
+
+        return state.phase;
+    }
+
+    /**
+     * End an active gesture
+     */
+    end(state, now, reason) {
+        state.phase = PHASE.IDLE;
+
+        this.eventBus.emit('gesture-end', {
+            name: state.name,
+            hand: state.hand,
+            data: state.data,
+            timestamp: now,
+            duration: now - state.since,
+            reason
+        });
+    }
+
+    /**
+     * Emit a gesture event
+     */
+    emit(event, name, hand, data, timestamp) {
+        this.eventBus.emit(event, { name, hand, data, timestamp });
+    }
+
+    /**
+     * Instances of a gesture: one per hand for 'each', otherwise one
+     * @param {Object} gesture - Definition
+     * @returns {Array<string>} 'left' | 'right' | 'both'
+     */
+    getInstanceHands(gesture) {
+        return gesture.hands === 'each' ? ['left', 'right'] : [gesture.hands];
+    }
+
+    /**
+     * Hands an instance occupies
+     * @param {string} hand - 'left' | 'right' | 'both'
+     * @returns {Array<string>}
+     */
+    getClaimedHands(hand) {
+        return hand === 'both' ? ['left', 'right'] : [hand];
+    }
+
+    /**
+     * Get (or create) the state of a gesture instance
+     */
+    getState(name, hand) {
+        const key = `${name}:${hand}`;
+        if (!this.states.has(key)) {
+            this.states.set(key, {
+                name,
+                hand,
+                phase: PHASE.IDLE,
+                since: 0,
+                lastMatch: 0,
+                cooldownUntil: -Infinity,
+                data: {}
+            });
+        }
+        return this.states.get(key);
+    }
+
+    /**
+     * Check if a gesture is active
+     * @param {string} name - Gesture name
+     * @param {string} [hand] - 'left' | 'right' | 'both' (default: any)
+     * @returns {boolean}
+     */
+    isActive(name, hand) {
+        for (const state of this.states.values()) {
+            if (state.name !== name || state.phase !== PHASE.ACTIVE) continue;
+            if (!hand || state.hand === hand) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Get all active gestures
+     * @returns {Array} [{name, hand, data, since}]
+     */
+    getActive() {
+        const active = [];
+        for (const state of this.states.values()) {
+            if (state.phase !== PHASE.ACTIVE) continue;
+            active.push({ name: state.name, hand: state.hand, data: state.data, since: state.since });
+        }
+        return active;
+    }
+
+    /**
+     * End all active gestures and clear timing state
+     * @param {number} [timestamp] - Current time (ms)
+     */
+    reset(timestamp = performance.now()) {
+        for (const state of this.states.values()) {
+            if (state.phase === PHASE.ACTIVE) {
+                this.end(state, timestamp, 'reset');
+            }
+        }
+        this.states.clear();
+    }
+}
@@ -0,0 +1,425 @@
+/**
+ * Gesture Trainer - Custom poses learned from recorded examples
+ *
+ * Records labelled landmark samples and classifies live hands with
+ * k-nearest neighbours, so new poses (e.g. a peace sign) need no geometry
+ * code. Landmarks are normalized before comparison:
+ * - wrist-relative (position in the image doesn't matter)
+ * - scaled by palm length (distance to the camera doesn't matter)
+ * - rotated so the palm points up (hand tilt doesn't matter)
+ * - left hands mirrored, so one set of samples serves both hands
+ *
+ * Each label becomes a registry gesture (see registerGestures), so trained
+ * poses go through the same timing and arbitration as built-in ones.
+ *
+ * Events: 'gesture-training-progress' {label, count, total},
+ *         'gesture-training-complete' {label, count},
+ *         'trained-gestures-changed' {labels}
+ */
+
+import { saveStored, loadStored } from '../state/LocalStore.js';
+
+const WRIST = 0;
+const MIDDLE_MCP = 9;
+const FORMAT = 'handcraft3d-gestures';
+
+export class GestureTrainer {
+    /**
+     * @param {EventBus} eventBus - Event bus
+     * @param {Object} [config]
+     * @param {number} [config.k=5] - Neighbours that vote
+     * @param {number} [config.rejectDistance=0.25] - Max mean neighbour distance for a match (palm lengths per landmark)
+     * @param {number} [config.aspect=16/9] - Video width / height (landmarks are normalized per axis)
+     * @param {string} [config.storageKey] - localStorage key for the trained set
+     */
+    constructor(eventBus, config = {}) {
+        this.eventBus = eventBus;
+        this.k = config.k ?? 5;
+        this.rejectDistance = config.rejectDistance ?? 0.25;
+        this.aspect = config.aspect ?? 16 / 9;
+        this.storageKey = config.storageKey || 'handcraft3d-trained-gestures';
+
+        this.samples = new Map(); // label -> [Float32Array]
+        this.recording = null;    // {label, hand, total, count}
+
+        // classify() runs once per label per frame, remember the last answer per hand
+        this.lastClassified = new Map(); // hand -> {landmarks, result}
+
+        // Registry the labels are registered in (see registerGestures)
+        this.registry = null;
+        this.gestureOptions = {};
+    }
+
+    /**
+     * Normalize landmarks into a pose vector
+     * @param {Array} landmarks - 21 MediaPipe landmarks
+     * @param {string} [hand='right'] - 'left' hands are mirrored
+     * @returns {Float32Array} 63 values (x, y, z per landmark)
+     */
+    normalize(landmarks, hand = 'right') {
+        const wrist = landmarks[WRIST];
+        const mirror = hand === 'left' ? -1 : 1;
+
+        // Image x is stretched by the aspect ratio, undo it before measuring angles
+        const points = landmarks.map(point => ({
+            x: (point.x - wrist.x) * this.aspect * mirror,
+            y: point.y - wrist.y,
+            z: (point.z - wrist.z) * this.aspect
+        }));
+
+        // Palm direction (wrist -> middle finger base) becomes straight up (-y)
+        const palm = points[MIDDLE_MCP];
+        const scale = Math.hypot(palm.x, palm.y, palm.z) || 1;
+        const angle = Math.atan2(-palm.x, -palm.y);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        const vector = new Float32Array(points.length * 3);
+        points.forEach((point, i) => {
+            vector[i * 3] = (point.x * cos - point.y * sin) / scale;
+            vector[i * 3 + 1] = (point.x * sin + point.y * cos) / scale;
+            vector[i * 3 + 2] = point.z / scale;
+        });
+
+        return vector;
+    }
+
+    /**
+     * Add one example of a pose
+     * @param {string} label - Pose name
+     * @param {Array} landmarks - Hand landmarks
+     * @param {string} [hand='right'] - Hand the landmarks belong to
+     */
+    addSample(label, landmarks, hand = 'right') {
+        if (!this.samples.has(label)) {
+            this.samples.set(label, []);
+        }
+        this.samples.get(label).push(this.normalize(landmarks, hand));
+        this.lastClassified.clear();
+    }
+
+    /**
+     * Start collecting samples for a pose from live frames (see record)
+     * @param {string} label - Pose name
+     * @param {Object} [options]
+     * @param {number} [options.samples=30] - Frames to collect
+     * @param {string} [options.hand] - Only record this hand (default: first visible)
+     */
+    startRecording(label, options = {}) {
+        const name = String(label || '').trim();
+        if (!name) throw new Error('Gesture name is empty');
+
+        this.recording = {
+            label: name,
+            hand: options.hand || null,
+            total: options.samples ?? 30,
+            count: 0
+        };
+
+        console.log(`🎓 Recording gesture "${name}"...`);
+    }
+
+    /**
+     * Feed a live frame while recording
+     * @param {Object} hands - {left, right} landmarks
+     */
+    record(hands) {
+        const recording = this.recording;
+        if (!recording) return;
+
+        const hand = recording.hand || (hands.right ? 'right' : 'left');
+        const landmarks = hands[hand];
+        if (!landmarks) return;
+
+        this.addSample(recording.label, landmarks, hand);
+        recording.count++;
+
+        this.eventBus.emit('gesture-training-progress', {
+            label: recording.label,
+            count: recording.count,
+            total: recording.total
+        });
+
+        if (recording.count >= recording.total) {
+            this.recording = null;
+            this.save();
+            this.syncRegistry();
+
+            console.log(`✅ Gesture "${recording.label}" recorded (${this.samples.get(recording.label).length} samples)`);
+            this.eventBus.emit('gesture-training-complete', { label: recording.label, count: recording.count });
+            this.emitChanged();
+        }
+    }
+
+    /**
+     * Stop recording early (samples so far are kept)
+     */
+    cancelRecording() {
+        if (!this.recording) return;
+
+        const { label } = this.recording;
+        this.recording = null;
+
+        if (this.samples.has(label)) {
+            this.save();
+            this.syncRegistry();
+            this.emitChanged();
+        }
+    }
+
+    /**
+     * Check if samples are being recorded
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    /**
+     * Classify a hand pose
+     * @param {Array} landmarks - Hand landmarks
+     * @param {string} [hand='right'] - Hand the landmarks belong to
+     * @returns {Object|null} {label, confidence, distance}, or null if nothing is close
+     */
+    classify(landmarks, hand = 'right') {
+        const cached = this.lastClassified.get(hand);
+        if (cached && cached.landmarks === landmarks) return cached.result;
+
+        const result = this.findNearest(this.normalize(landmarks, hand));
+        this.lastClassified.set(hand, { landmarks, result });
+        return result;
+    }
+
+    /**
+     * k-nearest-neighbour vote over all samples
+     * @param {Float32Array} vector - Normalized pose
+     * @returns {Object|null} {label, confidence, distance}
+     */
+    findNearest(vector) {
+        const neighbours = [];
+
+        for (const [label, samples] of this.samples) {
+            for (const sample of samples) {
+                neighbours.push({ label, distance: this.distance(vector, sample) });
+            }
+        }
+
+        if (neighbours.length === 0) return null;
+
+        neighbours.sort((a, b) => a.distance - b.distance);
+        const nearest = neighbours.slice(0, this.k);
+
+        const votes = new Map();
+        for (const { label, distance } of nearest) {
+            const vote = votes.get(label) || { count: 0, distance: 0 };
+            vote.count++;
+            vote.distance += distance;
+            votes.set(label, vote);
+        }
+
+        let best = null;
+        for (const [label, vote] of votes) {
+            if (!best || vote.count > best.count || (vote.count === best.count && vote.distance < best.distance)) {
+                best = { label, ...vote };
+            }
+        }
+
+        // Far from every example: an untrained pose
+        const distance = best.distance / best.count;
+        if (distance > this.rejectDistance) return null;
+
+        return {
+            label: best.label,
+            confidence: best.count / nearest.length,
+            distance
+        };
+    }
+
+    /**
+     * Mean per-landmark distance between two pose vectors
+     * @returns {number}
+     */
+    distance(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i += 3) {
+            sum += Math.hypot(a[i] - b[i], a[i + 1] - b[i + 1], a[i + 2] - b[i + 2]);
+        }
+        return sum / (a.length / 3);
+    }
+
+    /**
+     * Register every trained pose as a gesture, and keep doing so as the set changes
+     * @param {GestureRegistry} registry - Gesture registry
+     * @param {Object} [options] - Definition overrides (priority, holdMs, ...)
+     */
+    registerGestures(registry, options = {}) {
+        this.registry = registry;
+        this.gestureOptions = options;
+        this.syncRegistry();
+    }
+
+    /**
+     * Bring the registry in line with the trained labels
+     */
+    syncRegistry() {
+        if (!this.registry) return;
+
+        for (const name of this.registry.getNames()) {
+            const gesture = this.registry.get(name);
+            if (gesture.trained && !this.samples.has(gesture.label)) {
+                this.registry.unregister(name);
+            }
+        }
+
+        for (const label of this.samples.keys()) {
+            this.registry.register({
+                name: GestureTrainer.getGestureName(label),
+                label,
+                trained: true,
+                hands: 'each',
+                priority: 25,
+                holdMs: 250,
+                releaseMs: 150,
+                ...this.gestureOptions,
+                predicate: (frame, hand) => {
+                    // Don't trigger on the poses being recorded
+                    if (this.recording || !frame[hand]) return false;
+
+                    const match = this.classify(frame[hand], hand);
+                    return match?.label === label && { confidence: match.confidence };
+                }
+            });
+        }
+    }
+
+    /**
+     * Registry name of a trained pose
+     * @param {string} label - Pose name
+     * @returns {string}
+     */
+    static getGestureName(label) {
+        return `custom:${label}`;
+    }
+
+    /**
+     * Trained poses and their sample counts
+     * @returns {Array} [{label, count}]
+     */
+    getLabels() {
+        return Array.from(this.samples, ([label, samples]) => ({ label, count: samples.length }));
+    }
+
+    /**
+     * Forget a pose
+     * @param {string} label - Pose name
+     */
+    removeLabel(label) {
+        if (!this.samples.delete(label)) return;
+
+        this.lastClassified.clear();
+        this.save();
+        this.syncRegistry();
+        this.emitChanged();
+    }
+
+    /**
+     * Trained set as a plain object
+     * @returns {Object} {format, version, gestures: {label: [[63 numbers]]}}
+     */
+    toJSON() {
+        const gestures = {};
+        for (const [label, samples] of this.samples) {
+            gestures[label] = samples.map(sample => Array.from(sample, value => Math.round(value * 1e4) / 1e4));
+        }
+
+        return { format: FORMAT, version: 1, gestures };
+    }
+
+    /**
+     * Load a trained set
+     * @param {Object|string} data - toJSON() output (object or JSON)
+     * @param {Object} [options]
+     * @param {boolean} [options.merge=false] - Add to current poses instead of replacing them
+     * @returns {number} Number of poses loaded
+     */
+    fromJSON(data, options = {}) {
+        const set = typeof data === 'string' ? JSON.parse(data) : data;
+
+        if (!set || set.format !== FORMAT || !set.gestures || typeof set.gestures !== 'object') {
+            throw new Error('Not a HandCraft3D gesture set');
+        }
+
+        const loaded = new Map();
+        for (const [label, samples] of Object.entries(set.gestures)) {
+            if (!Array.isArray(samples)) continue;
+
+            // NaN in a sample would poison every distance it is part of
+            const valid = samples.filter(sample =>
+                Array.isArray(sample) && sample.length === 63 && sample.every(Number.isFinite)
+            );
+            if (valid.length > 0) loaded.set(label, valid.map(sample => Float32Array.from(sample)));
+        }
+
+        if (!options.merge) this.samples.clear();
+        for (const [label, samples] of loaded) {
+            this.samples.set(label, [...(options.merge ? this.samples.get(label) || [] : []), ...samples]);
+        }
+
+        this.lastClassified.clear();
+        this.save();
+        this.syncRegistry();
+        this.emitChanged();
+
+        return loaded.size;
+    }
+
+    /**
+     * Download the trained set as a JSON file
+     * @param {string} filename - Output filename
+     */
+    download(filename = 'handcraft3d-gestures.json') {
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        console.log(`💾 Gesture set saved: ${filename}`);
+    }
+
+    /**
+     * Save the trained set to localStorage
+     */
+    save() {
+        saveStored(this.storageKey, this.toJSON(), 'trained gestures');
+    }
+
+    /**
+     * Load the trained set from localStorage (call at startup)
+     * @returns {boolean} True if a set was loaded
+     */
+    load() {
+        return loadStored(this.storageKey, 'trained gestures', saved => this.fromJSON(saved)) !== null;
+    }
+
+    /**
+     * Update the video aspect ratio after a resolution change
+     * @param {number} width - Video width
+     * @param {number} height - Video height
+     */
+    updateResolution(width, height) {
+        if (width > 0 && height > 0) {
+            this.aspect = width / height;
+            this.lastClassified.clear();
+        }
+    }
+
+    /**
+     * Announce the trained labels
+     */
+    emitChanged() {
+        this.eventBus.emit('trained-gestures-changed', { labels: this.getLabels() });
+    }
+}
@@ -19,7 +19,7 @@ export class GrabDetector {
         this.fistDetector = new ClosedFistDetector();
 
         // Grab configuration
-        this.GRAB_RADIUS = 0.2;            // Max distance to grab (world units)
+        this.GRAB_RADIUS = 4.5;            // Max distance to grab (world units, 1.5 voxels)
         this.MIN_CONFIDENCE = 0.7;         // Minimum fist confidence to grab
 
         // State
@@ -56,26 +56,25 @@ export class GrabDetector {
             };
         }
 
+        // Held objects follow the fist wherever it goes
+        if (this.isGrabbing) {
+            return {
+                isGrabbing: true,
+                justGrabbed: false,
+                grabbedObjects: this.grabbedObjects,
+                grabStartPosition: this.grabStartPosition,
+                currentPosition: handWorldPosition,
+                fistConfidence: fistResult.confidence
+            };
+        }
+
         // Fist detected - check proximity to selected objects
         if (selectedObjects && selectedObjects.size > 0) {
             const nearestObject = this.findNearestObject(handWorldPosition, selectedObjects);
 
             if (nearestObject && nearestObject.distance <= this.GRAB_RADIUS) {
                 // Hand close enough to grab
-                if (!this.isGrabbing) {
-                    return this.startGrab(handWorldPosition, selectedObjects, fistResult);
-                }
-
-                return {
-                    isGrabbing: true,
-                    justGrabbed: false,
-                    grabbedObjects: this.grabbedObjects,
-                    grabStartPosition: this.grabStartPosition,
-                    currentPosition: handWorldPosition,
-                    fistConfidence: fistResult.confidence,
-                    nearestObject: nearestObject.object,
-                    distance: nearestObject.distance
-                };
+                return this.startGrab(handWorldPosition, selectedObjects, fistResult);
             }
         }
 
@@ -5,12 +5,14 @@
  * 
  * Swipe Left = Undo
  * Swipe Right = Redo
+ *
+ * Directions are as seen on the (mirrored) screen.
  */
 
 export class SwipeDetector {
     constructor() {
         // Swipe thresholds
-        this.SWIPE_VELOCITY_THRESHOLD = 0.1;  // Minimum velocity
+        this.SWIPE_VELOCITY_THRESHOLD = 0.02; // Minimum velocity (per frame)
         this.SWIPE_DISTANCE_THRESHOLD = 0.15; // Minimum distance
         this.SWIPE_TIME_WINDOW = 500;         // Max time for swipe (ms)
         this.COOLDOWN_PERIOD = 800;           // Cooldown between swipes
@@ -58,11 +60,14 @@ export class SwipeDetector {
             return { isSwipe: false, reason: 'tracking' };
         }
 
-        // Check if both hands moving in same direction
+        // Both hands must move the same way
         const velocityX = (leftVelocity.x + rightVelocity.x) / 2;
         const velocityMagnitude = Math.abs(velocityX);
+        const sameDirection = Math.sign(leftVelocity.x) === Math.sign(rightVelocity.x);
 
-        if (velocityMagnitude < this.SWIPE_VELOCITY_THRESHOLD) {
+        // Hands at rest (or moving apart): the swipe starts wherever they begin to move
+        if (velocityMagnitude < this.SWIPE_VELOCITY_THRESHOLD || !sameDirection) {
+            this.swipeStartPositions = null;
             return { isSwipe: false, reason: 'low-velocity' };
         }
 
@@ -83,8 +88,8 @@ export class SwipeDetector {
             return { isSwipe: false, reason: 'too-slow' };
         }
 
-        // Determine swipe direction
-        const direction = velocityX > 0 ? 'right' : 'left';
+        // Determine swipe direction (camera X grows toward the user's left)
+        const direction = velocityX > 0 ? 'left' : 'right';
 
         // Swipe detected!
         this.lastSwipeTime = now;
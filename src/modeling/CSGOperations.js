@@ -1,13 +1,18 @@
 /**
  * CSG Operations Wrapper
  * Provides Constructive Solid Geometry operations
- * Note: This is a placeholder for future csg.js integration
+ * Booleans are computed with a BSP tree (see CSGSolid)
+ * Grid voxels take part as temporary box meshes (they have no mesh of their own)
  */
 
+import * as THREE from 'three';
+import { CSGSolid } from './CSGSolid.js';
+
 export class CSGOperations {
-    constructor(scene, eventBus) {
+    constructor(scene, eventBus, gridSystem) {
         this.scene = scene;
         this.eventBus = eventBus;
+        this.gridSystem = gridSystem;
 
         // CSG state
         this.operationMode = null; // 'union', 'subtract', 'intersect'
@@ -21,34 +26,23 @@ export class CSGOperations {
      * @returns {THREE.Mesh} Result mesh
      */
     union(meshes) {
-        console.log('🔨 Union operation (placeholder - requires csg.js)');
-        // TODO: Implement actual CSG union when csg.js is integrated
-
-        this.eventBus.emit('csg-operation', {
-            type: 'union',
-            meshes: meshes
-        });
-
-        return null;
+        return this.performOperation('union', meshes, (solids) =>
+            solids.reduce((result, solid) => result.union(solid))
+        );
     }
 
     /**
      * Perform subtract operation (difference)
      * @param {THREE.Mesh} baseMesh - Base mesh
-     * @param {THREE.Mesh} subtractMesh - Mesh to subtract
+     * @param {THREE.Mesh|Array} subtractMesh - Mesh (or meshes) to subtract
      * @returns {THREE.Mesh} Result mesh
      */
     subtract(baseMesh, subtractMesh) {
-        console.log('🔨 Subtract operation (placeholder - requires csg.js)');
-        // TODO: Implement actual CSG subtract when csg.js is integrated
+        const cutters = Array.isArray(subtractMesh) ? subtractMesh : [subtractMesh];
 
-        this.eventBus.emit('csg-operation', {
-            type: 'subtract',
-            baseMesh: baseMesh,
-            subtractMesh: subtractMesh
-        });
-
-        return null;
+        return this.performOperation('subtract', [baseMesh, ...cutters], ([base, ...rest]) =>
+            rest.reduce((result, solid) => result.subtract(solid), base)
+        );
     }
 
     /**
@@ -57,15 +51,110 @@ export class CSGOperations {
      * @returns {THREE.Mesh} Result mesh
      */
     intersect(meshes) {
-        console.log('🔨 Intersect operation (placeholder - requires csg.js)');
-        // TODO: Implement actual CSG intersect when csg.js is integrated
+        return this.performOperation('intersect', meshes, (solids) =>
+            solids.reduce((result, solid) => result.intersect(solid))
+        );
+    }
+
+    /**
+     * Run a boolean operation and emit the result for undo/redo
+     * @param {string} type - Operation type
+     * @param {Array} meshes - Input meshes and grid voxels
+     * @param {Function} combine - Combines CSG solids into one
+     * @returns {THREE.Mesh|null} Result mesh
+     */
+    performOperation(type, meshes, combine) {
+        const inputs = Array.from(meshes).filter(
+            object => object && (object.isVoxel || (object.isMesh && object.geometry))
+        );
+
+        if (inputs.length < 2) {
+            console.warn(`CSG ${type} needs at least 2 meshes (got ${inputs.length})`);
+            this.eventBus.emit('csg-failed', { type, reason: 'not-enough-meshes' });
+            return null;
+        }
+
+        this.operationMode = type;
+
+        const startTime = performance.now();
+        const solidMeshes = inputs.map(object => (object.isVoxel ? this.createVoxelMesh(object) : object));
+        const resultSolid = combine(solidMeshes.map(mesh => CSGSolid.fromMesh(mesh)));
+        const result = resultSolid.isEmpty() ? null : this.createResultMesh(resultSolid, solidMeshes[0], type);
+
+        // Voxel stand-ins are only needed for the boolean itself
+        solidMeshes.forEach((mesh, i) => {
+            if (!inputs[i].isVoxel) return;
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+
+        if (!result) {
+            console.warn(`CSG ${type} produced an empty result`);
+            this.eventBus.emit('csg-failed', { type, reason: 'empty-result' });
+            this.operationMode = null;
+            return null;
+        }
 
+        console.log(`🔨 CSG ${type}: ${inputs.length} meshes → ${resultSolid.polygons.length} polygons (${Math.round(performance.now() - startTime)}ms)`);
+
+        // Scene replacement is done by CSGCommand so it can be undone
         this.eventBus.emit('csg-operation', {
-            type: 'intersect',
-            meshes: meshes
+            type,
+            inputs,
+            result
         });
 
-        return null;
+        this.operationMode = null;
+
+        return result;
+    }
+
+    /**
+     * Build a temporary box mesh standing in for a grid voxel
+     * @param {Voxel} voxel - Grid voxel
+     * @returns {THREE.Mesh} Box mesh at the voxel's cell
+     */
+    createVoxelMesh(voxel) {
+        const size = this.gridSystem.voxelSize;
+        const mesh = new THREE.Mesh(
+            new THREE.BoxGeometry(size, size, size),
+            new THREE.MeshStandardMaterial({ color: voxel.color, roughness: 0.6, metalness: 0.4 })
+        );
+        mesh.position.copy(voxel.position);
+
+        return mesh;
+    }
+
+    /**
+     * Build result mesh from a CSG solid
+     * @param {CSGSolid} solid - Result solid (world space)
+     * @param {THREE.Mesh} sourceMesh - Mesh to copy material from
+     * @param {string} type - Operation type
+     * @returns {THREE.Mesh} Result mesh
+     */
+    createResultMesh(solid, sourceMesh, type) {
+        const geometry = solid.toGeometry();
+
+        // Re-center geometry so the mesh rotates/scales around its own center
+        const center = new THREE.Vector3();
+        geometry.boundingBox.getCenter(center);
+        geometry.translate(-center.x, -center.y, -center.z);
+
+        const sourceMaterial = Array.isArray(sourceMesh.material)
+            ? sourceMesh.material[0]
+            : sourceMesh.material;
+
+        const mesh = new THREE.Mesh(geometry, sourceMaterial.clone());
+        mesh.position.copy(center);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+
+        // Mark as user-created CSG result
+        mesh.userData.isCSGResult = true;
+        mesh.userData.csgOperation = type;
+        mesh.userData.createdAt = Date.now();
+
+        return mesh;
     }
 
     /**
@@ -0,0 +1,440 @@
+/**
+ * CSG Solid - BSP-tree Constructive Solid Geometry
+ *
+ * Polygon-soup boolean operations based on Evan Wallace's csg.js:
+ * each solid is stored as a list of convex polygons, and booleans are
+ * computed by clipping the polygons of one solid against a BSP tree of
+ * the other.
+ *
+ * All polygons are kept in world space so meshes with different
+ * transforms can be combined directly.
+ */
+
+import * as THREE from 'three';
+
+// Tolerance used to classify points against planes
+const EPSILON = 1e-5;
+
+const COPLANAR = 0;
+const FRONT = 1;
+const BACK = 2;
+const SPANNING = 3;
+
+/**
+ * Polygon vertex (position + normal)
+ */
+class Vertex {
+    constructor(position, normal) {
+        this.position = position;
+        this.normal = normal;
+    }
+
+    clone() {
+        return new Vertex(this.position.clone(), this.normal.clone());
+    }
+
+    /**
+     * Invert orientation (used when flipping a solid inside out)
+     */
+    flip() {
+        this.normal.negate();
+    }
+
+    /**
+     * Linear interpolation towards another vertex
+     * @param {Vertex} other - Target vertex
+     * @param {number} t - Interpolation factor
+     * @returns {Vertex} New vertex
+     */
+    interpolate(other, t) {
+        return new Vertex(
+            this.position.clone().lerp(other.position, t),
+            this.normal.clone().lerp(other.normal, t)
+        );
+    }
+}
+
+/**
+ * Oriented plane (normal + distance from origin)
+ */
+class Plane {
+    constructor(normal, w) {
+        this.normal = normal;
+        this.w = w;
+    }
+
+    /**
+     * Build plane from three points (counter-clockwise winding)
+     * @returns {Plane|null} Plane, or null for degenerate input
+     */
+    static fromPoints(a, b, c) {
+        const normal = new THREE.Vector3()
+            .subVectors(b, a)
+            .cross(new THREE.Vector3().subVectors(c, a));
+
+        if (normal.lengthSq() < EPSILON * EPSILON) {
+            return null;
+        }
+
+        normal.normalize();
+        return new Plane(normal, normal.dot(a));
+    }
+
+    clone() {
+        return new Plane(this.normal.clone(), this.w);
+    }
+
+    flip() {
+        this.normal.negate();
+        this.w = -this.w;
+    }
+
+    /**
+     * Split polygon by this plane, sorting the pieces into the given lists
+     * @param {Polygon} polygon - Polygon to split
+     * @param {Array} coplanarFront - Coplanar polygons facing the same way
+     * @param {Array} coplanarBack - Coplanar polygons facing the other way
+     * @param {Array} front - Polygons in front of the plane
+     * @param {Array} back - Polygons behind the plane
+     */
+    splitPolygon(polygon, coplanarFront, coplanarBack, front, back) {
+        let polygonType = 0;
+        const types = [];
+
+        for (const vertex of polygon.vertices) {
+            const t = this.normal.dot(vertex.position) - this.w;
+            const type = (t < -EPSILON) ? BACK : (t > EPSILON) ? FRONT : COPLANAR;
+            polygonType |= type;
+            types.push(type);
+        }
+
+        switch (polygonType) {
+            case COPLANAR:
+                (this.normal.dot(polygon.plane.normal) > 0 ? coplanarFront : coplanarBack).push(polygon);
+                break;
+
+            case FRONT:
+                front.push(polygon);
+                break;
+
+            case BACK:
+                back.push(polygon);
+                break;
+
+            case SPANNING: {
+                const f = [];
+                const b = [];
+                const count = polygon.vertices.length;
+
+                for (let i = 0; i < count; i++) {
+                    const j = (i + 1) % count;
+                    const ti = types[i];
+                    const tj = types[j];
+                    const vi = polygon.vertices[i];
+                    const vj = polygon.vertices[j];
+
+                    if (ti !== BACK) f.push(vi);
+                    if (ti !== FRONT) b.push(ti !== BACK ? vi.clone() : vi);
+
+                    if ((ti | tj) === SPANNING) {
+                        const direction = new THREE.Vector3().subVectors(vj.position, vi.position);
+                        const t = (this.w - this.normal.dot(vi.position)) / this.normal.dot(direction);
+                        const v = vi.interpolate(vj, t);
+                        f.push(v);
+                        b.push(v.clone());
+                    }
+                }
+
+                // Pieces keep the parent's plane: slivers are too thin to rebuild it from their points
+                if (f.length >= 3) front.push(new Polygon(f, polygon.shared, polygon.plane.clone()));
+                if (b.length >= 3) back.push(new Polygon(b, polygon.shared, polygon.plane.clone()));
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Convex polygon with cached plane
+ */
+class Polygon {
+    constructor(vertices, shared = null, plane = null) {
+        this.vertices = vertices;
+        this.shared = shared;
+        this.plane = plane || Plane.fromPoints(
+            vertices[0].position,
+            vertices[1].position,
+            vertices[2].position
+        );
+    }
+
+    clone() {
+        return new Polygon(
+            this.vertices.map(v => v.clone()),
+            this.shared,
+            this.plane.clone()
+        );
+    }
+
+    flip() {
+        this.vertices.reverse().forEach(v => v.flip());
+        this.plane.flip();
+    }
+}
+
+/**
+ * BSP tree node
+ */
+class BSPNode {
+    constructor(polygons = null) {
+        this.plane = null;
+        this.front = null;
+        this.back = null;
+        this.polygons = [];
+
+        if (polygons) {
+            this.build(polygons);
+        }
+    }
+
+    /**
+     * Convert solid space to empty space and vice versa
+     */
+    invert() {
+        for (const polygon of this.polygons) {
+            polygon.flip();
+        }
+
+        if (this.plane) this.plane.flip();
+        if (this.front) this.front.invert();
+        if (this.back) this.back.invert();
+
+        const temp = this.front;
+        this.front = this.back;
+        this.back = temp;
+    }
+
+    /**
+     * Remove all polygons that are inside this BSP tree
+     * @param {Array} polygons - Polygons to clip
+     * @returns {Array} Remaining polygons
+     */
+    clipPolygons(polygons) {
+        if (!this.plane) return polygons.slice();
+
+        let front = [];
+        let back = [];
+
+        for (const polygon of polygons) {
+            this.plane.splitPolygon(polygon, front, back, front, back);
+        }
+
+        if (this.front) front = this.front.clipPolygons(front);
+        back = this.back ? this.back.clipPolygons(back) : [];
+
+        return front.concat(back);
+    }
+
+    /**
+     * Remove all polygons in this tree that are inside another tree
+     * @param {BSPNode} bsp - Clipping tree
+     */
+    clipTo(bsp) {
+        this.polygons = bsp.clipPolygons(this.polygons);
+        if (this.front) this.front.clipTo(bsp);
+        if (this.back) this.back.clipTo(bsp);
+    }
+
+    /**
+     * Collect all polygons in this tree
+     * @returns {Array} Polygons
+     */
+    allPolygons() {
+        let polygons = this.polygons.slice();
+        if (this.front) polygons = polygons.concat(this.front.allPolygons());
+        if (this.back) polygons = polygons.concat(this.back.allPolygons());
+        return polygons;
+    }
+
+    /**
+     * Insert polygons into the tree
+     * @param {Array} polygons - Polygons to insert
+     */
+    build(polygons) {
+        if (polygons.length === 0) return;
+
+        if (!this.plane) {
+            this.plane = polygons[0].plane.clone();
+        }
+
+        const front = [];
+        const back = [];
+
+        for (const polygon of polygons) {
+            this.plane.splitPolygon(polygon, this.polygons, this.polygons, front, back);
+        }
+
+        if (front.length > 0) {
+            if (!this.front) this.front = new BSPNode();
+            this.front.build(front);
+        }
+
+        if (back.length > 0) {
+            if (!this.back) this.back = new BSPNode();
+            this.back.build(back);
+        }
+    }
+}
+
+export class CSGSolid {
+    constructor(polygons = []) {
+        this.polygons = polygons;
+    }
+
+    /**
+     * Build a solid from a mesh (world-space, transforms baked in)
+     * @param {THREE.Mesh} mesh - Source mesh
+     * @returns {CSGSolid} Solid
+     */
+    static fromMesh(mesh) {
+        mesh.updateMatrixWorld(true);
+
+        const geometry = mesh.geometry;
+        const position = geometry.getAttribute('position');
+        let normal = geometry.getAttribute('normal');
+
+        if (!normal) {
+            geometry.computeVertexNormals();
+            normal = geometry.getAttribute('normal');
+        }
+
+        const matrix = mesh.matrixWorld;
+        const normalMatrix = new THREE.Matrix3().getNormalMatrix(matrix);
+        const index = geometry.getIndex();
+        const count = index ? index.count : position.count;
+
+        const readVertex = (i) => new Vertex(
+            new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(matrix),
+            new THREE.Vector3().fromBufferAttribute(normal, i).applyMatrix3(normalMatrix).normalize()
+        );
+
+        const polygons = [];
+
+        for (let i = 0; i + 2 < count; i += 3) {
+            const a = index ? index.getX(i) : i;
+            const b = index ? index.getX(i + 1) : i + 1;
+            const c = index ? index.getX(i + 2) : i + 2;
+
+            const vertices = [readVertex(a), readVertex(b), readVertex(c)];
+            const plane = Plane.fromPoints(vertices[0].position, vertices[1].position, vertices[2].position);
+
+            // Skip degenerate triangles (zero area)
+            if (!plane) continue;
+
+            polygons.push(new Polygon(vertices, null, plane));
+        }
+
+        return new CSGSolid(polygons);
+    }
+
+    clone() {
+        return new CSGSolid(this.polygons.map(p => p.clone()));
+    }
+
+    /**
+     * Return a new solid covering space in either this or the other solid
+     * @param {CSGSolid} other - Other solid
+     * @returns {CSGSolid} Result
+     */
+    union(other) {
+        const a = new BSPNode(this.clone().polygons);
+        const b = new BSPNode(other.clone().polygons);
+
+        a.clipTo(b);
+        b.clipTo(a);
+        b.invert();
+        b.clipTo(a);
+        b.invert();
+        a.build(b.allPolygons());
+
+        return new CSGSolid(a.allPolygons());
+    }
+
+    /**
+     * Return a new solid covering space in this solid but not the other
+     * @param {CSGSolid} other - Solid to subtract
+     * @returns {CSGSolid} Result
+     */
+    subtract(other) {
+        const a = new BSPNode(this.clone().polygons);
+        const b = new BSPNode(other.clone().polygons);
+
+        a.invert();
+        a.clipTo(b);
+        b.clipTo(a);
+        b.invert();
+        b.clipTo(a);
+        b.invert();
+        a.build(b.allPolygons());
+        a.invert();
+
+        return new CSGSolid(a.allPolygons());
+    }
+
+    /**
+     * Return a new solid covering space in both this and the other solid
+     * @param {CSGSolid} other - Other solid
+     * @returns {CSGSolid} Result
+     */
+    intersect(other) {
+        const a = new BSPNode(this.clone().polygons);
+        const b = new BSPNode(other.clone().polygons);
+
+        a.invert();
+        b.clipTo(a);
+        b.invert();
+        a.clipTo(b);
+        b.clipTo(a);
+        a.build(b.allPolygons());
+        a.invert();
+
+        return new CSGSolid(a.allPolygons());
+    }
+
+    /**
+     * Check if the solid has no surface
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.polygons.length === 0;
+    }
+
+    /**
+     * Convert polygons back to a (non-indexed) BufferGeometry
+     * @returns {THREE.BufferGeometry} World-space geometry
+     */
+    toGeometry() {
+        const positions = [];
+        const normals = [];
+
+        for (const polygon of this.polygons) {
+            const vertices = polygon.vertices;
+
+            // Fan triangulation (polygons are convex)
+            for (let i = 1; i + 1 < vertices.length; i++) {
+                for (const vertex of [vertices[0], vertices[i], vertices[i + 1]]) {
+                    positions.push(vertex.position.x, vertex.position.y, vertex.position.z);
+                    normals.push(vertex.normal.x, vertex.normal.y, vertex.normal.z);
+                }
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+
+        return geometry;
+    }
+}
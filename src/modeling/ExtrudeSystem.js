@@ -47,23 +47,51 @@ export class ExtrudeSystem {
      * @param {Object} position - 3D position
      */
     createExtrudePreview(position) {
+        // Create geometry
+        const geometry = this.buildExtrusionGeometry(this.extrudePath, this.extrudeDepth);
+
+        // Semi-transparent material for preview
+        const material = new THREE.MeshStandardMaterial({
+            color: 0x00ccff,
+            transparent: true,
+            opacity: 0.6,
+            roughness: 0.5,
+            metalness: 0.3,
+            side: THREE.DoubleSide
+        });
+
+        this.previewMesh = new THREE.Mesh(geometry, material);
+        this.previewMesh.position.copy(position);
+        this.previewMesh.castShadow = true;
+        this.previewMesh.receiveShadow = true;
+
+        this.scene.add(this.previewMesh);
+    }
+
+    /**
+     * Build extruded geometry from a closed 2D path
+     * @param {Array} pathPoints - Array of 2D points {x, y}
+     * @param {number} depth - Extrusion depth
+     * @returns {THREE.ExtrudeGeometry} Geometry
+     */
+    buildExtrusionGeometry(pathPoints, depth) {
         // Create 2D shape from path
         const shape = new THREE.Shape();
 
         // Start at first point
-        shape.moveTo(this.extrudePath[0].x, this.extrudePath[0].y);
+        shape.moveTo(pathPoints[0].x, pathPoints[0].y);
 
         // Add remaining points
-        for (let i = 1; i < this.extrudePath.length; i++) {
-            shape.lineTo(this.extrudePath[i].x, this.extrudePath[i].y);
+        for (let i = 1; i < pathPoints.length; i++) {
+            shape.lineTo(pathPoints[i].x, pathPoints[i].y);
         }
 
         // Close the path
-        shape.lineTo(this.extrudePath[0].x, this.extrudePath[0].y);
+        shape.lineTo(pathPoints[0].x, pathPoints[0].y);
 
         // Extrude settings
         const extrudeSettings = {
-            depth: this.extrudeDepth,
+            depth: depth,
             bevelEnabled: true,
             bevelThickness: 0.1,
             bevelSize: 0.1,
@@ -73,25 +101,7 @@ export class ExtrudeSystem {
             curveSegments: 12
         };
 
-        // Create geometry
-        const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-
-        // Semi-transparent material for preview
-        const material = new THREE.MeshStandardMaterial({
-            color: 0x00ccff,
-            transparent: true,
-            opacity: 0.6,
-            roughness: 0.5,
-            metalness: 0.3,
-            side: THREE.DoubleSide
-        });
-
-        this.previewMesh = new THREE.Mesh(geometry, material);
-        this.previewMesh.position.copy(position);
-        this.previewMesh.castShadow = true;
-        this.previewMesh.receiveShadow = true;
-
-        this.scene.add(this.previewMesh);
+        return new THREE.ExtrudeGeometry(shape, extrudeSettings);
     }
 
     /**
@@ -127,27 +137,7 @@ export class ExtrudeSystem {
         }
 
         // Create final solid mesh
-        const shape = new THREE.Shape();
-        shape.moveTo(this.extrudePath[0].x, this.extrudePath[0].y);
-
-        for (let i = 1; i < this.extrudePath.length; i++) {
-            shape.lineTo(this.extrudePath[i].x, this.extrudePath[i].y);
-        }
-
-        shape.lineTo(this.extrudePath[0].x, this.extrudePath[0].y);
-
-        const extrudeSettings = {
-            depth: this.extrudeDepth,
-            bevelEnabled: true,
-            bevelThickness: 0.1,
-            bevelSize: 0.1,
-            bevelOffset: 0,
-            bevelSegments: 3,
-            steps: this.steps,
-            curveSegments: 12
-        };
-
-        const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
+        const geometry = this.buildExtrusionGeometry(this.extrudePath, this.extrudeDepth);
 
         // Solid material
         const material = new THREE.MeshStandardMaterial({
@@ -163,8 +153,10 @@ export class ExtrudeSystem {
         finalMesh.castShadow = true;
         finalMesh.receiveShadow = true;
 
-        // Mark as extruded object
+        // Mark as extruded object (path + depth allow rebuilding on load)
         finalMesh.userData.isExtruded = true;
+        finalMesh.userData.extrudePath = this.extrudePath.map(p => ({ x: p.x, y: p.y }));
+        finalMesh.userData.extrudeDepth = this.extrudeDepth;
         finalMesh.userData.createdAt = Date.now();
 
         // Remove preview
@@ -2,10 +2,11 @@
  * Face Detector
  * 
  * Detects which face of a voxel the user is pointing at.
- * Uses raycasting to determine intersection point and face normal.
+ * Marches the pointer ray through the voxel store (VoxelGridSystem.raycast)
+ * to find the voxel and the face the ray entered.
  * 
  * Features:
- * - Raycast from hand/pointer to scene
+ * - Raycast from hand/pointer into the voxel grid
  * - Determine exact face (top, bottom, left, right, front, back)
  * - Calculate face normal for extrusion direction
  * - Visual highlighting of selected face
@@ -15,11 +16,12 @@
 import * as THREE from 'three';
 
 export class FaceDetector {
-    constructor(scene, camera) {
+    constructor(scene, camera, gridSystem) {
         this.scene = scene;
         this.camera = camera;
+        this.gridSystem = gridSystem;
 
-        // Raycaster
+        // Raycaster (builds the pointer ray)
         this.raycaster = new THREE.Raycaster();
 
         // Face highlight
@@ -37,22 +39,20 @@ export class FaceDetector {
     /**
      * Detect face from hand/pointer position
      * 
-     * @param {Object} position - Normalized screen position {x, y} or world position
-     * @param {Array} selectableObjects - Objects to detect faces on
+     * @param {Object} position - Normalized screen position {x, y} or NDC
      * @returns {Object|null} Face detection result
      */
-    detect(position, selectableObjects) {
+    detect(position) {
         // Convert position to NDC for raycasting
         const ndc = this.positionToNDC(position);
 
         // Perform raycast
         this.raycaster.setFromCamera(ndc, this.camera);
-        const intersects = this.raycaster.intersectObjects(selectableObjects, false);
+        const { ray, far } = this.raycaster;
+        const hit = this.gridSystem.raycast(ray.origin, ray.direction, far);
 
-        if (intersects.length > 0) {
-            const intersect = intersects[0];
-            return this.analyzeFace(intersect);
-        }
+        const faceData = hit ? this.analyzeFace(hit) : null;
+        if (faceData) return faceData;
 
         // No face detected
         this.clearHighlight();
@@ -62,22 +62,19 @@ export class FaceDetector {
     /**
      * Analyze intersected face to determine direction
      * 
-     * @param {Object} intersect - Raycast intersection result
-     * @returns {Object} Face data
+     * @param {Object} hit - VoxelGridSystem.raycast result
+     * @returns {Object|null} Face data, or null if the ray started inside the voxel
      */
-    analyzeFace(intersect) {
-        const point = intersect.point;
-        const object = intersect.object;
-        const face = intersect.face;
+    analyzeFace(hit) {
+        const object = hit.voxel;
+        const point = new THREE.Vector3(hit.point.x, hit.point.y, hit.point.z);
 
-        if (!face || !object.userData.gridPosition) {
+        if (!object.userData.gridPosition || (!hit.normal.x && !hit.normal.y && !hit.normal.z)) {
             return null;
         }
 
-        // Get world-space face normal
-        const faceNormal = face.normal.clone();
-        faceNormal.transformDirection(object.matrixWorld);
-        faceNormal.normalize();
+        // World-space face normal (voxels are axis-aligned)
+        const faceNormal = new THREE.Vector3(hit.normal.x, hit.normal.y, hit.normal.z);
 
         // Determine cardinal direction (snap to axis-aligned)
         const direction = this.snapToCardinalDirection(faceNormal);
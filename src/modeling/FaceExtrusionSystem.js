@@ -0,0 +1,234 @@
+/**
+ * Face Extrusion System
+ * Pinch-and-pull extrusion of voxel faces (EXTRUDE mode)
+ *
+ * Point at a block to highlight the face under the fingertip, pinch to
+ * grab that face, then pull along its normal to add voxel columns or push
+ * to carve them away. The pull is counted in whole grid cells and stops
+ * at the first occupied cell. Releasing reports 'voxels-extruded' or
+ * 'voxels-intruded' so the result can be undone.
+ */
+
+import { FaceDetector } from './FaceDetector.js';
+import { VoxelExtruder } from './VoxelExtruder.js';
+
+export class FaceExtrusionSystem {
+    constructor(scene, camera, eventBus, gridSystem, collisionSystem) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        this.gridSystem = gridSystem;
+        this.collisionSystem = collisionSystem;
+
+        this.faceDetector = new FaceDetector(scene, camera, gridSystem);
+        this.voxelExtruder = new VoxelExtruder(scene, gridSystem, collisionSystem);
+
+        // Longest column a single pull or push can make
+        this.maxCells = 10;
+
+        // Pinch must stay released this long before the extrusion is built,
+        // so a flickering pinch doesn't end it early
+        this.releaseGraceMs = 150;
+        this.releaseStartTime = null;
+
+        // Extrusion state
+        this.activeHand = null;
+        this.activeFace = null;
+        this.pinchStartPosition = null;
+        this.cells = 0;
+        this.wasPinched = false;
+
+        // Pulling hand left the view mid-pull: drop the extrusion instead of building it
+        this.eventBus.on('hand-lost', ({ handId }) => {
+            if (this.activeFace && handId === this.activeHand) this.cancel();
+        });
+
+        console.log('✅ FaceExtrusionSystem initialized');
+    }
+
+    /**
+     * Update with the pointing hand
+     * @param {Object|null} input - {handId, pointer, isPinched, pinchPosition, timestamp}; pointer is the
+     *   fingertip screen position (0-1), pinchPosition the pinch point in world space
+     */
+    update(input) {
+        if (!input) {
+            this.reset();
+            return;
+        }
+
+        const justPinched = input.isPinched && !this.wasPinched;
+        this.wasPinched = input.isPinched;
+
+        if (!this.activeFace) {
+            if (!input.isPinched) {
+                this.faceDetector.detect(input.pointer);
+            } else if (justPinched && this.faceDetector.getHighlightedFace()) {
+                // Closing the pinch moves the fingertip, keep the face it pointed at
+                this.start(input.handId, this.faceDetector.getHighlightedFace(), input.pinchPosition);
+            }
+            return;
+        }
+
+        if (input.isPinched) {
+            this.releaseStartTime = null;
+            this.updateDistance(input.pinchPosition);
+        } else if (this.releaseStartTime === null) {
+            this.releaseStartTime = input.timestamp;
+        } else if (input.timestamp - this.releaseStartTime >= this.releaseGraceMs) {
+            this.finalize();
+        }
+    }
+
+    /**
+     * Grab a face
+     * @param {string} handId - Pinching hand
+     * @param {Object} face - FaceDetector result
+     * @param {Object} pinchPosition - Pinch world position
+     */
+    start(handId, face, pinchPosition) {
+        this.activeHand = handId;
+        this.activeFace = face;
+        this.pinchStartPosition = { ...pinchPosition };
+        this.cells = 0;
+        this.releaseStartTime = null;
+
+        console.log(`↕️ Extruding ${face.faceName} face`);
+    }
+
+    /**
+     * Turn hand travel along the face normal into whole cells and preview them
+     * @param {Object} pinchPosition - Pinch world position
+     */
+    updateDistance(pinchPosition) {
+        const { direction } = this.activeFace;
+        const travel =
+            (pinchPosition.x - this.pinchStartPosition.x) * direction.x +
+            (pinchPosition.y - this.pinchStartPosition.y) * direction.y +
+            (pinchPosition.z - this.pinchStartPosition.z) * direction.z;
+
+        const requested = Math.round(travel / this.gridSystem.voxelSize);
+        const cells = requested >= 0
+            ? Math.min(requested, this.getFreeCells(this.activeFace))
+            : -Math.min(-requested, this.getSolidCells(this.activeFace));
+
+        if (cells === this.cells) return;
+        this.cells = cells;
+
+        if (cells === 0) {
+            this.voxelExtruder.clearPreview();
+        } else {
+            this.voxelExtruder.createPreview(this.activeFace, cells);
+        }
+    }
+
+    /**
+     * Count free cells beyond a face, up to the first occupied one
+     * @param {Object} face - Face data
+     * @returns {number}
+     */
+    getFreeCells(face) {
+        let count = 0;
+        while (count < this.maxCells && this.collisionSystem.canPlaceVoxel(this.getCell(face, count + 1)).canPlace) {
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Count solid cells behind a face, starting with the face voxel
+     * @param {Object} face - Face data
+     * @returns {number}
+     */
+    getSolidCells(face) {
+        let count = 0;
+        while (count < this.maxCells && this.collisionSystem.isOccupied(this.getCell(face, -count))) {
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Grid cell along the face normal
+     * @param {Object} face - Face data
+     * @param {number} offset - Cells from the face voxel (negative = inward)
+     * @returns {Object} Grid position
+     */
+    getCell(face, offset) {
+        const { gridPosition, direction } = face;
+        return {
+            x: gridPosition.x + direction.x * offset,
+            y: gridPosition.y + direction.y * offset,
+            z: gridPosition.z + direction.z * offset
+        };
+    }
+
+    /**
+     * Build (or carve) the previewed column
+     */
+    finalize() {
+        const face = this.activeFace;
+        const cells = this.cells;
+
+        this.voxelExtruder.clearPreview();
+        this.resetState();
+
+        if (cells > 0) {
+            const result = this.voxelExtruder.extrude(face, cells);
+            if (result.count > 0) {
+                this.eventBus.emit('voxels-extruded', { voxels: result.voxels, face });
+            }
+        } else if (cells < 0) {
+            const result = this.voxelExtruder.intrude(face, -cells);
+            if (result.count > 0) {
+                this.eventBus.emit('voxels-intruded', { voxels: result.voxels, face });
+            }
+        }
+    }
+
+    /**
+     * Drop the extrusion without changing the scene
+     */
+    cancel() {
+        this.voxelExtruder.clearPreview();
+        this.resetState();
+        console.log('↕️ Extrusion cancelled');
+    }
+
+    /**
+     * Clear extrusion state
+     */
+    resetState() {
+        this.activeHand = null;
+        this.activeFace = null;
+        this.pinchStartPosition = null;
+        this.cells = 0;
+        this.releaseStartTime = null;
+    }
+
+    /**
+     * Check if a face is being pulled or pushed
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.activeFace !== null;
+    }
+
+    /**
+     * Cancel any extrusion and remove the face highlight
+     */
+    reset() {
+        if (this.activeFace) this.cancel();
+        this.faceDetector.clearHighlight();
+        this.wasPinched = false;
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.reset();
+        this.faceDetector.dispose();
+        this.voxelExtruder.dispose();
+        console.log('✅ FaceExtrusionSystem disposed');
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * Grab Move System
+ * Moves selected blocks with a closed-fist grab
+ *
+ * Make a fist near the selection to pick it up, drag a ghost copy around
+ * (green = free cells, red = collision) and open the hand to drop it.
+ * Drops snap to the grid and are reported as 'objects-moved' for undo;
+ * drops onto occupied cells are cancelled.
+ */
+
+import { GrabDetector } from '../gestures/GrabDetector.js';
+import { GhostPreview } from '../ui/GhostPreview.js';
+
+export class GrabMoveSystem {
+    constructor(scene, eventBus, gridSystem, collisionSystem) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        this.gridSystem = gridSystem;
+        this.collisionSystem = collisionSystem;
+
+        // One detector per hand, only one hand holds the selection at a time
+        this.grabDetectors = {
+            left: new GrabDetector(),
+            right: new GrabDetector()
+        };
+        this.ghostPreview = new GhostPreview(scene, gridSystem, collisionSystem);
+
+        // Grab state
+        this.activeHand = null;
+        this.grabbedObjects = [];
+        this.grabStartPosition = null;
+        this.currentOffset = { x: 0, y: 0, z: 0 };
+
+        // How long a rejected drop stays red before it disappears
+        this.invalidDropFeedbackMs = 400;
+        this.feedbackTimer = null;
+
+        // Hand left the view mid-drag: put nothing down
+        this.eventBus.on('hand-lost', ({ handId }) => {
+            if (handId === this.activeHand) this.cancelGrab('hand-lost');
+        });
+
+        console.log('✅ GrabMoveSystem initialized');
+    }
+
+    /**
+     * Update grab state for both hands
+     * @param {Object} hands - {left, right}: {landmarks, position} with world position, or null
+     * @param {Set} selectedObjects - Currently selected objects
+     */
+    update(hands, selectedObjects) {
+        // Only grid blocks can be moved cell by cell
+        const blocks = new Set();
+        for (const object of selectedObjects) {
+            if (object.userData.isBlock && object.userData.gridPosition) blocks.add(object);
+        }
+
+        for (const handId of ['left', 'right']) {
+            if (this.activeHand && handId !== this.activeHand) continue;
+
+            const hand = hands[handId];
+            if (!hand) continue;
+
+            const grab = this.grabDetectors[handId].detect(hand.landmarks, hand.position, blocks);
+
+            if (grab.justGrabbed) {
+                this.startGrab(handId, grab);
+            } else if (grab.isGrabbing && this.activeHand === handId) {
+                this.updateGrab(grab.currentPosition);
+            } else if (grab.justReleased && this.activeHand === handId) {
+                this.releaseGrab();
+            }
+        }
+    }
+
+    /**
+     * Pick up the grabbed blocks
+     * @param {string} handId - Grabbing hand
+     * @param {Object} grab - GrabDetector result
+     */
+    startGrab(handId, grab) {
+        this.clearFeedback();
+
+        this.activeHand = handId;
+        this.grabbedObjects = Array.from(grab.grabbedObjects);
+        this.grabStartPosition = { ...grab.grabStartPosition };
+        this.currentOffset = { x: 0, y: 0, z: 0 };
+
+        this.ghostPreview.create(this.grabbedObjects, 'move');
+        this.ghostPreview.updatePositions(this.currentOffset);
+
+        this.eventBus.emit('grab-started', { objects: this.grabbedObjects, handId });
+    }
+
+    /**
+     * Drag the ghost with the hand
+     * @param {Object} handPosition - Hand world position
+     */
+    updateGrab(handPosition) {
+        this.currentOffset = {
+            x: handPosition.x - this.grabStartPosition.x,
+            y: handPosition.y - this.grabStartPosition.y,
+            z: handPosition.z - this.grabStartPosition.z
+        };
+
+        this.ghostPreview.updatePositions(this.currentOffset);
+    }
+
+    /**
+     * Drop the blocks at the ghost position
+     */
+    releaseGrab() {
+        const objects = this.grabbedObjects;
+        const valid = this.ghostPreview.isValid();
+
+        if (!valid) {
+            this.showInvalidDrop();
+            this.endGrab();
+            console.log('✊ Drop rejected: cells occupied');
+            this.eventBus.emit('grab-cancelled', { objects, reason: 'collision' });
+            return;
+        }
+
+        const fromPositions = objects.map(object => ({
+            x: object.position.x,
+            y: object.position.y,
+            z: object.position.z
+        }));
+        const toPositions = this.ghostPreview.getMeshes().map(ghost => ({
+            x: ghost.position.x,
+            y: ghost.position.y,
+            z: ghost.position.z
+        }));
+
+        this.ghostPreview.clear();
+        this.endGrab();
+
+        // Snapped back onto the start cells: nothing to record
+        const moved = toPositions.some((to, i) =>
+            to.x !== fromPositions[i].x || to.y !== fromPositions[i].y || to.z !== fromPositions[i].z
+        );
+        if (!moved) {
+            this.eventBus.emit('grab-cancelled', { objects, reason: 'unchanged' });
+            return;
+        }
+
+        this.eventBus.emit('objects-moved', { objects, fromPositions, toPositions });
+    }
+
+    /**
+     * Abort a grab without moving anything
+     * @param {string} reason - Why the grab ended
+     */
+    cancelGrab(reason) {
+        if (!this.activeHand) return;
+
+        const objects = this.grabbedObjects;
+        this.grabDetectors[this.activeHand].reset();
+        this.ghostPreview.clear();
+        this.endGrab();
+
+        this.eventBus.emit('grab-cancelled', { objects, reason });
+        console.log(`✊ Grab cancelled (${reason})`);
+    }
+
+    /**
+     * Reset grab state (ghost handled by the caller)
+     */
+    endGrab() {
+        this.activeHand = null;
+        this.grabbedObjects = [];
+        this.grabStartPosition = null;
+        this.currentOffset = { x: 0, y: 0, z: 0 };
+    }
+
+    /**
+     * Flash the rejected ghost red, then remove it
+     */
+    showInvalidDrop() {
+        this.ghostPreview.setColor(this.ghostPreview.INVALID_COLOR);
+        this.ghostPreview.pulse();
+
+        this.feedbackTimer = setTimeout(() => {
+            this.feedbackTimer = null;
+            this.ghostPreview.clear();
+        }, this.invalidDropFeedbackMs);
+    }
+
+    /**
+     * Drop a pending invalid-drop flash right away
+     */
+    clearFeedback() {
+        if (!this.feedbackTimer) return;
+
+        clearTimeout(this.feedbackTimer);
+        this.feedbackTimer = null;
+        this.ghostPreview.clear();
+    }
+
+    /**
+     * Check if blocks are being dragged
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.activeHand !== null;
+    }
+
+    /**
+     * Cancel any grab and forget fist history (e.g. replay start)
+     */
+    reset() {
+        this.cancelGrab('reset');
+        this.clearFeedback();
+        this.grabDetectors.left.reset();
+        this.grabDetectors.right.reset();
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.reset();
+        console.log('✅ GrabMoveSystem disposed');
+    }
+}
@@ -4,24 +4,37 @@
  */
 
 import * as THREE from 'three';
+import { Voxel } from '../core/Voxel.js';
+import { VoxelChunkRenderer } from './VoxelChunkRenderer.js';
 
 export class GridBlockSystem {
-    constructor(scene, eventBus) {
+    constructor(scene, eventBus, gridSystem, collisionSystem) {
         this.scene = scene;
         this.eventBus = eventBus;
+        this.gridSystem = gridSystem;
+        this.collisionSystem = collisionSystem;
 
         // Grid configuration
-        this.gridSize = 3.0; // 3 units per block (larger for better control)
-        this.maxBlocks = 1000; // Limit total blocks
-
-        // Block storage with 3D grid key
-        this.blocks = new Map(); // key: "x,y,z" -> mesh
+        this.gridSize = gridSystem.voxelSize; // 3 units per block (larger for better control)
+        this.maxBlocks = 50000; // Limit total blocks
 
         // Volume creation state
         this.isCreating = false;
         this.startCorner = null;
         this.endCorner = null;
-        this.previewBlocks = [];
+        this.previewCells = []; // Grid cells the volume would fill
+        this.previewMesh = null; // One instanced mesh draws every preview cell
+        this.volumeHands = []; // Hands spanning the volume being drawn
+
+        // Pinch must stay released this long before the volume is built,
+        // so a flickering pinch doesn't end it early
+        this.releaseGraceMs = 150;
+        this.releaseStartTime = null;
+
+        // A hand spanning the volume left the view mid-draw: drop the volume instead of building it
+        this.eventBus.on('hand-lost', ({ handId }) => {
+            if (this.isCreating && this.volumeHands.includes(handId)) this.cancelVolume();
+        });
 
         // Materials
         this.previewMaterial = new THREE.MeshStandardMaterial({
@@ -38,9 +51,15 @@ export class GridBlockSystem {
             metalness: 0.4
         });
 
-        // Block geometry (reused for performance) - 3x3x3 units
+        // Preview block geometry (shared by all preview instances) - 3x3x3 units
         this.blockGeometry = new THREE.BoxGeometry(this.gridSize, this.gridSize, this.gridSize);
 
+        // Blocks live in the voxel store and are drawn as greedy-meshed chunks
+        this.chunkRenderer = new VoxelChunkRenderer(scene, gridSystem, {
+            roughness: this.solidMaterial.roughness,
+            metalness: this.solidMaterial.metalness
+        });
+
         console.log('✅ GridBlockSystem initialized');
     }
 
@@ -52,7 +71,12 @@ export class GridBlockSystem {
         if (!gestureData.twoHandPinch) {
             // If hands released, finalize creation
             if (this.isCreating) {
-                this.finalizeVolume();
+                const now = performance.now();
+                if (this.releaseStartTime === null) this.releaseStartTime = now;
+
+                if (now - this.releaseStartTime >= this.releaseGraceMs) {
+                    this.finalizeVolume();
+                }
             }
             return;
         }
@@ -60,6 +84,8 @@ export class GridBlockSystem {
         const { twoHandPinch } = gestureData;
 
         if (twoHandPinch.isActive) {
+            this.releaseStartTime = null;
+
             if (!this.isCreating) {
                 // Start new volume
                 this.startVolume(twoHandPinch);
@@ -76,6 +102,7 @@ export class GridBlockSystem {
      */
     startVolume(pinchData) {
         this.isCreating = true;
+        this.volumeHands = ['left', 'right'];
 
         // Snap to grid
         this.startCorner = this.snapToGrid(pinchData.leftPosition);
@@ -89,7 +116,12 @@ export class GridBlockSystem {
      * @param {Object} pinchData - Two-hand pinch data
      */
     updateVolume(pinchData) {
-        this.endCorner = this.snapToGrid(pinchData.rightPosition);
+        const endCorner = this.snapToGrid(pinchData.rightPosition);
+
+        // Preview only changes when the hand crosses into another cell
+        if (endCorner.equals(this.endCorner)) return;
+
+        this.endCorner = endCorner;
         this.updateVolumePreview();
     }
 
@@ -108,135 +140,156 @@ export class GridBlockSystem {
 
     /**
      * Get grid key for position
-     * @param {THREE.Vector3} position - Grid position
+     * @param {THREE.Vector3} position - World position
      * @returns {string} Grid key
      */
     getGridKey(position) {
-        const x = Math.round(position.x / this.gridSize);
-        const y = Math.round(position.y / this.gridSize);
-        const z = Math.round(position.z / this.gridSize);
-        return `${x},${y},${z}`;
+        return this.gridSystem.getGridKey(this.gridSystem.worldToGrid(position));
     }
 
     /**
      * Check if position is occupied
-     * @param {THREE.Vector3} position - Grid position
+     * @param {THREE.Vector3} position - World position
      * @returns {boolean} True if occupied
      */
     isOccupied(position) {
-        return this.blocks.has(this.getGridKey(position));
+        return this.collisionSystem.isOccupied(this.gridSystem.worldToGrid(position));
     }
 
     /**
      * Update volume preview
      */
     updateVolumePreview() {
-        // Clear old preview
-        this.clearPreview();
+        // Calculate volume bounds in grid cells
+        const start = this.gridSystem.worldToGrid(this.startCorner);
+        const end = this.gridSystem.worldToGrid(this.endCorner);
+        const min = { x: Math.min(start.x, end.x), y: Math.min(start.y, end.y), z: Math.min(start.z, end.z) };
+        const max = { x: Math.max(start.x, end.x), y: Math.max(start.y, end.y), z: Math.max(start.z, end.z) };
 
-        // Calculate volume bounds
-        const minX = Math.min(this.startCorner.x, this.endCorner.x);
-        const maxX = Math.max(this.startCorner.x, this.endCorner.x);
-        const minY = Math.min(this.startCorner.y, this.endCorner.y);
-        const maxY = Math.max(this.startCorner.y, this.endCorner.y);
-        const minZ = Math.min(this.startCorner.z, this.endCorner.z);
-        const maxZ = Math.max(this.startCorner.z, this.endCorner.z);
+        const isFirstBlock = this.collisionSystem.getVoxelCount() === 0;
+        const cells = [];
 
-        // Create preview blocks
-        for (let x = minX; x <= maxX; x += this.gridSize) {
-            for (let y = minY; y <= maxY; y += this.gridSize) {
-                for (let z = minZ; z <= maxZ; z += this.gridSize) {
-                    const pos = new THREE.Vector3(x, y, z);
+        for (let x = min.x; x <= max.x; x++) {
+            for (let y = min.y; y <= max.y; y++) {
+                for (let z = min.z; z <= max.z; z++) {
+                    const cell = { x, y, z };
 
                     // Skip if position occupied
-                    if (this.isOccupied(pos)) continue;
+                    if (this.collisionSystem.isOccupied(cell)) continue;
 
                     // Check if valid placement (first block or touching existing)
-                    if (this.blocks.size === 0 || this.isTouchingExisting(pos)) {
-                        const block = new THREE.Mesh(this.blockGeometry, this.previewMaterial);
-                        block.position.copy(pos);
-                        block.castShadow = true;
-                        block.receiveShadow = true;
-
-                        this.scene.add(block);
-                        this.previewBlocks.push(block);
+                    if (isFirstBlock || this.collisionSystem.isTouchingExisting(cell)) {
+                        cells.push(cell);
                     }
                 }
             }
         }
 
-        console.log(`📦 Preview: ${this.previewBlocks.length} blocks`);
+        this.showPreview(cells);
+    }
+
+    /**
+     * Draw preview cells as instances of one mesh
+     * @param {Array} cells - Grid positions {x, y, z}
+     */
+    showPreview(cells) {
+        this.previewCells = cells;
+
+        // Grow the instanced mesh when the volume outgrows it
+        if (!this.previewMesh || this.previewMesh.instanceMatrix.count < cells.length) {
+            const capacity = Math.max(cells.length, this.previewMesh ? this.previewMesh.instanceMatrix.count * 2 : 64);
+            this.disposePreviewMesh();
+
+            this.previewMesh = new THREE.InstancedMesh(this.blockGeometry, this.previewMaterial, capacity);
+            this.previewMesh.castShadow = true;
+            this.previewMesh.receiveShadow = true;
+            this.previewMesh.frustumCulled = false; // Instances move, the bounding sphere would go stale
+        }
+
+        const matrix = new THREE.Matrix4();
+        cells.forEach((cell, i) => {
+            const pos = this.gridSystem.gridToWorld(cell);
+            this.previewMesh.setMatrixAt(i, matrix.makeTranslation(pos.x, pos.y, pos.z));
+        });
+
+        this.previewMesh.count = cells.length;
+        this.previewMesh.instanceMatrix.needsUpdate = true;
+
+        if (!this.previewMesh.parent) this.scene.add(this.previewMesh);
     }
 
     /**
      * Check if position touches existing block
-     * @param {THREE.Vector3} position - Grid position
+     * @param {THREE.Vector3} position - World position
      * @returns {boolean} True if touching
      */
     isTouchingExisting(position) {
-        // Check all 6 adjacent positions
-        const offsets = [
-            new THREE.Vector3(this.gridSize, 0, 0),
-            new THREE.Vector3(-this.gridSize, 0, 0),
-            new THREE.Vector3(0, this.gridSize, 0),
-            new THREE.Vector3(0, -this.gridSize, 0),
-            new THREE.Vector3(0, 0, this.gridSize),
-            new THREE.Vector3(0, 0, -this.gridSize)
-        ];
-
-        for (const offset of offsets) {
-            const adjacentPos = position.clone().add(offset);
-            if (this.isOccupied(adjacentPos)) {
-                return true;
-            }
-        }
-
-        return false;
+        return this.collisionSystem.isTouchingExisting(this.gridSystem.worldToGrid(position));
     }
 
     /**
-     * Clear preview blocks
+     * Clear preview blocks (the instanced mesh is kept for the next volume)
      */
     clearPreview() {
-        for (const block of this.previewBlocks) {
-            this.scene.remove(block);
-            // Geometry and material are reused, don't dispose
+        this.previewCells = [];
+
+        if (this.previewMesh) {
+            this.previewMesh.count = 0;
+            this.scene.remove(this.previewMesh);
         }
-        this.previewBlocks = [];
+    }
+
+    /**
+     * Remove and free the preview instanced mesh
+     */
+    disposePreviewMesh() {
+        if (!this.previewMesh) return;
+
+        this.scene.remove(this.previewMesh);
+        this.previewMesh.dispose(); // Geometry and material are shared, only instance data is freed
+        this.previewMesh = null;
+    }
+
+    /**
+     * Abort volume creation without creating blocks
+     */
+    cancelVolume() {
+        this.clearPreview();
+        this.isCreating = false;
+        this.volumeHands = [];
+        this.startCorner = null;
+        this.endCorner = null;
+        this.releaseStartTime = null;
     }
 
     /**
      * Finalize volume creation
      */
     finalizeVolume() {
-        if (this.previewBlocks.length === 0) {
+        this.releaseStartTime = null;
+
+        if (this.previewCells.length === 0) {
             this.isCreating = false;
+            this.volumeHands = [];
             return;
         }
 
         const createdBlocks = [];
 
         // Convert preview to solid blocks
-        for (const previewBlock of this.previewBlocks) {
-            const position = previewBlock.position.clone();
-
-            // Create solid block
-            const block = new THREE.Mesh(
-                this.blockGeometry,
-                this.solidMaterial.clone() // Clone for independent colors later
-            );
-            block.position.copy(position);
-            block.castShadow = true;
-            block.receiveShadow = true;
-
-            // Mark as user-created block
-            block.userData.isBlock = true;
-            block.userData.gridPosition = position.clone();
-            block.userData.createdAt = Date.now();
-
-            // Add to scene and storage
-            this.scene.add(block);
-            this.blocks.set(this.getGridKey(position), block);
+        for (const gridPosition of this.previewCells) {
+            // Cell may have been filled by another tool since the preview was built
+            if (!this.collisionSystem.canPlaceVoxel(gridPosition).canPlace) continue;
+
+            if (this.collisionSystem.getVoxelCount() >= this.maxBlocks) {
+                console.warn(`⚠️ Block limit reached (${this.maxBlocks})`);
+                break;
+            }
+
+            const block = this.createBlock(gridPosition);
+
+            // Add to storage (the chunk renderer draws it)
+            this.collisionSystem.registerVoxel(block, gridPosition);
 
             createdBlocks.push(block);
         }
@@ -245,30 +298,42 @@ export class GridBlockSystem {
         this.clearPreview();
 
         // Emit event for undo/redo
-        this.eventBus.emit('blocks-created', { blocks: createdBlocks });
+        if (createdBlocks.length > 0) {
+            this.eventBus.emit('blocks-created', { blocks: createdBlocks });
+        }
 
-        console.log(`✅ Created ${createdBlocks.length} blocks (total: ${this.blocks.size})`);
+        console.log(`✅ Created ${createdBlocks.length} blocks (total: ${this.collisionSystem.getVoxelCount()})`);
 
         // Reset state
         this.isCreating = false;
+        this.volumeHands = [];
         this.startCorner = null;
         this.endCorner = null;
     }
 
+    /**
+     * Create a solid block at a grid cell (not registered yet)
+     * @param {Object} gridPosition - Grid position {x, y, z} (integers)
+     * @param {number} [color] - Hex color (default: solid block color)
+     * @returns {Voxel} Block
+     */
+    createBlock(gridPosition, color = this.solidMaterial.color.getHex()) {
+        return new Voxel(gridPosition, this.gridSystem.gridToWorld(gridPosition), color);
+    }
+
     /**
      * Delete block at position
-     * @param {THREE.Vector3} position - Grid position
+     * @param {THREE.Vector3} position - World position
      */
     deleteBlock(position) {
-        const key = this.getGridKey(position);
-        const block = this.blocks.get(key);
+        const gridPosition = this.gridSystem.worldToGrid(position);
+        const block = this.collisionSystem.getVoxelAt(gridPosition);
 
         if (block) {
-            this.scene.remove(block);
-            this.blocks.delete(key);
+            this.collisionSystem.unregisterVoxel(gridPosition);
 
             this.eventBus.emit('block-deleted', { block });
-            console.log(`🗑️ Deleted block at ${key}`);
+            console.log(`🗑️ Deleted block at ${this.gridSystem.getGridKey(gridPosition)}`);
         }
     }
 
@@ -276,11 +341,7 @@ export class GridBlockSystem {
      * Clear all blocks
      */
     clearAll() {
-        for (const [key, block] of this.blocks) {
-            this.scene.remove(block);
-        }
-
-        this.blocks.clear();
+        this.collisionSystem.clear();
         this.clearPreview();
 
         this.eventBus.emit('blocks-cleared');
@@ -292,7 +353,7 @@ export class GridBlockSystem {
      * @returns {number} Number of placed blocks
      */
     getBlockCount() {
-        return this.blocks.size;
+        return this.collisionSystem.getVoxelCount();
     }
 
     /**
@@ -300,6 +361,8 @@ export class GridBlockSystem {
      */
     dispose() {
         this.clearAll();
+        this.chunkRenderer.dispose();
+        this.disposePreviewMesh();
         this.blockGeometry.dispose();
         this.previewMaterial.dispose();
         this.solidMaterial.dispose();
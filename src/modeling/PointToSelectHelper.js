@@ -1,132 +1,113 @@
 /**
  * Point-to-Select Helper
- * 
+ *
  * Enhances SelectionSystem with point-to-select capability.
  * User can select blocks by simply pointing at them (no pinch required).
- * 
+ *
  * Features:
- * - Hover detection (finger pointing at block)
- * - Dwell time selection (point for 0.5s = select)
- * - Visual feedback (highlighting)
+ * - Hover detection (object hit by the fingertip ray, picked by SelectionSystem)
+ * - Dwell time selection (point for the dwell time = toggle selection)
+ * - Configurable dwell time, kept in localStorage
  * - Integration with existing SelectionSystem
  */
 
+import { saveStored, loadStored } from '../state/LocalStore.js';
+
+export const DEFAULT_DWELL_TIME_MS = 800;
+
 export class PointToSelectHelper {
-    constructor(selectionSystem) {
+    /**
+     * @param {SelectionSystem} selectionSystem - Selection to toggle
+     * @param {EventBus} eventBus - Event bus
+     * @param {Object} [options]
+     * @param {string} [options.storageKey] - localStorage key for the dwell time
+     */
+    constructor(selectionSystem, eventBus, options = {}) {
         this.selectionSystem = selectionSystem;
+        this.eventBus = eventBus;
+        this.storageKey = options.storageKey || 'handcraft3d-dwell-time';
 
         // Configuration
-        this.DWELL_TIME_MS = 500;        // Point for 500ms to select
-        this.HOVER_DISTANCE = 2.0;       // Max distance to be considered "pointing at"
+        this.DWELL_TIME_MS = DEFAULT_DWELL_TIME_MS; // Point this long to toggle
+        this.MIN_DWELL_TIME_MS = 200;
+        this.MAX_DWELL_TIME_MS = 3000;
 
         // State
         this.hoveredObject = null;
         this.hoverStartTime = null;
-        this.lastPointPosition = null;
+        this.completedObject = null; // Toggled, waits until the finger moves off
 
         console.log('✅ PointToSelectHelper initialized');
     }
 
     /**
      * Update point-to-select logic
-     * 
-     * @param {THREE.Vector3} fingerPosition - 3D finger cursor position
-     * @param {Array} selectableObjects - Objects that can be selected
-     * @returns {Object} Selection state
+     *
+     * @param {THREE.Object3D|null} pointedObject - Object under the fingertip ray
+     * @param {number} [now] - Current time (ms)
+     * @returns {Object} Selection state {hovering, selecting, object, dwellProgress}
      */
-    update(fingerPosition, selectableObjects) {
-        if (!fingerPosition) {
+    update(pointedObject, now = Date.now()) {
+        if (!pointedObject) {
             this.reset();
             return { hovering: false, selecting: false };
         }
 
-        // Find object user is pointing at
-        const pointedObject = this.findPointedObject(fingerPosition, selectableObjects);
-
-        if (pointedObject) {
-            // Pointing at an object
-            if (pointedObject === this.hoveredObject) {
-                // Still pointing at same object - check dwell time
-                const dwellTime = Date.now() - this.hoverStartTime;
-
-                if (dwellTime >= this.DWELL_TIME_MS) {
-                    // Dwell time reached - select!
-                    this.selectObject(pointedObject);
-                    return {
-                        hovering: true,
-                        selecting: true,
-                        object: pointedObject,
-                        dwellProgress: 1.0
-                    };
-                }
-
-                // Still hovering, not yet selected
-                return {
-                    hovering: true,
-                    selecting: false,
-                    object: pointedObject,
-                    dwellProgress: dwellTime / this.DWELL_TIME_MS
-                };
-
-            } else {
-                // Started pointing at new object
-                this.hoveredObject = pointedObject;
-                this.hoverStartTime = Date.now();
-
-                return {
-                    hovering: true,
-                    selecting: false,
-                    object: pointedObject,
-                    dwellProgress: 0.0
-                };
-            }
-
-        } else {
-            // Not pointing at any object
-            this.reset();
-            return { hovering: false, selecting: false };
+        // Just toggled: no second toggle until the finger leaves the object
+        if (pointedObject === this.completedObject) {
+            return { hovering: false, selecting: false, object: pointedObject };
+        }
+        this.completedObject = null;
+
+        if (pointedObject !== this.hoveredObject) {
+            // Started pointing at new object
+            this.hoveredObject = pointedObject;
+            this.hoverStartTime = now;
+
+            return {
+                hovering: true,
+                selecting: false,
+                object: pointedObject,
+                dwellProgress: 0.0
+            };
         }
-    }
-
-    /**
-     * Find object that finger is pointing at
-     * 
-     * @param {THREE.Vector3} fingerPosition - Finger position
-     * @param {Array} objects - Selectable objects
-     * @returns {THREE.Object3D|null} Pointed object or null
-     */
-    findPointedObject(fingerPosition, objects) {
-        let closestObject = null;
-        let closestDistance = this.HOVER_DISTANCE;
-
-        for (const obj of objects) {
-            const distance = fingerPosition.distanceTo(obj.position);
 
-            if (distance < closestDistance) {
-                closestDistance = distance;
-                closestObject = obj;
-            }
+        // Still pointing at same object - check dwell time
+        const dwellTime = now - this.hoverStartTime;
+
+        if (dwellTime >= this.DWELL_TIME_MS) {
+            // Dwell time reached - toggle!
+            this.selectObject(pointedObject);
+            return {
+                hovering: true,
+                selecting: true,
+                object: pointedObject,
+                dwellProgress: 1.0
+            };
         }
 
-        return closestObject;
+        // Still hovering, not yet selected
+        return {
+            hovering: true,
+            selecting: false,
+            object: pointedObject,
+            dwellProgress: dwellTime / this.DWELL_TIME_MS
+        };
     }
 
     /**
-     * Select the pointed object
-     * 
-     * @param {THREE.Object3D} object - Object to select
+     * Toggle the pointed object (keeps other selected objects in multi-select)
+     *
+     * @param {THREE.Object3D} object - Object to toggle
      */
     selectObject(object) {
-        // Clear current selection
-        this.selectionSystem.clearSelection();
-
-        // Select new object
-        this.selectionSystem.selectObject(object);
+        this.selectionSystem.toggleSelection(object);
 
         console.log('👉 Point-to-select:', object.userData.gridPosition);
 
         // Reset hover state to prevent re-selection
         this.reset();
+        this.completedObject = object;
     }
 
     /**
@@ -135,28 +116,69 @@ export class PointToSelectHelper {
     reset() {
         this.hoveredObject = null;
         this.hoverStartTime = null;
+        this.completedObject = null;
+    }
+
+    /**
+     * Change the dwell time, save it and announce it
+     *
+     * @param {number} ms - Dwell time in milliseconds
+     * @returns {number} Dwell time actually used
+     */
+    setDwellTime(ms) {
+        const number = Number(ms);
+        const dwellTime = Number.isFinite(number)
+            ? Math.round(Math.max(this.MIN_DWELL_TIME_MS, Math.min(this.MAX_DWELL_TIME_MS, number)))
+            : DEFAULT_DWELL_TIME_MS;
+
+        this.DWELL_TIME_MS = dwellTime;
+        this.save();
+        this.eventBus.emit('dwell-time-changed', { dwellTimeMs: dwellTime });
+
+        return dwellTime;
     }
 
     /**
      * Get current hover progress (for visual feedback)
-     * 
+     *
+     * @param {number} [now] - Current time (ms)
      * @returns {number} Progress 0.0-1.0
      */
-    getHoverProgress() {
+    getHoverProgress(now = Date.now()) {
         if (!this.hoveredObject || !this.hoverStartTime) {
             return 0.0;
         }
 
-        const dwellTime = Date.now() - this.hoverStartTime;
+        const dwellTime = now - this.hoverStartTime;
         return Math.min(1.0, dwellTime / this.DWELL_TIME_MS);
     }
 
     /**
      * Get currently hovered object
-     * 
+     *
      * @returns {THREE.Object3D|null}
      */
     getHoveredObject() {
         return this.hoveredObject;
     }
+
+    /**
+     * Save the dwell time to localStorage
+     */
+    save() {
+        saveStored(this.storageKey, this.DWELL_TIME_MS, 'dwell time');
+    }
+
+    /**
+     * Load the saved dwell time (call at startup)
+     *
+     * @returns {number} Dwell time in milliseconds
+     */
+    load() {
+        const saved = loadStored(this.storageKey, 'dwell time');
+        if (typeof saved === 'number' && saved >= this.MIN_DWELL_TIME_MS && saved <= this.MAX_DWELL_TIME_MS) {
+            this.DWELL_TIME_MS = saved;
+        }
+        return this.DWELL_TIME_MS;
+    }
 }
@@ -1,19 +1,29 @@
 /**
  * Selection System
  * Handles object selection via raycasting and visual feedback
+ *
+ * Grid voxels are picked by marching the ray through the voxel store;
+ * only extrusions and CSG results are raycast as scene meshes.
  */
 
 import * as THREE from 'three';
 
 export class SelectionSystem {
-    constructor(scene, camera, eventBus) {
+    constructor(scene, camera, eventBus, gridSystem) {
         this.scene = scene;
         this.camera = camera;
         this.eventBus = eventBus;
+        this.gridSystem = gridSystem;
 
         // Selection state
         this.selectedObjects = new Set();
         this.hoveredObject = null;
+        this.multiSelect = false; // Keep previous selection when selecting (CSG needs 2+ objects)
+
+        // Hover picking: only raycast again once the pointer (or camera) has moved
+        this.HOVER_MOVE_THRESHOLD = 0.005; // Normalized screen units
+        this.hoverPointer = null; // Pointer position of the last hover raycast
+        this.hoverCameraMatrix = new THREE.Matrix4();
 
         // Raycaster for click detection
         this.raycaster = new THREE.Raycaster();
@@ -21,18 +31,76 @@ export class SelectionSystem {
 
         // Selection visualization
         this.selectionOutlines = new Map();
+
+        // Moves and undo/redo reposition voxels, which carry no outline child
+        for (const event of ['command-executed', 'command-undone', 'command-redone']) {
+            this.eventBus.on(event, () => {
+                this.syncOutlines();
+                this.invalidateHover();
+            });
+        }
+
+        // Objects were replaced or removed: the hovered one may be gone
+        for (const event of ['scene-restored', 'blocks-cleared']) {
+            this.eventBus.on(event, () => this.invalidateHover());
+        }
     }
 
     /**
      * Update selection based on hand gestures
      * @param {Object} gestureData - Processed gesture data
+     * @param {Object} [gestureData.singlePinch] - Pinch state; a new pinch toggles the object under it
+     * @param {Object|null} [gestureData.pointer] - Fingertip screen position {x, y} (0-1), or null
+     * @returns {THREE.Object3D|Voxel|null} Object under the pointer
      */
     update(gestureData) {
-        const { singlePinch } = gestureData;
+        const { singlePinch, pointer = null } = gestureData;
 
         if (singlePinch && singlePinch.isActive && singlePinch.justPressed) {
             this.performRaycast(singlePinch.position);
         }
+
+        return this.updateHover(pointer);
+    }
+
+    /**
+     * Find the object under the pointer, reusing the last hit while the
+     * pointer and camera stay put
+     * @param {Object|null} pointer - Screen position {x, y} (0-1), or null
+     * @returns {THREE.Object3D|Voxel|null} Hovered object
+     */
+    updateHover(pointer) {
+        if (!pointer) {
+            this.clearHover();
+            return null;
+        }
+
+        const moved = !this.hoverPointer ||
+            Math.hypot(pointer.x - this.hoverPointer.x, pointer.y - this.hoverPointer.y) > this.HOVER_MOVE_THRESHOLD ||
+            !this.camera.matrixWorld.equals(this.hoverCameraMatrix);
+
+        if (moved) {
+            this.hoveredObject = this.pickObject(pointer);
+            this.hoverPointer = { x: pointer.x, y: pointer.y };
+            this.hoverCameraMatrix.copy(this.camera.matrixWorld);
+        }
+
+        return this.hoveredObject;
+    }
+
+    /**
+     * Force a fresh hover raycast on the next update
+     */
+    invalidateHover() {
+        this.hoverPointer = null;
+    }
+
+    /**
+     * Forget the hovered object
+     */
+    clearHover() {
+        this.hoveredObject = null;
+        this.hoverPointer = null;
     }
 
     /**
@@ -40,28 +108,44 @@ export class SelectionSystem {
      * @param {Object} handPosition - Normalized hand position
      */
     performRaycast(handPosition) {
+        const object = this.pickObject(handPosition);
+
+        if (object) {
+            this.toggleSelection(object);
+        } else {
+            // Clicked empty space - clear selection
+            this.clearSelection();
+        }
+    }
+
+    /**
+     * Find the selectable object under a screen position
+     * @param {Object} screenPosition - Normalized screen position {x, y} (0-1, top-left origin)
+     * @returns {Voxel|THREE.Object3D|null} Nearest hit object
+     */
+    pickObject(screenPosition) {
         // Convert normalized coords to NDC (Normalized Device Coordinates)
         const ndc = new THREE.Vector2(
-            handPosition.x * 2 - 1,
-            -(handPosition.y * 2 - 1)
+            screenPosition.x * 2 - 1,
+            -(screenPosition.y * 2 - 1)
         );
 
         this.raycaster.setFromCamera(ndc, this.camera);
+        const { ray, far } = this.raycaster;
 
-        // Get all selectable objects (blocks)
-        const selectableObjects = this.scene.children.filter(
-            obj => obj.userData.isBlock
-        );
+        // Grid blocks: walk the voxel store along the ray
+        const voxelHit = this.gridSystem.raycast(ray.origin, ray.direction, far);
 
-        const intersects = this.raycaster.intersectObjects(selectableObjects, false);
+        // Extrusions and CSG results are few and live in the scene
+        const meshes = this.scene.children.filter(
+            obj => obj.userData.isExtruded || obj.userData.isCSGResult
+        );
+        const [meshHit] = this.raycaster.intersectObjects(meshes, false);
 
-        if (intersects.length > 0) {
-            const object = intersects[0].object;
-            this.toggleSelection(object);
-        } else {
-            // Clicked empty space - clear selection
-            this.clearSelection();
+        if (meshHit && (!voxelHit || meshHit.distance < voxelHit.distance)) {
+            return meshHit.object;
         }
+        return voxelHit ? voxelHit.voxel : null;
     }
 
     /**
@@ -73,7 +157,9 @@ export class SelectionSystem {
             this.deselectObject(object);
         } else {
             // Clear previous selection (single selection mode)
-            this.clearSelection();
+            if (!this.multiSelect) {
+                this.clearSelection();
+            }
             this.selectObject(object);
         }
     }
@@ -131,18 +217,34 @@ export class SelectionSystem {
             side: THREE.BackSide
         });
 
+        const size = this.gridSystem.voxelSize;
         const outlineMesh = new THREE.Mesh(
-            object.geometry.clone(),
+            object.isVoxel ? new THREE.BoxGeometry(size, size, size) : object.geometry.clone(),
             outlineMaterial
         );
 
         outlineMesh.scale.multiplyScalar(1.05);
         outlineMesh.renderOrder = 0;
 
-        object.add(outlineMesh);
+        if (object.isVoxel) {
+            // Voxels are not in the scene graph: place the outline on their cell
+            outlineMesh.position.copy(object.position);
+            this.scene.add(outlineMesh);
+        } else {
+            object.add(outlineMesh);
+        }
         this.selectionOutlines.set(object, outlineMesh);
     }
 
+    /**
+     * Move voxel outlines back onto their voxels
+     */
+    syncOutlines() {
+        for (const [object, outline] of this.selectionOutlines) {
+            if (object.isVoxel) outline.position.copy(object.position);
+        }
+    }
+
     /**
      * Remove selection outline
      * @param {THREE.Object3D} object - Object to remove outline from
@@ -151,13 +253,21 @@ export class SelectionSystem {
         const outline = this.selectionOutlines.get(object);
 
         if (outline) {
-            object.remove(outline);
+            outline.removeFromParent();
             outline.geometry.dispose();
             outline.material.dispose();
             this.selectionOutlines.delete(object);
         }
     }
 
+    /**
+     * Enable/disable multi-selection
+     * @param {boolean} enabled - Keep previous selection when selecting
+     */
+    setMultiSelect(enabled) {
+        this.multiSelect = enabled;
+    }
+
     /**
      * Get selected objects
      * @returns {Set} Set of selected objects
@@ -194,7 +304,7 @@ export class SelectionSystem {
         const objectsToDelete = Array.from(this.selectedObjects);
 
         for (const object of objectsToDelete) {
-            this.scene.remove(object);
+            if (!object.isVoxel) this.scene.remove(object);
             this.removeSelectionOutline(object);
 
             // Dispose geometry and material
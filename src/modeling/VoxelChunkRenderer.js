@@ -0,0 +1,262 @@
+/**
+ * Voxel Chunk Renderer - Greedy-meshed block rendering
+ *
+ * Blocks live only in the VoxelGridSystem store (see Voxel), never in
+ * the scene graph. What is drawn (and exported as GLB) is one merged mesh
+ * per 16x16x16 chunk, built with greedy meshing: only faces not touching
+ * another voxel are kept, and coplanar faces of the same color are merged
+ * into larger quads. Picking goes through VoxelGridSystem.raycast.
+ *
+ * Chunks are rebuilt lazily: the VoxelGridSystem store flags chunks dirty
+ * when voxels change, and update() rebuilds only those once per frame.
+ */
+
+import * as THREE from 'three';
+
+export class VoxelChunkRenderer {
+    /**
+     * @param {THREE.Scene} scene - Scene to add chunk meshes to
+     * @param {VoxelGridSystem} gridSystem - Voxel store
+     * @param {Object} [materialOptions] - MeshStandardMaterial options for chunks
+     */
+    constructor(scene, gridSystem, materialOptions = {}) {
+        this.scene = scene;
+        this.gridSystem = gridSystem;
+
+        // Chunk key (VoxelGridSystem.getChunkKey) -> mesh
+        this.chunkMeshes = new Map();
+
+        // One shared material, colors come from vertex colors
+        this.material = new THREE.MeshStandardMaterial({
+            roughness: 0.6,
+            metalness: 0.4,
+            ...materialOptions,
+            vertexColors: true
+        });
+
+        // Container for chunk meshes
+        this.group = new THREE.Group();
+        this.group.name = 'VoxelChunks';
+        this.scene.add(this.group);
+
+        console.log('✅ VoxelChunkRenderer initialized');
+    }
+
+    /**
+     * Rebuild chunks marked dirty in the voxel store (call once per frame)
+     */
+    update() {
+        for (const chunk of this.gridSystem.getDirtyChunks()) {
+            this.rebuildChunk(chunk);
+            this.gridSystem.clearChunkDirty(chunk);
+        }
+    }
+
+    /**
+     * Rebuild the merged mesh of one chunk
+     * @param {Object} chunk - Voxel store chunk
+     */
+    rebuildChunk(chunk) {
+        const key = chunk.key;
+        const oldMesh = this.chunkMeshes.get(key);
+        if (oldMesh) {
+            this.group.remove(oldMesh);
+            oldMesh.geometry.dispose();
+            this.chunkMeshes.delete(key);
+        }
+
+        const geometry = this.buildChunkGeometry(chunk);
+        if (!geometry) return;
+
+        const mesh = new THREE.Mesh(geometry, this.material);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        mesh.userData.chunkKey = key;
+
+        this.group.add(mesh);
+        this.chunkMeshes.set(key, mesh);
+    }
+
+    /**
+     * Greedy-mesh one chunk
+     * @param {Object} chunk - Voxel store chunk
+     * @returns {THREE.BufferGeometry|null} Chunk geometry, or null if empty
+     */
+    buildChunkGeometry(chunk) {
+        if (chunk.count === 0) return null;
+
+        const size = this.gridSystem.CHUNK_SIZE;
+        const origin = [chunk.x * size, chunk.y * size, chunk.z * size];
+
+        // Color of every cell in the chunk (-1 = empty), read once
+        const colors = new Int32Array(size * size * size).fill(-1);
+
+        this.gridSystem.forEachVoxelInChunk(chunk, (voxel, x, y, z) => {
+            colors[(x - origin[0]) + size * ((y - origin[1]) + size * (z - origin[2]))] = this.getVoxelColor(voxel);
+        });
+
+        const colorAt = (cell) => {
+            const local = [cell[0] - origin[0], cell[1] - origin[1], cell[2] - origin[2]];
+
+            if (local.every(v => v >= 0 && v < size)) {
+                return colors[local[0] + size * (local[1] + size * local[2])];
+            }
+
+            // Outside this chunk: only occupancy matters
+            return this.gridSystem.hasVoxel(cell[0], cell[1], cell[2]) ? 0 : -1;
+        };
+
+        const positions = [];
+        const normals = [];
+        const vertexColors = [];
+        const mask = new Int32Array(size * size);
+        const cell = [0, 0, 0];
+
+        for (let d = 0; d < 3; d++) {
+            const u = (d + 1) % 3;
+            const v = (d + 2) % 3;
+
+            for (const sign of [1, -1]) {
+                for (let slice = 0; slice < size; slice++) {
+                    // Build mask of exposed faces in this slice (value = color + 1)
+                    for (let j = 0; j < size; j++) {
+                        for (let i = 0; i < size; i++) {
+                            cell[d] = origin[d] + slice;
+                            cell[u] = origin[u] + i;
+                            cell[v] = origin[v] + j;
+
+                            const color = colorAt(cell);
+                            let value = 0;
+
+                            if (color >= 0) {
+                                cell[d] += sign;
+                                if (colorAt(cell) < 0) value = color + 1;
+                            }
+
+                            mask[i + j * size] = value;
+                        }
+                    }
+
+                    // Merge equal mask entries into rectangles
+                    for (let j = 0; j < size; j++) {
+                        for (let i = 0; i < size;) {
+                            const value = mask[i + j * size];
+                            if (value === 0) {
+                                i++;
+                                continue;
+                            }
+
+                            let width = 1;
+                            while (i + width < size && mask[i + width + j * size] === value) width++;
+
+                            let height = 1;
+                            grow: while (j + height < size) {
+                                for (let k = 0; k < width; k++) {
+                                    if (mask[i + k + (j + height) * size] !== value) break grow;
+                                }
+                                height++;
+                            }
+
+                            this.pushQuad(
+                                { d, u, v, sign },
+                                [origin[d] + slice, origin[u] + i, origin[v] + j],
+                                width, height, value - 1,
+                                positions, normals, vertexColors
+                            );
+
+                            for (let h = 0; h < height; h++) {
+                                mask.fill(0, i + (j + h) * size, i + width + (j + h) * size);
+                            }
+
+                            i += width;
+                        }
+                    }
+                }
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(vertexColors, 3));
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+
+        return geometry;
+    }
+
+    /**
+     * Append one merged face (two triangles)
+     * @param {Object} axes - Face axis d, in-plane axes u/v, direction sign
+     * @param {Array} start - Grid cell of the first voxel [d, u, v]
+     * @param {number} width - Cells along u
+     * @param {number} height - Cells along v
+     * @param {number} color - Hex color
+     */
+    pushQuad(axes, start, width, height, color, positions, normals, vertexColors) {
+        const { d, u, v, sign } = axes;
+        const s = this.gridSystem.voxelSize;
+
+        // Cell i spans [(i - 0.5) * s, (i + 0.5) * s]
+        const plane = (start[0] + sign * 0.5) * s;
+        const u0 = (start[1] - 0.5) * s;
+        const v0 = (start[2] - 0.5) * s;
+        const u1 = u0 + width * s;
+        const v1 = v0 + height * s;
+
+        const corner = (cu, cv) => {
+            const p = [0, 0, 0];
+            p[d] = plane;
+            p[u] = cu;
+            p[v] = cv;
+            return p;
+        };
+
+        // u x v points along +d, so reverse the winding for -d faces
+        let quad = [corner(u0, v0), corner(u1, v0), corner(u1, v1), corner(u0, v1)];
+        if (sign < 0) quad = quad.reverse();
+
+        const normal = [0, 0, 0];
+        normal[d] = sign;
+
+        const rgb = new THREE.Color(color);
+
+        for (const index of [0, 1, 2, 0, 2, 3]) {
+            positions.push(...quad[index]);
+            normals.push(...normal);
+            vertexColors.push(rgb.r, rgb.g, rgb.b);
+        }
+    }
+
+    /**
+     * Get display color of a voxel
+     * @param {Voxel} voxel - Stored voxel
+     * @returns {number} Hex color
+     */
+    getVoxelColor(voxel) {
+        return voxel.color ?? 0xffffff;
+    }
+
+    /**
+     * Get number of chunk meshes
+     * @returns {number}
+     */
+    getChunkCount() {
+        return this.chunkMeshes.size;
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        for (const mesh of this.chunkMeshes.values()) {
+            mesh.geometry.dispose();
+        }
+
+        this.chunkMeshes.clear();
+        this.scene.remove(this.group);
+        this.material.dispose();
+
+        console.log('✅ VoxelChunkRenderer disposed');
+    }
+}
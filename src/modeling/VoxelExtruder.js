@@ -14,6 +14,7 @@
  */
 
 import * as THREE from 'three';
+import { Voxel } from '../core/Voxel.js';
 
 export class VoxelExtruder {
     constructor(scene, gridSystem, collisionSystem) {
@@ -65,10 +66,7 @@ export class VoxelExtruder {
             const voxel = this.createVoxel(newGridPos, faceData.object);
             createdVoxels.push(voxel);
 
-            // Add to scene
-            this.scene.add(voxel);
-
-            // Register in collision system
+            // Register in the voxel store (the chunk renderer draws it)
             this.collisionSystem.registerVoxel(voxel, newGridPos);
         }
 
@@ -131,15 +129,10 @@ export class VoxelExtruder {
             if (voxel) {
                 deletedVoxels.push(voxel);
 
-                // Remove from scene
-                this.scene.remove(voxel);
-
-                // Unregister from collision system
+                // Unregister from the voxel store
                 this.collisionSystem.unregisterVoxel(deleteGridPos);
 
-                // Dispose
-                if (voxel.geometry) voxel.geometry.dispose();
-                if (voxel.material) voxel.material.dispose();
+                // Not disposed: undo puts the voxel back
             }
         }
 
@@ -156,7 +149,7 @@ export class VoxelExtruder {
      * Create extrusion preview
      * 
      * @param {Object} faceData - Face data
-     * @param {number} distance - Preview distance
+     * @param {number} distance - Preview distance (negative = intrude preview)
      */
     createPreview(faceData, distance) {
         this.clearPreview();
@@ -164,7 +157,8 @@ export class VoxelExtruder {
         const { gridPosition, direction } = faceData;
 
         for (let i = 1; i <= Math.abs(distance); i++) {
-            const offset = distance > 0 ? i : -i;
+            // Intrusion removes the face voxel first, like intrude()
+            const offset = distance > 0 ? i : -(i - 1);
 
             const newGridPos = {
                 x: gridPosition.x + (direction.x * offset),
@@ -172,13 +166,14 @@ export class VoxelExtruder {
                 z: gridPosition.z + (direction.z * offset)
             };
 
-            // Check collision
+            // Check collision (voxels to remove always show red)
             const collision = this.collisionSystem.canPlaceVoxel(newGridPos);
-            const color = collision.canPlace ? 0x00ff88 : 0xff0055;
+            const color = distance > 0 && collision.canPlace ? 0x00ff88 : 0xff0055;
 
-            // Create preview voxel
+            // Create preview voxel (slightly larger to show over existing voxels)
             const worldPos = this.gridSystem.gridToWorld(newGridPos);
             const preview = this.createPreviewVoxel(worldPos, color);
+            if (distance < 0) preview.scale.setScalar(1.05);
 
             this.extrusionPreview.push(preview);
             this.scene.add(preview);
@@ -230,24 +225,11 @@ export class VoxelExtruder {
      * Create a voxel
      * 
      * @param {Object} gridPos - Grid position
-     * @param {THREE.Object3D} sourceVoxel - Source voxel (for color)
-     * @returns {THREE.Mesh} Created voxel
+     * @param {Voxel} sourceVoxel - Source voxel (for color)
+     * @returns {Voxel} Created voxel
      */
     createVoxel(gridPos, sourceVoxel) {
-        const worldPos = this.gridSystem.gridToWorld(gridPos);
-
-        const geometry = new THREE.BoxGeometry(3.0, 3.0, 3.0);
-        const material = sourceVoxel.material.clone();
-
-        const voxel = new THREE.Mesh(geometry, material);
-        voxel.position.set(worldPos.x, worldPos.y, worldPos.z);
-        voxel.userData.gridPosition = gridPos;
-        voxel.userData.isVoxel = true;
-        voxel.userData.isBlock = true; // For compatibility
-        voxel.castShadow = true;
-        voxel.receiveShadow = true;
-
-        return voxel;
+        return new Voxel(gridPos, this.gridSystem.gridToWorld(gridPos), sourceVoxel.color);
     }
 
     /**
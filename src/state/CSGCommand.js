@@ -0,0 +1,57 @@
+/**
+ * CSG Command
+ *
+ * Command for boolean operations (union, subtract, intersect).
+ * Replaces the input meshes with the result mesh, and restores them on undo.
+ */
+
+import { Command } from './Command.js';
+
+export class CSGCommand extends Command {
+    constructor(type, inputs, result, scene, collisionSystem) {
+        super();
+
+        this.type = type;
+        this.result = result;
+        this.scene = scene;
+        this.collisionSystem = collisionSystem;
+
+        // Remember parents so inputs are restored where they were
+        this.inputs = Array.from(inputs).map(object => ({
+            object,
+            parent: object.parent
+        }));
+    }
+
+    execute() {
+        for (const { object } of this.inputs) {
+            if (object.parent) {
+                object.parent.remove(object);
+            }
+
+            if (this.collisionSystem && object.userData.gridPosition) {
+                this.collisionSystem.unregisterVoxel(object.userData.gridPosition);
+            }
+        }
+
+        this.scene.add(this.result);
+    }
+
+    undo() {
+        this.scene.remove(this.result);
+
+        for (const { object, parent } of this.inputs) {
+            // Voxels live in the grid store, not the scene
+            if (!object.isVoxel) (parent || this.scene).add(object);
+
+            if (this.collisionSystem && object.userData.gridPosition) {
+                this.collisionSystem.registerVoxel(object, object.userData.gridPosition);
+            }
+        }
+    }
+
+    getDescription() {
+        const name = this.type.charAt(0).toUpperCase() + this.type.slice(1);
+        return `CSG ${name} (${this.inputs.length} Objects)`;
+    }
+}
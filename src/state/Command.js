@@ -8,7 +8,11 @@
  * All commands must implement execute() and undo()
  */
 export class Command {
-    constructor() {
+    /**
+     * @param {string} [description] - Shown in history tooltips and undo/redo messages
+     */
+    constructor(description = 'Unknown Command') {
+        this.description = description;
         this.timestamp = Date.now();
     }
 
@@ -30,12 +34,13 @@ export class Command {
      * Get command description for UI
      */
     getDescription() {
-        return 'Unknown Command';
+        return this.description;
     }
 }
 
 /**
  * Create Block Command (for Grid System)
+ * Blocks are voxels in the grid store, so only their registration changes
  */
 export class CreateBlockCommand extends Command {
     constructor(blockSystem, blocks) {
@@ -46,17 +51,13 @@ export class CreateBlockCommand extends Command {
 
     execute() {
         for (const block of this.blocks) {
-            this.blockSystem.scene.add(block);
-            const key = this.blockSystem.getGridKey(block.userData.gridPosition);
-            this.blockSystem.blocks.set(key, block);
+            this.blockSystem.collisionSystem.registerVoxel(block, block.userData.gridPosition);
         }
     }
 
     undo() {
         for (const block of this.blocks) {
-            const key = this.blockSystem.getGridKey(block.userData.gridPosition);
-            this.blockSystem.blocks.delete(key);
-            this.blockSystem.scene.remove(block);
+            this.blockSystem.collisionSystem.unregisterVoxel(block.userData.gridPosition);
         }
     }
 
@@ -69,9 +70,10 @@ export class CreateBlockCommand extends Command {
  * Delete Objects Command
  */
 export class DeleteObjectsCommand extends Command {
-    constructor(scene, objects) {
+    constructor(scene, objects, collisionSystem = null) {
         super();
         this.scene = scene;
+        this.collisionSystem = collisionSystem;
         this.objects = objects.map(obj => ({
             object: obj,
             parent: obj.parent
@@ -80,16 +82,21 @@ export class DeleteObjectsCommand extends Command {
 
     execute() {
         for (const { object } of this.objects) {
-            this.scene.remove(object);
+            // Voxels live in the grid store, not the scene
+            if (!object.isVoxel) this.scene.remove(object);
+
+            if (this.collisionSystem && object.userData.gridPosition) {
+                this.collisionSystem.unregisterVoxel(object.userData.gridPosition);
+            }
         }
     }
 
     undo() {
         for (const { object, parent } of this.objects) {
-            if (parent) {
-                parent.add(object);
-            } else {
-                this.scene.add(object);
+            if (!object.isVoxel) (parent || this.scene).add(object);
+
+            if (this.collisionSystem && object.userData.gridPosition) {
+                this.collisionSystem.registerVoxel(object, object.userData.gridPosition);
             }
         }
     }
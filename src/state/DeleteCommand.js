@@ -1,18 +1,17 @@
 /**
  * Delete Command
  * 
- * Command for deleting objects.
- * Stores deleted objects and their data for undo/redo.
+ * Command for deleting grid voxels.
+ * Stores deleted voxels and their cells for undo/redo.
  */
 
 import { Command } from './Command.js';
 
 export class DeleteCommand extends Command {
-    constructor(objects, scene, gridSystem, collisionSystem) {
+    constructor(objects, gridSystem, collisionSystem) {
         super(`Delete ${objects.length} object(s)`);
 
         this.deletedObjects = Array.from(objects);
-        this.scene = scene;
         this.gridSystem = gridSystem;
         this.collisionSystem = collisionSystem;
 
@@ -20,17 +19,13 @@ export class DeleteCommand extends Command {
         this.objectData = this.deletedObjects.map(obj => ({
             object: obj,
             gridPosition: { ...obj.userData.gridPosition },
-            position: obj.position.clone(),
-            rotation: obj.rotation.clone(),
-            scale: obj.scale.clone()
+            position: obj.position.clone()
         }));
     }
 
     execute() {
-        // Remove objects from scene
+        // Take voxels out of the grid
         for (const data of this.objectData) {
-            this.scene.remove(data.object);
-
             if (this.collisionSystem) {
                 this.collisionSystem.unregisterVoxel(data.gridPosition);
             }
@@ -38,14 +33,9 @@ export class DeleteCommand extends Command {
     }
 
     undo() {
-        // Restore objects to scene
+        // Put voxels back where they were
         for (const data of this.objectData) {
-            this.scene.add(data.object);
-
-            // Restore position/rotation/scale
             data.object.position.copy(data.position);
-            data.object.rotation.copy(data.rotation);
-            data.object.scale.copy(data.scale);
             data.object.userData.gridPosition = data.gridPosition;
 
             if (this.collisionSystem) {
@@ -2,17 +2,16 @@
  * Extrude Command
  * 
  * Command for extruding voxel faces.
- * Stores created voxels for undo/redo.
+ * Stores created voxels for undo/redo (they live in the grid store, not the scene).
  */
 
 import { Command } from './Command.js';
 
 export class ExtrudeCommand extends Command {
-    constructor(createdVoxels, scene, gridSystem, collisionSystem) {
+    constructor(createdVoxels, gridSystem, collisionSystem) {
         super(`Extrude ${createdVoxels.length} voxel(s)`);
 
         this.createdVoxels = createdVoxels;
-        this.scene = scene;
         this.gridSystem = gridSystem;
         this.collisionSystem = collisionSystem;
 
@@ -20,16 +19,13 @@ export class ExtrudeCommand extends Command {
         this.voxelData = createdVoxels.map(v => ({
             gridPosition: { ...v.userData.gridPosition },
             position: v.position.clone(),
-            color: v.material.color.getHex()
+            color: v.color
         }));
     }
 
     execute() {
-        // Add voxels to scene
-        for (let i = 0; i < this.createdVoxels.length; i++) {
-            const voxel = this.createdVoxels[i];
-            this.scene.add(voxel);
-
+        // Put voxels back in the grid
+        for (const voxel of this.createdVoxels) {
             if (this.collisionSystem) {
                 this.collisionSystem.registerVoxel(voxel, voxel.userData.gridPosition);
             }
@@ -37,10 +33,8 @@ export class ExtrudeCommand extends Command {
     }
 
     undo() {
-        // Remove voxels from scene
+        // Take voxels out of the grid
         for (const voxel of this.createdVoxels) {
-            this.scene.remove(voxel);
-
             if (this.collisionSystem) {
                 this.collisionSystem.unregisterVoxel(voxel.userData.gridPosition);
             }
@@ -0,0 +1,52 @@
+/**
+ * Local Store - Guarded localStorage access for saved preferences
+ *
+ * Calibrations, settings and trained gestures are conveniences: when
+ * localStorage is full, blocked (e.g. private browsing) or holds something
+ * unreadable, the app keeps its defaults and logs a warning instead of
+ * failing. Values are stored as JSON.
+ */
+
+/**
+ * Save a value
+ * @param {string} key - localStorage key
+ * @param {*} value - JSON-serializable value
+ * @param {string} description - What is saved, for the warning (e.g. 'hand size')
+ */
+export function saveStored(key, value, description) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not save ${description}:`, error);
+    }
+}
+
+/**
+ * Load a saved value
+ * @param {string} key - localStorage key
+ * @param {string} description - What is saved, for the warning (e.g. 'hand size')
+ * @param {Function} [restore] - Applies the value, errors it throws count as unreadable
+ * @returns {*} Saved value (or restore's result), null if nothing usable was saved
+ */
+export function loadStored(key, description, restore = value => value) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(key));
+        return saved === null ? null : restore(saved);
+    } catch (error) {
+        console.warn(`Ignoring unreadable ${description}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Forget a saved value
+ * @param {string} key - localStorage key
+ * @param {string} description - What is saved, for the warning (e.g. 'hand size')
+ */
+export function removeStored(key, description) {
+    try {
+        localStorage.removeItem(key);
+    } catch (error) {
+        console.warn(`Could not remove ${description}:`, error);
+    }
+}
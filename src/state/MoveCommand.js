@@ -19,40 +19,37 @@ export class MoveCommand extends Command {
     }
 
     execute() {
-        for (let i = 0; i < this.objects.length; i++) {
-            const object = this.objects[i];
-            const toPos = this.toPositions[i];
-            const fromGridPos = this.gridSystem.worldToGrid(this.fromPositions[i]);
-            const toGridPos = this.gridSystem.worldToGrid(toPos);
+        this.moveObjects(this.fromPositions, this.toPositions);
+    }
 
-            // Update collision system
-            if (this.collisionSystem) {
-                this.collisionSystem.unregisterVoxel(fromGridPos);
-                this.collisionSystem.registerVoxel(object, toGridPos);
-            }
+    undo() {
+        this.moveObjects(this.toPositions, this.fromPositions);
+    }
 
-            // Update position
-            object.position.set(toPos.x, toPos.y, toPos.z);
-            object.userData.gridPosition = toGridPos;
+    /**
+     * Move every object from one position list to the other
+     * @param {Array} fromPositions - Current world positions
+     * @param {Array} toPositions - Target world positions
+     */
+    moveObjects(fromPositions, toPositions) {
+        // Vacate all cells first: a group shifted by one cell lands on its own old cells
+        if (this.collisionSystem) {
+            for (const fromPos of fromPositions) {
+                this.collisionSystem.unregisterVoxel(this.gridSystem.worldToGrid(fromPos));
+            }
         }
-    }
 
-    undo() {
         for (let i = 0; i < this.objects.length; i++) {
             const object = this.objects[i];
-            const fromPos = this.fromPositions[i];
-            const fromGridPos = this.gridSystem.worldToGrid(fromPos);
-            const toGridPos = this.gridSystem.worldToGrid(this.toPositions[i]);
+            const toPos = toPositions[i];
+            const toGridPos = this.gridSystem.worldToGrid(toPos);
 
-            // Update collision system
             if (this.collisionSystem) {
-                this.collisionSystem.unregisterVoxel(toGridPos);
-                this.collisionSystem.registerVoxel(object, fromGridPos);
+                this.collisionSystem.registerVoxel(object, toGridPos);
             }
 
-            // Restore position
-            object.position.set(fromPos.x, fromPos.y, fromPos.z);
-            object.userData.gridPosition = fromGridPos;
+            object.position.set(toPos.x, toPos.y, toPos.z);
+            object.userData.gridPosition = toGridPos;
         }
     }
 }
@@ -0,0 +1,203 @@
+/**
+ * STL Exporter
+ * Converts user-created objects into a single STL shell for 3D printing
+ *
+ * - Object transforms are baked into the vertices
+ * - Grid blocks are written face by face, skipping faces shared with a
+ *   neighbouring block, so a block structure becomes one closed shell
+ * - Coordinates are scaled from world units to millimetres and converted
+ *   from Y-up (three.js) to Z-up (slicers)
+ */
+
+import * as THREE from 'three';
+
+// Cube faces: outward normal + corners (counter-clockwise seen from outside)
+const CUBE_FACES = [
+    { dir: [1, 0, 0], corners: [[1, -1, -1], [1, 1, -1], [1, 1, 1], [1, -1, 1]] },
+    { dir: [-1, 0, 0], corners: [[-1, -1, 1], [-1, 1, 1], [-1, 1, -1], [-1, -1, -1]] },
+    { dir: [0, 1, 0], corners: [[-1, 1, 1], [1, 1, 1], [1, 1, -1], [-1, 1, -1]] },
+    { dir: [0, -1, 0], corners: [[-1, -1, -1], [1, -1, -1], [1, -1, 1], [-1, -1, 1]] },
+    { dir: [0, 0, 1], corners: [[-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1]] },
+    { dir: [0, 0, -1], corners: [[1, -1, -1], [-1, -1, -1], [-1, 1, -1], [1, 1, -1]] }
+];
+
+export class STLExporter {
+    /**
+     * @param {CollisionSystem} collisionSystem - Voxel occupancy (for internal face removal)
+     */
+    constructor(collisionSystem) {
+        this.collisionSystem = collisionSystem;
+        this.gridSystem = collisionSystem.gridSystem;
+    }
+
+    /**
+     * Build STL file contents for a scene
+     * @param {THREE.Scene} scene - Scene to export
+     * @param {Object} [options]
+     * @param {boolean} [options.binary=true] - Binary (true) or ASCII (false) STL
+     * @param {number} [options.mmPerVoxel=10] - Size of one grid cell in millimetres
+     * @param {string} [options.name='handcraft3d'] - Solid name (ASCII header)
+     * @returns {Object} {data: ArrayBuffer|string, triangleCount}
+     */
+    export(scene, options = {}) {
+        const { binary = true, mmPerVoxel = 10, name = 'handcraft3d' } = options;
+
+        const triangles = this.collectTriangles(scene, mmPerVoxel / this.gridSystem.voxelSize);
+        const data = binary ? this.toBinary(triangles) : this.toASCII(triangles, name);
+
+        return { data, triangleCount: triangles.length / 12 };
+    }
+
+    /**
+     * Collect world-space triangles of all user-created objects
+     *
+     * Layout per triangle: normal (3), vertex a (3), vertex b (3), vertex c (3)
+     *
+     * @param {THREE.Scene} scene - Scene to export
+     * @param {number} scale - Millimetres per world unit
+     * @returns {Array<number>} Flat triangle data
+     */
+    collectTriangles(scene, scale) {
+        const triangles = [];
+
+        scene.updateMatrixWorld(true);
+
+        for (const block of this.collisionSystem.getAllVoxels()) {
+            this.addBlockFaces(block, scale, triangles);
+        }
+
+        scene.traverse((object) => {
+            if (object.isMesh && (object.userData.isExtruded || object.userData.isCSGResult)) {
+                this.addMeshTriangles(object, scale, triangles);
+            }
+        });
+
+        return triangles;
+    }
+
+    /**
+     * Add the exposed faces of a grid block
+     * @param {Voxel} block - Grid block
+     * @param {number} scale - Millimetres per world unit
+     * @param {Array<number>} triangles - Output triangle data
+     */
+    addBlockFaces(block, scale, triangles) {
+        const gridPos = block.userData.gridPosition;
+        const center = this.gridSystem.gridToWorld(gridPos);
+        const half = this.gridSystem.voxelSize / 2;
+
+        for (const face of CUBE_FACES) {
+            const [dx, dy, dz] = face.dir;
+
+            // Shared with a neighbour: internal face, leave it out
+            if (this.collisionSystem.isOccupied({ x: gridPos.x + dx, y: gridPos.y + dy, z: gridPos.z + dz })) {
+                continue;
+            }
+
+            const corners = face.corners.map(([cx, cy, cz]) => new THREE.Vector3(
+                center.x + cx * half,
+                center.y + cy * half,
+                center.z + cz * half
+            ));
+            const normal = new THREE.Vector3(dx, dy, dz);
+
+            this.pushTriangle(triangles, normal, corners[0], corners[1], corners[2], scale);
+            this.pushTriangle(triangles, normal, corners[0], corners[2], corners[3], scale);
+        }
+    }
+
+    /**
+     * Add all triangles of a mesh with its world transform baked in
+     * @param {THREE.Mesh} mesh - Mesh to add
+     * @param {number} scale - Millimetres per world unit
+     * @param {Array<number>} triangles - Output triangle data
+     */
+    addMeshTriangles(mesh, scale, triangles) {
+        const geometry = mesh.geometry;
+        const position = geometry.getAttribute('position');
+        const index = geometry.getIndex();
+        const count = index ? index.count : position.count;
+
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+        const c = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+
+        for (let i = 0; i + 2 < count; i += 3) {
+            a.fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(mesh.matrixWorld);
+            b.fromBufferAttribute(position, index ? index.getX(i + 1) : i + 1).applyMatrix4(mesh.matrixWorld);
+            c.fromBufferAttribute(position, index ? index.getX(i + 2) : i + 2).applyMatrix4(mesh.matrixWorld);
+
+            THREE.Triangle.getNormal(a, b, c, normal);
+
+            // Skip degenerate triangles
+            if (normal.lengthSq() === 0) continue;
+
+            this.pushTriangle(triangles, normal, a, b, c, scale);
+        }
+    }
+
+    /**
+     * Append one triangle, converted to Z-up millimetres
+     */
+    pushTriangle(triangles, normal, a, b, c, scale) {
+        // Y-up -> Z-up: (x, y, z) -> (x, -z, y) keeps the winding intact
+        triangles.push(normal.x, -normal.z, normal.y);
+
+        for (const v of [a, b, c]) {
+            triangles.push(v.x * scale, -v.z * scale, v.y * scale);
+        }
+    }
+
+    /**
+     * Encode triangles as binary STL
+     * @param {Array<number>} triangles - Flat triangle data
+     * @returns {ArrayBuffer} STL file
+     */
+    toBinary(triangles) {
+        const triangleCount = triangles.length / 12;
+
+        // 80-byte header + uint32 count + 50 bytes per triangle
+        const buffer = new ArrayBuffer(84 + triangleCount * 50);
+        const view = new DataView(buffer);
+        view.setUint32(80, triangleCount, true);
+
+        let offset = 84;
+        for (let i = 0; i < triangles.length; i++) {
+            view.setFloat32(offset, triangles[i], true);
+            offset += 4;
+
+            // Attribute byte count after each triangle
+            if (i % 12 === 11) {
+                view.setUint16(offset, 0, true);
+                offset += 2;
+            }
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Encode triangles as ASCII STL
+     * @param {Array<number>} triangles - Flat triangle data
+     * @param {string} name - Solid name
+     * @returns {string} STL file
+     */
+    toASCII(triangles, name) {
+        const lines = [`solid ${name}`];
+        const f = (value) => value.toExponential(6);
+
+        for (let i = 0; i < triangles.length; i += 12) {
+            lines.push(`  facet normal ${f(triangles[i])} ${f(triangles[i + 1])} ${f(triangles[i + 2])}`);
+            lines.push('    outer loop');
+            for (let v = 3; v < 12; v += 3) {
+                lines.push(`      vertex ${f(triangles[i + v])} ${f(triangles[i + v + 1])} ${f(triangles[i + v + 2])}`);
+            }
+            lines.push('    endloop');
+            lines.push('  endfacet');
+        }
+
+        lines.push(`endsolid ${name}`);
+        return lines.join('\n') + '\n';
+    }
+}
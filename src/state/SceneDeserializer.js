@@ -0,0 +1,292 @@
+/**
+ * Scene Deserializer
+ * Rebuilds the scene from data produced by StateSerializer.serializeScene()
+ */
+
+import * as THREE from 'three';
+
+export class SceneDeserializer {
+    /**
+     * @param {Object} systems - Systems the scene is rebuilt into
+     * @param {THREE.Scene} systems.scene - Scene
+     * @param {GridBlockSystem} systems.blockSystem - Block system (creates blocks)
+     * @param {CollisionSystem} systems.collisionSystem - Voxel occupancy
+     * @param {ExtrudeSystem} systems.extrudeSystem - Extrusion geometry builder
+     * @param {SelectionSystem} [systems.selectionSystem] - Selection to clear
+     * @param {UndoManager} [systems.undoManager] - History to reset
+     * @param {THREE.Camera} [systems.camera] - Camera to restore
+     * @param {OrbitControls} [systems.controls] - Orbit controls to restore
+     * @param {EventBus} systems.eventBus - Event bus
+     */
+    constructor(systems) {
+        this.scene = systems.scene;
+        this.blockSystem = systems.blockSystem;
+        this.collisionSystem = systems.collisionSystem;
+        this.extrudeSystem = systems.extrudeSystem;
+        this.selectionSystem = systems.selectionSystem || null;
+        this.undoManager = systems.undoManager || null;
+        this.camera = systems.camera || null;
+        this.controls = systems.controls || null;
+        this.eventBus = systems.eventBus;
+    }
+
+    /**
+     * Replace current user objects with the saved scene
+     * @param {Object} sceneData - Serialized scene
+     * @returns {Object} Restore summary {restored, skipped}
+     */
+    restore(sceneData) {
+        this.clearUserObjects();
+
+        let restored = 0;
+        let skipped = 0;
+
+        for (const objectData of sceneData.objects || []) {
+            const object = this.restoreObject(objectData);
+
+            if (object) {
+                restored++;
+            } else {
+                skipped++;
+            }
+        }
+
+        if (sceneData.camera) {
+            this.restoreCamera(sceneData.camera);
+        }
+
+        // Old commands reference objects that no longer exist
+        if (this.undoManager) {
+            this.undoManager.clear();
+        }
+
+        console.log(`📂 Scene restored: ${restored} objects (${skipped} skipped)`);
+        this.eventBus.emit('scene-restored', {
+            name: sceneData.name,
+            restored,
+            skipped
+        });
+
+        return { restored, skipped };
+    }
+
+    /**
+     * Remove all user-created objects from the scene
+     */
+    clearUserObjects() {
+        if (this.selectionSystem) {
+            this.selectionSystem.clearSelection();
+        }
+
+        // Blocks live in the voxel store, not the scene
+        this.blockSystem.clearAll();
+
+        const userObjects = [];
+        this.scene.traverse((object) => {
+            if (object.userData.isExtruded || object.userData.isCSGResult) {
+                userObjects.push(object);
+            }
+        });
+
+        for (const object of userObjects) {
+            if (object.parent) {
+                object.parent.remove(object);
+            }
+        }
+    }
+
+    /**
+     * Restore a single serialized object
+     * @param {Object} objectData - Serialized object
+     * @returns {THREE.Object3D|null} Restored object or null if skipped
+     */
+    restoreObject(objectData) {
+        if (objectData.type === 'block') {
+            return this.restoreBlock(objectData);
+        }
+
+        if (objectData.type === 'extrusion') {
+            return this.restoreExtrusion(objectData);
+        }
+
+        if (objectData.type === 'csg') {
+            return this.restoreCSGResult(objectData);
+        }
+
+        console.warn(`Unknown object type in saved scene: ${objectData.type}`);
+        return null;
+    }
+
+    /**
+     * Restore a grid block
+     * @param {Object} objectData - Serialized block
+     * @returns {Voxel|null} Block
+     */
+    restoreBlock(objectData) {
+        // Derive grid cell from world position (works for every save version)
+        const position = new THREE.Vector3().fromArray(objectData.position);
+        const gridPosition = this.blockSystem.gridSystem.worldToGrid(position);
+
+        if (!this.collisionSystem.canPlaceVoxel(gridPosition).canPlace) {
+            console.warn('Skipping block in occupied cell', gridPosition);
+            return null;
+        }
+
+        // Blocks are axis-aligned grid cells: only the color is kept
+        const block = this.blockSystem.createBlock(gridPosition, objectData.material?.color);
+
+        block.userData = {
+            ...objectData.userData,
+            isBlock: true,
+            gridPosition
+        };
+
+        this.collisionSystem.registerVoxel(block, gridPosition);
+
+        return block;
+    }
+
+    /**
+     * Restore an extrusion
+     * @param {Object} objectData - Serialized extrusion
+     * @returns {THREE.Mesh|null} Extrusion mesh
+     */
+    restoreExtrusion(objectData) {
+        const { extrudePath, extrudeDepth } = objectData.userData || {};
+        let geometry = this.deserializeGeometry(objectData.geometry);
+
+        // Saves made before vertex buffers were stored: rebuild from the path
+        if (!geometry && extrudePath && extrudePath.length >= 3) {
+            geometry = this.extrudeSystem.buildExtrusionGeometry(extrudePath, extrudeDepth);
+        }
+
+        if (!geometry) {
+            console.warn('Skipping extrusion without geometry data');
+            return null;
+        }
+
+        const mesh = this.createMesh(geometry, objectData, THREE.DoubleSide);
+        mesh.userData = { ...objectData.userData, isExtruded: true };
+
+        this.scene.add(mesh);
+
+        return mesh;
+    }
+
+    /**
+     * Restore a CSG result mesh
+     * @param {Object} objectData - Serialized CSG result
+     * @returns {THREE.Mesh|null} Result mesh
+     */
+    restoreCSGResult(objectData) {
+        const geometry = this.deserializeGeometry(objectData.geometry);
+
+        if (!geometry) {
+            console.warn('Skipping CSG result without geometry data');
+            return null;
+        }
+
+        const mesh = this.createMesh(geometry, objectData, THREE.FrontSide);
+        mesh.userData = { ...objectData.userData, isCSGResult: true };
+
+        this.scene.add(mesh);
+
+        return mesh;
+    }
+
+    /**
+     * Create a mesh with saved transform and material
+     * @param {THREE.BufferGeometry} geometry - Geometry
+     * @param {Object} objectData - Serialized object
+     * @param {number} side - Material side
+     * @returns {THREE.Mesh} Mesh
+     */
+    createMesh(geometry, objectData, side) {
+        const material = new THREE.MeshStandardMaterial({ side });
+        this.applyMaterial(material, objectData.material);
+
+        const mesh = new THREE.Mesh(geometry, material);
+        this.applyTransform(mesh, objectData);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+
+        return mesh;
+    }
+
+    /**
+     * Rebuild a BufferGeometry from serialized vertex buffers
+     * @param {Object} geometryData - Output of StateSerializer.serializeGeometry()
+     * @returns {THREE.BufferGeometry|null} Geometry, or null if no buffers were saved
+     */
+    deserializeGeometry(geometryData) {
+        if (!geometryData || !geometryData.attributes || !geometryData.attributes.position) {
+            return null;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+
+        for (const [name, attributeData] of Object.entries(geometryData.attributes)) {
+            geometry.setAttribute(name, new THREE.BufferAttribute(
+                attributeData.array,
+                attributeData.itemSize,
+                attributeData.normalized
+            ));
+        }
+
+        if (geometryData.index) {
+            geometry.setIndex(new THREE.BufferAttribute(geometryData.index, 1));
+        }
+
+        for (const group of geometryData.groups || []) {
+            geometry.addGroup(group.start, group.count, group.materialIndex);
+        }
+
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+
+        return geometry;
+    }
+
+    /**
+     * Apply saved position/rotation/scale
+     * @param {THREE.Object3D} object - Target object
+     * @param {Object} objectData - Serialized object
+     */
+    applyTransform(object, objectData) {
+        object.position.fromArray(objectData.position);
+        object.rotation.fromArray(objectData.rotation);
+        object.scale.fromArray(objectData.scale);
+    }
+
+    /**
+     * Apply saved material properties
+     * @param {THREE.Material} material - Target material
+     * @param {Object} materialData - Serialized material
+     */
+    applyMaterial(material, materialData) {
+        if (!materialData) return;
+
+        if (material.color && materialData.color !== undefined) {
+            material.color.setHex(materialData.color);
+        }
+        if (materialData.roughness !== undefined) material.roughness = materialData.roughness;
+        if (materialData.metalness !== undefined) material.metalness = materialData.metalness;
+    }
+
+    /**
+     * Restore camera pose
+     * @param {Object} cameraData - Serialized camera
+     */
+    restoreCamera(cameraData) {
+        if (!this.camera) return;
+
+        this.camera.position.fromArray(cameraData.position);
+        this.camera.rotation.fromArray(cameraData.rotation);
+
+        // Orbit controls re-aim the camera at their target every frame
+        if (this.controls && cameraData.target) {
+            this.controls.target.fromArray(cameraData.target);
+            this.controls.update();
+        }
+    }
+}
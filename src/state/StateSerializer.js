@@ -5,11 +5,21 @@
 
 import * as THREE from 'three';
 import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { STLExporter } from './STLExporter.js';
 
 export class StateSerializer {
-    constructor(scene, eventBus) {
+    /**
+     * @param {THREE.Scene} scene - Scene to serialize
+     * @param {EventBus} eventBus - Event bus
+     * @param {Object} [options] - Optional camera and orbit controls to save the view,
+     *                             and collision system for grid blocks and STL export
+     */
+    constructor(scene, eventBus, options = {}) {
         this.scene = scene;
         this.eventBus = eventBus;
+        this.camera = options.camera || null;
+        this.controls = options.controls || null;
+        this.collisionSystem = options.collisionSystem || null;
 
         // IndexedDB configuration
         this.dbName = 'HandCraft3D';
@@ -56,45 +66,132 @@ export class StateSerializer {
     serializeScene() {
         const objects = [];
 
+        // Grid blocks live in the voxel store, not the scene
+        if (this.collisionSystem) {
+            for (const block of this.collisionSystem.getAllVoxels()) {
+                objects.push(this.serializeBlock(block));
+            }
+        }
+
         // Iterate through scene objects
         this.scene.traverse((object) => {
             // Only serialize user-created objects
-            if (object.userData.isBlock || object.userData.isExtruded) {
-                objects.push({
-                    type: object.userData.isBlock ? 'block' : 'extrusion',
-                    position: object.position.toArray(),
-                    rotation: object.rotation.toArray(),
-                    scale: object.scale.toArray(),
-                    geometry: this.serializeGeometry(object.geometry),
-                    material: this.serializeMaterial(object.material),
-                    userData: object.userData
-                });
-            }
+            const type = this.getObjectType(object);
+            if (!type) return;
+
+            objects.push({
+                type,
+                position: object.position.toArray(),
+                rotation: object.rotation.toArray(),
+                scale: object.scale.toArray(),
+                geometry: this.serializeGeometry(object.geometry),
+                material: this.serializeMaterial(object.material),
+                userData: object.userData
+            });
         });
 
         return {
-            version: '1.0',
+            version: '1.1',
             timestamp: Date.now(),
             objects: objects,
             camera: {
-                position: this.scene.camera?.position.toArray() || [0, 5, 10],
-                rotation: this.scene.camera?.rotation.toArray() || [0, 0, 0]
+                position: this.camera?.position.toArray() || [0, 5, 10],
+                rotation: this.camera?.rotation.toArray() || [0, 0, 0],
+                target: this.controls?.target.toArray() || null
             }
         };
     }
 
     /**
-     * Serialize geometry data
+     * Serialize a grid block
+     *
+     * Blocks are rebuilt from their grid cell, so only their color matters;
+     * the rest keeps the layout of other saved objects.
+     *
+     * @param {Voxel} block - Grid block
+     * @returns {Object} Serialized block
+     */
+    serializeBlock(block) {
+        const size = this.collisionSystem.gridSystem.voxelSize;
+
+        return {
+            type: 'block',
+            position: block.position.toArray(),
+            rotation: [0, 0, 0, 'XYZ'],
+            scale: [1, 1, 1],
+            geometry: {
+                type: 'BoxGeometry',
+                parameters: { width: size, height: size, depth: size }
+            },
+            material: { type: 'MeshStandardMaterial', color: block.color },
+            userData: block.userData
+        };
+    }
+
+    /**
+     * Get saved object type for a scene object
+     * @param {THREE.Object3D} object - Scene object
+     * @returns {string|null} 'extrusion', 'csg' or null if not user-created
+     */
+    getObjectType(object) {
+        if (object.userData.isExtruded) return 'extrusion';
+        if (object.userData.isCSGResult) return 'csg';
+        return null;
+    }
+
+    /**
+     * Serialize geometry losslessly (vertex buffers)
+     *
+     * Attribute and index arrays are stored as typed arrays, which IndexedDB
+     * keeps as compact binary data via structured cloning.
+     *
      * @param {THREE.BufferGeometry} geometry - Geometry to serialize
      * @returns {Object} Serialized geometry
      */
     serializeGeometry(geometry) {
+        const attributes = {};
+
+        for (const name of ['position', 'normal', 'uv']) {
+            const attribute = geometry.getAttribute(name);
+            if (!attribute) continue;
+
+            attributes[name] = {
+                array: this.copyAttributeArray(attribute),
+                itemSize: attribute.itemSize,
+                normalized: attribute.normalized
+            };
+        }
+
+        const index = geometry.getIndex();
+
         return {
             type: geometry.type,
-            parameters: geometry.parameters || {}
+            attributes,
+            index: index ? index.array.slice() : null,
+            groups: geometry.groups.map(group => ({ ...group }))
         };
     }
 
+    /**
+     * Copy attribute data into a standalone typed array
+     * @param {THREE.BufferAttribute} attribute - Attribute to copy
+     * @returns {TypedArray} Copied data
+     */
+    copyAttributeArray(attribute) {
+        if (!attribute.isInterleavedBufferAttribute) {
+            return attribute.array.slice(0, attribute.count * attribute.itemSize);
+        }
+
+        // Interleaved data has to be gathered component by component
+        const array = new Float32Array(attribute.count * attribute.itemSize);
+        for (let i = 0; i < attribute.count; i++) {
+            for (let c = 0; c < attribute.itemSize; c++) {
+                array[i * attribute.itemSize + c] = attribute.getComponent(i, c);
+            }
+        }
+        return array;
+    }
+
     /**
      * Serialize material data
      * @param {THREE.Material} material - Material to serialize
@@ -252,14 +349,30 @@ export class StateSerializer {
     }
 
     /**
-     * Export scene to STL format (simplified version)
+     * Export scene to STL format (single shell for 3D printing)
      * @param {string} filename - Output filename
+     * @param {Object} [options] - {binary, mmPerVoxel} (see STLExporter.export)
      */
-    exportSTL(filename = 'scene.stl') {
-        // STL export requires additional library or custom implementation
-        // This is a placeholder for future implementation
-        console.log('🚧 STL export not yet implemented');
-        this.eventBus.emit('export-not-implemented', { format: 'stl' });
+    exportSTL(filename = 'scene.stl', options = {}) {
+        if (!this.collisionSystem) {
+            console.warn('STL export needs a collision system');
+            return;
+        }
+
+        const exporter = new STLExporter(this.collisionSystem);
+        const { data, triangleCount } = exporter.export(this.scene, options);
+
+        if (triangleCount === 0) {
+            console.warn('Nothing to export');
+            this.eventBus.emit('export-failed', { format: 'stl', reason: 'empty-scene' });
+            return;
+        }
+
+        const type = typeof data === 'string' ? 'text/plain' : 'application/octet-stream';
+        this.downloadBlob(new Blob([data], { type }), filename);
+
+        console.log(`📦 Exported to STL: ${filename} (${triangleCount} triangles)`);
+        this.eventBus.emit('scene-exported', { format: 'stl', filename, triangleCount });
     }
 
     /**
@@ -0,0 +1,137 @@
+/**
+ * Tracker Settings - Persistent hand tracking configuration
+ *
+ * Holds the MediaPipe Hands options, the camera capture size and the
+ * landmark smoothing, validates updates and keeps them in localStorage.
+ * HandTracker.setOptions() applies the Hands options at runtime,
+ * CameraManager.setResolution() the capture size and
+ * LandmarkSmoother.setConfig() the smoothing (see getSmoothingConfig()).
+ */
+
+import { saveStored, loadStored } from './LocalStore.js';
+
+export const SMOOTHING_METHODS = ['oneEuro', 'kalman', 'none'];
+
+// Settings read by getSmoothingConfig()
+export const SMOOTHING_SETTINGS = ['smoothingMethod', 'oneEuroMinCutoff', 'oneEuroBeta', 'kalmanProcessNoise', 'kalmanPredictionMs'];
+
+export const DEFAULT_TRACKER_SETTINGS = {
+    maxNumHands: 2,               // Track both hands
+    modelComplexity: 1,           // 0=lite (low-end laptops), 1=full
+    minDetectionConfidence: 0.7,  // Higher = fewer false positives
+    minTrackingConfidence: 0.5,   // Lower = better tracking continuity
+    width: 1280,                  // Camera capture size
+    height: 720,
+    smoothingMethod: 'oneEuro',   // Landmark filter: 'oneEuro', 'kalman' or 'none'
+    oneEuroMinCutoff: 1.0,        // One Euro cutoff at rest (Hz), lower = smoother
+    oneEuroBeta: 30,              // One Euro speed coefficient, higher = less lag when moving
+    kalmanProcessNoise: 1.0,      // Kalman acceleration noise, higher = follows faster
+    kalmanPredictionMs: 0         // Kalman look-ahead to hide camera + inference latency
+};
+
+export class TrackerSettings {
+    /**
+     * @param {EventBus} eventBus - Event bus
+     * @param {Object} [options]
+     * @param {string} [options.storageKey] - localStorage key
+     */
+    constructor(eventBus, options = {}) {
+        this.eventBus = eventBus;
+        this.storageKey = options.storageKey || 'handcraft3d-tracker-settings';
+        this.settings = { ...DEFAULT_TRACKER_SETTINGS };
+    }
+
+    /**
+     * Load saved settings (call at startup)
+     * @returns {Object} Current settings
+     */
+    load() {
+        loadStored(this.storageKey, 'tracker settings', saved => {
+            this.settings = this.validate({ ...DEFAULT_TRACKER_SETTINGS, ...saved });
+        });
+        return this.get();
+    }
+
+    /**
+     * Get current settings
+     * @returns {Object} Settings (copy)
+     */
+    get() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Change settings, save them and announce the change
+     * @param {Object} changes - Partial settings
+     * @returns {Object} Updated settings
+     */
+    update(changes) {
+        const previous = this.settings;
+        this.settings = this.validate({ ...previous, ...changes });
+
+        const changed = Object.keys(this.settings).filter(key => this.settings[key] !== previous[key]);
+        if (changed.length === 0) return this.get();
+
+        this.save();
+        this.eventBus.emit('tracker-settings-changed', { settings: this.get(), changed });
+
+        return this.get();
+    }
+
+    /**
+     * Restore defaults
+     * @returns {Object} Default settings
+     */
+    reset() {
+        return this.update(DEFAULT_TRACKER_SETTINGS);
+    }
+
+    /**
+     * Clamp settings to values MediaPipe accepts
+     * @param {Object} settings - Settings to check
+     * @returns {Object} Valid settings
+     */
+    validate(settings) {
+        const clamp = (value, min, max, fallback) => {
+            const number = Number(value);
+            return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+        };
+
+        return {
+            maxNumHands: Math.round(clamp(settings.maxNumHands, 1, 4, DEFAULT_TRACKER_SETTINGS.maxNumHands)),
+            modelComplexity: Number(settings.modelComplexity) === 0 ? 0 : 1,
+            minDetectionConfidence: clamp(settings.minDetectionConfidence, 0, 1, DEFAULT_TRACKER_SETTINGS.minDetectionConfidence),
+            minTrackingConfidence: clamp(settings.minTrackingConfidence, 0, 1, DEFAULT_TRACKER_SETTINGS.minTrackingConfidence),
+            width: Math.round(clamp(settings.width, 160, 3840, DEFAULT_TRACKER_SETTINGS.width)),
+            height: Math.round(clamp(settings.height, 120, 2160, DEFAULT_TRACKER_SETTINGS.height)),
+            smoothingMethod: SMOOTHING_METHODS.includes(settings.smoothingMethod)
+                ? settings.smoothingMethod
+                : DEFAULT_TRACKER_SETTINGS.smoothingMethod,
+            oneEuroMinCutoff: clamp(settings.oneEuroMinCutoff, 0.05, 10, DEFAULT_TRACKER_SETTINGS.oneEuroMinCutoff),
+            oneEuroBeta: clamp(settings.oneEuroBeta, 0, 200, DEFAULT_TRACKER_SETTINGS.oneEuroBeta),
+            kalmanProcessNoise: clamp(settings.kalmanProcessNoise, 0.01, 100, DEFAULT_TRACKER_SETTINGS.kalmanProcessNoise),
+            kalmanPredictionMs: Math.round(clamp(settings.kalmanPredictionMs, 0, 200, DEFAULT_TRACKER_SETTINGS.kalmanPredictionMs))
+        };
+    }
+
+    /**
+     * Smoothing settings in LandmarkSmoother config format
+     * @returns {Object} {method, oneEuro, kalman}
+     */
+    getSmoothingConfig() {
+        const settings = this.settings;
+
+        return {
+            method: settings.smoothingMethod,
+            oneEuro: { minCutoff: settings.oneEuroMinCutoff, beta: settings.oneEuroBeta },
+            kalman: { processNoise: settings.kalmanProcessNoise, predictionMs: settings.kalmanPredictionMs }
+        };
+    }
+
+    /**
+     * Save settings to localStorage
+     */
+    save() {
+        saveStored(this.storageKey, this.settings, 'tracker settings');
+    }
+}
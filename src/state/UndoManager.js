@@ -55,11 +55,13 @@ export class UndoManager {
 
     /**
      * Undo the last command
+     * @returns {Command|null} Undone command
      */
     undo() {
         if (this.undoStack.length === 0) {
             console.log('Nothing to undo');
-            return;
+            this.eventBus.emit('history-empty', { action: 'undo' });
+            return null;
         }
 
         this.isUndoing = true;
@@ -75,6 +77,7 @@ export class UndoManager {
             this.updateUI();
 
             console.log(`↶ Undone: ${command.getDescription()}`);
+            return command;
 
         } catch (error) {
             console.error('❌ Undo failed:', error);
@@ -86,11 +89,13 @@ export class UndoManager {
 
     /**
      * Redo the last undone command
+     * @returns {Command|null} Redone command
      */
     redo() {
         if (this.redoStack.length === 0) {
             console.log('Nothing to redo');
-            return;
+            this.eventBus.emit('history-empty', { action: 'redo' });
+            return null;
         }
 
         this.isRedoing = true;
@@ -106,6 +111,7 @@ export class UndoManager {
             this.updateUI();
 
             console.log(`↷ Redone: ${command.getDescription()}`);
+            return command;
 
         } catch (error) {
             console.error('❌ Redo failed:', error);
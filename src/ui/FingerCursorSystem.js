@@ -4,24 +4,36 @@
  * Creates visual finger cursors that move in screen space with depth control.
  * 
  * Key Features:
- * - Screen-space movement (moves in camera view direction)
- * - Depth based on hand distance from camera
- * - Ray-AABB collision detection
+ * - Screen-space movement along the same fingertip ray the pointing selection uses
+ * - Depth based on metric hand distance from camera (HandDepthEstimator)
+ * - Collision with blocks via the voxel grid ray march (VoxelGridSystem.raycast)
  * - Always stays in front of blocks
  * - Smooth interpolation
  * 
  * Mathematical Foundation:
  * - Screen coordinates → NDC → Ray casting
  * - Hand distance → Depth mapping
- * - Ray-Block intersection → Position clamping
+ * - First block along the ray → Position clamping
  */
 
 import * as THREE from 'three';
 
 export class FingerCursorSystem {
-    constructor(scene, camera) {
+    /**
+     * @param {THREE.Scene} scene - Scene for the cursors
+     * @param {THREE.Camera} camera - Camera the cursors move in front of
+     * @param {HandDepthEstimator} depthEstimator - The app's (calibrated) depth estimator
+     * @param {VoxelGridSystem} gridSystem - Voxel store the cursor collides with
+     */
+    constructor(scene, camera, depthEstimator, gridSystem) {
+        if (!depthEstimator) {
+            throw new Error('FingerCursorSystem needs the app\'s HandDepthEstimator');
+        }
+
         this.scene = scene;
         this.camera = camera;
+        this.depthEstimator = depthEstimator;
+        this.gridSystem = gridSystem;
 
         // Cursor configuration
         this.CURSOR_SIZE = 0.3;
@@ -33,6 +45,7 @@ export class FingerCursorSystem {
         this.MIN_DEPTH = 2.0;                // Minimum distance from camera
         this.MAX_DEPTH = 20.0;               // Maximum distance from camera
         this.SURFACE_OFFSET = 0.2;           // Distance to stay in front of blocks
+        this.NEAR_BLOCK_DISTANCE = 2.5;      // Cursor this close to a block surface = hovering
 
         // Raycasting
         this.raycaster = new THREE.Raycaster();
@@ -52,20 +65,20 @@ export class FingerCursorSystem {
     /**
      * Update finger cursors based on hand tracking
      * 
-     * @param {Object} handsData - Hand tracking data
+     * @param {Object} handsData - {left, right}: {landmarks, pointer} or null; pointer is the
+     *   fingertip screen position (0-1) as shown in the mirrored view
      * @param {Object} gestureData - Gesture states
-     * @param {Array} sceneObjects - Selectable objects for collision
      */
-    update(handsData, gestureData = {}, sceneObjects = []) {
+    update(handsData, gestureData = {}) {
         // Update each hand
         if (handsData.left) {
-            this.updateCursor('left', handsData.left, gestureData.leftPinch, sceneObjects);
+            this.updateCursor('left', handsData.left, gestureData.leftPinch);
         } else {
             this.hideCursor('left');
         }
 
         if (handsData.right) {
-            this.updateCursor('right', handsData.right, gestureData.rightPinch, sceneObjects);
+            this.updateCursor('right', handsData.right, gestureData.rightPinch);
         } else {
             this.hideCursor('right');
         }
@@ -75,11 +88,10 @@ export class FingerCursorSystem {
      * Update a single cursor using screen-space ray casting
      * 
      * @param {string} handId - Hand identifier
-     * @param {Array} landmarks - MediaPipe hand landmarks
+     * @param {Object} hand - {landmarks, pointer}
      * @param {Object} pinchState - Pinch gesture state
-     * @param {Array} sceneObjects - Scene objects for collision
      */
-    updateCursor(handId, landmarks, pinchState, sceneObjects) {
+    updateCursor(handId, { landmarks, pointer }, pinchState) {
         // Get or create cursor data
         let cursorData = this.cursors.get(handId);
         if (!cursorData) {
@@ -87,15 +99,11 @@ export class FingerCursorSystem {
             this.cursors.set(handId, cursorData);
         }
 
-        // Get index finger tip (landmark 8) and wrist (landmark 0)
-        const indexTip = landmarks[8];
-        const wrist = landmarks[0];
+        // Step 1: Convert fingertip screen position to NDC
+        const screenCoords = this.pointerToNDC(pointer);
 
-        // Step 1: Convert hand position to normalized screen coordinates
-        const screenCoords = this.landmarkToScreenSpace(indexTip);
-
-        // Step 2: Calculate hand distance from camera (Z depth in MediaPipe space)
-        const handDistance = this.calculateHandDistance(indexTip, wrist);
+        // Step 2: Calculate hand distance from camera (from hand proportions)
+        const handDistance = this.calculateHandDistance(landmarks);
 
         // Step 3: Create ray from camera through screen point
         const ray = this.createCameraRay(screenCoords);
@@ -103,8 +111,9 @@ export class FingerCursorSystem {
         // Step 4: Map hand distance to cursor depth
         const desiredDepth = this.mapHandDistanceToDepth(handDistance);
 
-        // Step 5: Perform collision detection and get final depth
-        const finalDepth = this.getCollisionAwareDepth(ray, desiredDepth, sceneObjects);
+        // Step 5: Find the first block along the ray and stay in front of it
+        const hit = this.gridSystem.raycast(ray.origin, ray.direction, this.MAX_DEPTH);
+        const finalDepth = this.getCollisionAwareDepth(hit, desiredDepth);
 
         // Step 6: Calculate target cursor position
         const targetPosition = ray.origin.clone().add(
@@ -126,40 +135,35 @@ export class FingerCursorSystem {
         this.updateCursorAppearance(
             cursorData.mesh,
             pinchState,
-            this.isNearBlock(cursorData.currentPosition, sceneObjects)
+            this.isNearBlock(hit, finalDepth)
         );
     }
 
     /**
-     * Convert MediaPipe landmark to normalized screen coordinates
+     * Convert a normalized screen position to NDC
      * 
-     * @param {Object} landmark - MediaPipe landmark {x, y, z}
+     * @param {Object} pointer - Screen position {x, y} (0-1, top-left origin)
      * @returns {THREE.Vector2} NDC coordinates (-1 to 1)
      */
-    landmarkToScreenSpace(landmark) {
-        // MediaPipe gives us normalized coordinates (0-1)
-        // Convert to NDC (-1 to 1)
-        const ndcX = landmark.x * 2 - 1;
-        const ndcY = -(landmark.y * 2 - 1); // Flip Y axis
+    pointerToNDC(pointer) {
+        const ndcX = pointer.x * 2 - 1;
+        const ndcY = -(pointer.y * 2 - 1); // Flip Y axis
 
         return new THREE.Vector2(ndcX, ndcY);
     }
 
     /**
-     * Calculate hand distance from camera using Z-depth
+     * Calculate hand distance from camera
      * 
-     * @param {Object} indexTip - Index finger tip landmark
-     * @param {Object} wrist - Wrist landmark
+     * @param {Array} landmarks - MediaPipe hand landmarks
      * @returns {number} Normalized distance (0-1)
      */
-    calculateHandDistance(indexTip, wrist) {
-        // Use average Z of index tip and wrist for stability
-        const avgZ = (indexTip.z + wrist.z) / 2;
+    calculateHandDistance(landmarks) {
+        const distance = this.depthEstimator.estimate(landmarks);
+        if (distance === null) return 0;
 
-        // MediaPipe Z is negative when hand is closer to camera
-        // Normalize to 0-1 range (0 = close, 1 = far)
-        // Typical range: -0.3 (very close) to 0.0 (far)
-        const normalized = Math.max(0, Math.min(1, (avgZ + 0.3) / 0.3));
+        // Position within the working range (0 = near, 1 = far)
+        const normalized = this.depthEstimator.normalize(distance);
 
         return 1.0 - normalized; // Invert so 0 = far, 1 = close
     }
@@ -191,140 +195,27 @@ export class FingerCursorSystem {
     }
 
     /**
-     * Get collision-aware depth using ray-AABB intersection
+     * Clamp cursor depth so it stays in front of the first block on the ray
      * 
-     * @param {THREE.Ray} ray - Camera ray
+     * @param {Object|null} hit - VoxelGridSystem.raycast result
      * @param {number} desiredDepth - Desired cursor depth
-     * @param {Array} sceneObjects - Objects to check collision against
-     * @returns {number} Final depth (clamped if collision)
-     */
-    getCollisionAwareDepth(ray, desiredDepth, sceneObjects) {
-        let nearestHitDistance = Infinity;
-
-        // Test ray against all blocks
-        for (const obj of sceneObjects) {
-            // Skip if not a voxel/block
-            if (!obj.userData.isVoxel && !obj.userData.isBlock) continue;
-
-            // Get bounding box
-            const box = this.getObjectBoundingBox(obj);
-
-            // Ray-AABB intersection test
-            const intersection = this.rayIntersectBox(ray, box);
-
-            if (intersection && intersection.distance < nearestHitDistance) {
-                nearestHitDistance = intersection.distance;
-            }
-        }
-
-        // If collision detected, clamp depth to stay in front
-        if (nearestHitDistance < Infinity) {
-            const maxAllowedDepth = nearestHitDistance - this.SURFACE_OFFSET;
-            return Math.min(desiredDepth, maxAllowedDepth);
-        }
-
-        // No collision, use desired depth
-        return desiredDepth;
-    }
-
-    /**
-     * Get bounding box for an object
-     * 
-     * @param {THREE.Object3D} object - Scene object
-     * @returns {THREE.Box3} Bounding box
-     */
-    getObjectBoundingBox(object) {
-        // For voxels, create box from position (assuming 3x3x3 size)
-        const halfSize = 1.5; // Half of 3.0 voxel size
-        const pos = object.position;
-
-        return new THREE.Box3(
-            new THREE.Vector3(pos.x - halfSize, pos.y - halfSize, pos.z - halfSize),
-            new THREE.Vector3(pos.x + halfSize, pos.y + halfSize, pos.z + halfSize)
-        );
-    }
-
-    /**
-     * Ray-AABB intersection test (Slab Method)
-     * 
-     * @param {THREE.Ray} ray - Ray to test
-     * @param {THREE.Box3} box - Bounding box
-     * @returns {Object|null} {distance, point} or null
+     * @returns {number} Final depth
      */
-    rayIntersectBox(ray, box) {
-        const origin = ray.origin;
-        const direction = ray.direction;
-        const min = box.min;
-        const max = box.max;
-
-        let tMin = -Infinity;
-        let tMax = Infinity;
-
-        // Test each axis (X, Y, Z)
-        for (let i = 0; i < 3; i++) {
-            const axis = ['x', 'y', 'z'][i];
-            const originVal = origin[axis];
-            const dirVal = direction[axis];
-            const minVal = min[axis];
-            const maxVal = max[axis];
-
-            if (Math.abs(dirVal) < 0.0001) {
-                // Ray parallel to slab - no hit if outside
-                if (originVal < minVal || originVal > maxVal) {
-                    return null;
-                }
-            } else {
-                // Calculate intersection distances
-                let t1 = (minVal - originVal) / dirVal;
-                let t2 = (maxVal - originVal) / dirVal;
-
-                // Ensure t1 < t2
-                if (t1 > t2) {
-                    [t1, t2] = [t2, t1];
-                }
-
-                tMin = Math.max(tMin, t1);
-                tMax = Math.min(tMax, t2);
-
-                // No intersection
-                if (tMin > tMax) {
-                    return null;
-                }
-            }
-        }
+    getCollisionAwareDepth(hit, desiredDepth) {
+        if (!hit) return desiredDepth;
 
-        // Intersection exists if tMax >= 0
-        if (tMax < 0) {
-            return null;
-        }
-
-        // Return nearest intersection
-        const distance = tMin >= 0 ? tMin : tMax;
-        const point = origin.clone().add(direction.clone().multiplyScalar(distance));
-
-        return { distance, point };
+        return Math.min(desiredDepth, hit.distance - this.SURFACE_OFFSET);
     }
 
     /**
-     * Check if cursor is near any block
+     * Check if cursor is near the block surface it points at
      * 
-     * @param {THREE.Vector3} position - Cursor position
-     * @param {Array} sceneObjects - Scene objects
+     * @param {Object|null} hit - VoxelGridSystem.raycast result
+     * @param {number} depth - Cursor depth along the ray
      * @returns {boolean} True if near a block
      */
-    isNearBlock(position, sceneObjects) {
-        const nearThreshold = 2.5;
-
-        for (const obj of sceneObjects) {
-            if (!obj.userData.isVoxel && !obj.userData.isBlock) continue;
-
-            const distance = position.distanceTo(obj.position);
-            if (distance < nearThreshold) {
-                return true;
-            }
-        }
-
-        return false;
+    isNearBlock(hit, depth) {
+        return !!hit && hit.distance - depth < this.NEAR_BLOCK_DISTANCE;
     }
 
     /**
@@ -347,13 +238,9 @@ export class FingerCursorSystem {
         }
 
         cursor.material.color.setHex(color);
-        cursor.material.emissive.setHex(color);
 
-        const targetScale = scale * this.CURSOR_SIZE;
-        cursor.scale.lerp(
-            new THREE.Vector3(targetScale, targetScale, targetScale),
-            0.3
-        );
+        // Geometry is already CURSOR_SIZE, scale is relative to it
+        cursor.scale.lerp(new THREE.Vector3(scale, scale, scale), 0.3);
     }
 
     /**
@@ -382,8 +269,6 @@ export class FingerCursorSystem {
         const geometry = new THREE.SphereGeometry(this.CURSOR_SIZE, 16, 16);
         const material = new THREE.MeshBasicMaterial({
             color: this.CURSOR_COLOR,
-            emissive: this.CURSOR_COLOR,
-            emissiveIntensity: 0.5,
             transparent: true,
             opacity: 0.9,
             depthTest: false,
@@ -71,8 +71,11 @@ export class GhostPreview {
      * @returns {THREE.Mesh} Ghost mesh
      */
     createGhostMesh(originalObject, previewType) {
-        // Clone geometry
-        const geometry = originalObject.geometry.clone();
+        // Voxels have no geometry of their own (they are drawn by chunk meshes)
+        const size = this.gridSystem.voxelSize;
+        const geometry = originalObject.isVoxel
+            ? new THREE.BoxGeometry(size, size, size)
+            : originalObject.geometry.clone();
 
         // Create ghost material
         const material = new THREE.MeshStandardMaterial({
@@ -90,8 +93,10 @@ export class GhostPreview {
 
         // Copy transform
         ghostMesh.position.copy(originalObject.position);
-        ghostMesh.rotation.copy(originalObject.rotation);
-        ghostMesh.scale.copy(originalObject.scale);
+        if (!originalObject.isVoxel) {
+            ghostMesh.rotation.copy(originalObject.rotation);
+            ghostMesh.scale.copy(originalObject.scale);
+        }
 
         // Store reference
         ghostMesh.userData.isGhost = true;
@@ -138,10 +143,11 @@ export class GhostPreview {
 
             ghostMesh.position.set(finalPosition.x, finalPosition.y, finalPosition.z);
 
-            // Check collision (if collision system available)
+            // Check collision (if collision system available); cells of the
+            // previewed objects themselves count as free
             if (this.collisionSystem && snapToGrid) {
                 const gridPos = this.gridSystem.worldToGrid(finalPosition);
-                const collision = this.collisionSystem.canPlaceVoxel(gridPos);
+                const collision = this.collisionSystem.canPlaceVoxel(gridPos, this.originalObjects);
 
                 if (!collision.canPlace) {
                     allValid = false;
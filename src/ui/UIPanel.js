@@ -11,8 +11,12 @@ export class UIPanel {
         this.panels = {
             tools: false,
             settings: false,
+            trainer: false,
+            bindings: false,
             help: false
         };
+
+        this.messageTimer = null;
     }
 
     /**
@@ -21,6 +25,9 @@ export class UIPanel {
     initialize() {
         this.setupToolPanel();
         this.setupHelpPanel();
+        this.setupSettingsPanel();
+        this.setupTrainerPanel();
+        this.setupBindingsPanel();
         this.setupEventListeners();
 
         console.log('✅ UI panels initialized');
@@ -52,10 +59,36 @@ export class UIPanel {
             toolPanel.appendChild(button);
         });
 
+        // CSG operation buttons
+        this.addCSGButtons(toolPanel);
+
         // Utility buttons
         this.addUtilityButtons(toolPanel);
     }
 
+    /**
+     * Add CSG operation buttons (act on selected objects)
+     */
+    addCSGButtons(toolPanel) {
+        const separator = document.createElement('div');
+        separator.className = 'tool-separator';
+        toolPanel.appendChild(separator);
+
+        const operations = [
+            { operation: 'union', icon: '∪', tooltip: 'Union selected objects' },
+            { operation: 'subtract', icon: '∖', tooltip: 'Subtract from first selected object' },
+            { operation: 'intersect', icon: '∩', tooltip: 'Intersect selected objects' }
+        ];
+
+        operations.forEach(({ operation, icon, tooltip }) => {
+            const button = this.createUtilityButton(icon, tooltip);
+            button.addEventListener('click', () => {
+                this.eventBus.emit('csg-requested', { operation });
+            });
+            toolPanel.appendChild(button);
+        });
+    }
+
     /**
      * Add utility buttons
      */
@@ -85,6 +118,13 @@ export class UIPanel {
         });
         toolPanel.appendChild(saveBtn);
 
+        // Open button
+        const openBtn = this.createUtilityButton('📂', 'Open (Ctrl+O)');
+        openBtn.addEventListener('click', () => {
+            this.eventBus.emit('load-requested');
+        });
+        toolPanel.appendChild(openBtn);
+
         // Export button
         const exportBtn = this.createUtilityButton('📦', 'Export (Ctrl+E)');
         exportBtn.addEventListener('click', () => {
@@ -92,6 +132,62 @@ export class UIPanel {
         });
         toolPanel.appendChild(exportBtn);
 
+        // STL export button
+        const stlBtn = this.createUtilityButton('🖨️', 'Export STL (Ctrl+Shift+E)');
+        stlBtn.addEventListener('click', () => {
+            this.eventBus.emit('export-stl-requested');
+        });
+        toolPanel.appendChild(stlBtn);
+
+        // Record hand data button
+        const recordBtn = this.createUtilityButton('⏺️', 'Record hand tracking', 'record-button');
+        recordBtn.addEventListener('click', () => {
+            this.eventBus.emit('recording-toggle-requested');
+        });
+        toolPanel.appendChild(recordBtn);
+
+        // Replay recording button
+        const replayBtn = this.createUtilityButton('📼', 'Replay hand recording');
+        replayBtn.addEventListener('click', () => {
+            this.eventBus.emit('replay-requested');
+        });
+        toolPanel.appendChild(replayBtn);
+
+        // Workspace calibration button
+        const calibrateBtn = this.createUtilityButton('🎯', 'Calibrate hand workspace');
+        calibrateBtn.addEventListener('click', () => {
+            this.eventBus.emit('calibration-requested');
+        });
+        toolPanel.appendChild(calibrateBtn);
+
+        // Hand size calibration button (metric depth)
+        const handSizeBtn = this.createUtilityButton('📏', 'Calibrate hand size');
+        handSizeBtn.addEventListener('click', () => {
+            this.eventBus.emit('hand-size-calibration-requested');
+        });
+        toolPanel.appendChild(handSizeBtn);
+
+        // Settings button
+        const settingsBtn = this.createUtilityButton('⚙️', 'Hand tracking settings');
+        settingsBtn.addEventListener('click', () => {
+            this.togglePanel('settings');
+        });
+        toolPanel.appendChild(settingsBtn);
+
+        // Gesture trainer button
+        const trainerBtn = this.createUtilityButton('🎓', 'Train custom gestures');
+        trainerBtn.addEventListener('click', () => {
+            this.togglePanel('trainer');
+        });
+        toolPanel.appendChild(trainerBtn);
+
+        // Gesture bindings button
+        const bindingsBtn = this.createUtilityButton('🕹️', 'Gesture bindings');
+        bindingsBtn.addEventListener('click', () => {
+            this.togglePanel('bindings');
+        });
+        toolPanel.appendChild(bindingsBtn);
+
         // Help button
         const helpBtn = this.createUtilityButton('❓', 'Help (H)');
         helpBtn.addEventListener('click', () => {
@@ -131,7 +227,11 @@ export class UIPanel {
                         <ul>
                             <li><strong>Pinch (thumb + index):</strong> Select objects</li>
                             <li><strong>Two-hand pinch:</strong> Create blocks</li>
-                            <li><strong>Palm open (3+ fingers):</strong> Switch modes</li>
+                            <li><strong>Palm open + other hand fist:</strong> Next mode (remap with 🕹️)</li>
+                            <li><strong>Point and hold (Select mode):</strong> Toggle the block under your index finger</li>
+                            <li><strong>Fist near selected blocks:</strong> Grab and drag, open hand to drop (red = blocked)</li>
+                            <li><strong>Swipe both hands left / right:</strong> Undo / redo</li>
+                            <li><strong>🎓 Custom poses:</strong> Teach your own poses from a few seconds of examples</li>
                         </ul>
                     </section>
                     
@@ -140,7 +240,7 @@ export class UIPanel {
                         <ul>
                             <li><strong>Create:</strong> Build new blocks and shapes</li>
                             <li><strong>Select:</strong> Choose objects to modify</li>
-                            <li><strong>Extrude:</strong> Pull faces to create 3D shapes</li>
+                            <li><strong>Extrude:</strong> Point at a face, pinch, then pull to add blocks or push to carve</li>
                             <li><strong>Delete:</strong> Remove selected objects</li>
                             <li><strong>CSG:</strong> Combine, subtract, or intersect shapes</li>
                         </ul>
@@ -152,7 +252,10 @@ export class UIPanel {
                             <li><strong>Ctrl + Z:</strong> Undo</li>
                             <li><strong>Ctrl + Y:</strong> Redo</li>
                             <li><strong>Ctrl + S:</strong> Save scene</li>
+                            <li><strong>Ctrl + O:</strong> Open saved scene</li>
                             <li><strong>Ctrl + E:</strong> Export to GLB</li>
+                            <li><strong>Ctrl + Shift + E:</strong> Export to STL</li>
+                            <li><strong>Esc:</strong> Cancel workspace calibration</li>
                             <li><strong>H:</strong> Toggle this help</li>
                         </ul>
                     </section>
@@ -164,6 +267,7 @@ export class UIPanel {
                             <li>Keep hands clearly visible to the camera</li>
                             <li>Grid snapping helps align objects precisely</li>
                             <li>Use two hands for complex operations</li>
+                            <li>Calibrate (🎯) so your comfortable reach covers the whole workspace</li>
                         </ul>
                     </section>
                 </div>
@@ -176,12 +280,538 @@ export class UIPanel {
         }
     }
 
+    /**
+     * Setup hand tracking settings panel
+     */
+    setupSettingsPanel() {
+        const settingsOverlay = document.getElementById('settings-overlay');
+        if (!settingsOverlay) return;
+
+        settingsOverlay.innerHTML = `
+            <div class="settings-panel">
+                <div class="settings-header">
+                    <h2>⚙️ Hand Tracking</h2>
+                    <button class="close-button" id="close-settings">✕</button>
+                </div>
+                <form class="settings-content" id="tracker-settings-form">
+                    <label>
+                        <span>Camera</span>
+                        <select name="deviceId"></select>
+                    </label>
+                    <label>
+                        <span>Model</span>
+                        <select name="modelComplexity">
+                            <option value="0">Lite (faster)</option>
+                            <option value="1">Full (more accurate)</option>
+                        </select>
+                    </label>
+                    <label>
+                        <span>Hands</span>
+                        <select name="maxNumHands">
+                            <option value="1">1</option>
+                            <option value="2">2</option>
+                        </select>
+                    </label>
+                    <label>
+                        <span>Capture size</span>
+                        <select name="resolution">
+                            <option value="640x480">640 × 480</option>
+                            <option value="960x540">960 × 540</option>
+                            <option value="1280x720">1280 × 720</option>
+                            <option value="1920x1080">1920 × 1080</option>
+                        </select>
+                    </label>
+                    <label>
+                        <span>Detection confidence <output name="minDetectionConfidenceValue"></output></span>
+                        <input type="range" name="minDetectionConfidence" min="0.1" max="0.95" step="0.05">
+                    </label>
+                    <label>
+                        <span>Tracking confidence <output name="minTrackingConfidenceValue"></output></span>
+                        <input type="range" name="minTrackingConfidence" min="0.1" max="0.95" step="0.05">
+                    </label>
+                    <label>
+                        <span>Smoothing</span>
+                        <select name="smoothingMethod">
+                            <option value="oneEuro">One Euro (adaptive)</option>
+                            <option value="kalman">Kalman (with prediction)</option>
+                            <option value="none">Off (raw landmarks)</option>
+                        </select>
+                    </label>
+                    <label data-smoothing="oneEuro">
+                        <span>Cutoff at rest <output name="oneEuroMinCutoffValue"></output></span>
+                        <input type="range" name="oneEuroMinCutoff" min="0.1" max="5" step="0.1">
+                    </label>
+                    <label data-smoothing="oneEuro">
+                        <span>Speed response <output name="oneEuroBetaValue"></output></span>
+                        <input type="range" name="oneEuroBeta" min="0" max="100" step="5">
+                    </label>
+                    <label data-smoothing="kalman">
+                        <span>Responsiveness <output name="kalmanProcessNoiseValue"></output></span>
+                        <input type="range" name="kalmanProcessNoise" min="0.1" max="10" step="0.1">
+                    </label>
+                    <label data-smoothing="kalman">
+                        <span>Prediction <output name="kalmanPredictionMsValue"></output></span>
+                        <input type="range" name="kalmanPredictionMs" min="0" max="100" step="5">
+                    </label>
+                    <label>
+                        <span>Point-to-select dwell <output name="dwellTimeMsValue"></output></span>
+                        <input type="range" name="dwellTimeMs" min="200" max="3000" step="100">
+                    </label>
+                </form>
+            </div>
+        `;
+
+        const closeBtn = document.getElementById('close-settings');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.togglePanel('settings'));
+        }
+
+        const form = document.getElementById('tracker-settings-form');
+
+        // Sliders apply on release, labels follow while dragging
+        form.addEventListener('input', (event) => {
+            const output = form.elements[`${event.target.name}Value`];
+            if (output) output.value = this.formatSliderValue(event.target.name, event.target.value);
+        });
+
+        form.addEventListener('change', (event) => {
+            const { name, value } = event.target;
+            let changes;
+
+            if (name === 'deviceId') {
+                this.eventBus.emit('camera-device-change-requested', { deviceId: value });
+                return;
+            }
+
+            // Selection timing, not a tracker option
+            if (name === 'dwellTimeMs') {
+                this.eventBus.emit('dwell-time-change-requested', { dwellTimeMs: Number(value) });
+                return;
+            }
+
+            if (name === 'resolution') {
+                const [width, height] = value.split('x').map(Number);
+                changes = { width, height };
+            } else if (name === 'smoothingMethod') {
+                changes = { smoothingMethod: value };
+            } else {
+                changes = { [name]: Number(value) };
+            }
+
+            this.eventBus.emit('tracker-settings-change-requested', { changes });
+        });
+
+        this.eventBus.on('tracker-settings-changed', ({ settings }) => {
+            this.updateSettingsForm(settings);
+        });
+
+        this.eventBus.on('dwell-time-changed', ({ dwellTimeMs }) => {
+            this.updateDwellTime(dwellTimeMs);
+        });
+
+        this.eventBus.on('camera-devices-changed', ({ devices, deviceId }) => {
+            this.updateCameraList(devices, deviceId);
+        });
+
+        this.eventBus.on('camera-changed', ({ deviceId }) => {
+            const form = document.getElementById('tracker-settings-form');
+            if (form) form.elements.deviceId.value = deviceId;
+        });
+    }
+
+    /**
+     * Show available cameras in the settings panel
+     * @param {Array} devices - [{deviceId, label}]
+     * @param {string|null} activeDeviceId - Camera in use
+     */
+    updateCameraList(devices, activeDeviceId) {
+        const form = document.getElementById('tracker-settings-form');
+        if (!form) return;
+
+        const select = form.elements.deviceId;
+        select.innerHTML = '';
+
+        for (const device of devices) {
+            select.add(new Option(device.label, device.deviceId));
+        }
+
+        if (devices.length === 0) {
+            select.add(new Option('No camera', ''));
+        }
+
+        select.value = activeDeviceId || '';
+        select.disabled = devices.length < 2;
+    }
+
+    /**
+     * Setup custom gesture trainer panel
+     */
+    setupTrainerPanel() {
+        const trainerOverlay = document.getElementById('trainer-overlay');
+        if (!trainerOverlay) return;
+
+        trainerOverlay.innerHTML = `
+            <div class="settings-panel">
+                <div class="settings-header">
+                    <h2>🎓 Custom Gestures</h2>
+                    <button class="close-button" id="close-trainer">✕</button>
+                </div>
+                <form class="settings-content" id="gesture-trainer-form">
+                    <label>
+                        <span>New pose</span>
+                        <input type="text" name="label" placeholder="e.g. peace" maxlength="32" required>
+                    </label>
+                    <div class="settings-actions">
+                        <button type="submit" class="settings-button">⏺️ Record examples</button>
+                    </div>
+                    <ul class="trained-list" id="trained-gesture-list"></ul>
+                    <div class="settings-actions">
+                        <button type="button" class="settings-button" data-action="import">📂 Import</button>
+                        <button type="button" class="settings-button" data-action="export">💾 Export</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const closeBtn = document.getElementById('close-trainer');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.togglePanel('trainer'));
+        }
+
+        const form = document.getElementById('gesture-trainer-form');
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const label = form.elements.label.value.trim();
+            if (!label) return;
+
+            // Panel would hide the hand from view while recording
+            this.togglePanel('trainer');
+            this.eventBus.emit('gesture-training-requested', { label });
+        });
+
+        form.addEventListener('click', (event) => {
+            const { action, label } = event.target.dataset;
+
+            if (action === 'import') {
+                this.eventBus.emit('gesture-set-import-requested');
+            } else if (action === 'export') {
+                this.eventBus.emit('gesture-set-export-requested');
+            } else if (action === 'remove') {
+                this.eventBus.emit('trained-gesture-remove-requested', { label });
+            }
+        });
+
+        this.eventBus.on('trained-gestures-changed', ({ labels }) => {
+            this.updateTrainedGestures(labels);
+        });
+
+        this.eventBus.on('gesture-training-progress', ({ label, count, total }) => {
+            this.showMessage(`🎓 Recording "${label}": ${count}/${total}`);
+        });
+
+        this.eventBus.on('gesture-training-complete', ({ label }) => {
+            this.showMessage(`✅ Pose "${label}" learned`, { duration: 3000 });
+        });
+    }
+
+    /**
+     * Show trained poses in the trainer panel
+     * @param {Array} labels - [{label, count}]
+     */
+    updateTrainedGestures(labels) {
+        const list = document.getElementById('trained-gesture-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (labels.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'empty';
+            item.textContent = 'No custom poses yet';
+            list.appendChild(item);
+            return;
+        }
+
+        for (const { label, count } of labels) {
+            const item = document.createElement('li');
+
+            const name = document.createElement('span');
+            name.textContent = `${label} (${count} examples)`;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'close-button';
+            removeBtn.title = `Forget "${label}"`;
+            removeBtn.textContent = '✕';
+            removeBtn.dataset.action = 'remove';
+            removeBtn.dataset.label = label;
+
+            item.append(name, removeBtn);
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Setup gesture bindings panel
+     */
+    setupBindingsPanel() {
+        const bindingsOverlay = document.getElementById('bindings-overlay');
+        if (!bindingsOverlay) return;
+
+        bindingsOverlay.innerHTML = `
+            <div class="settings-panel bindings-panel">
+                <div class="settings-header">
+                    <h2>🕹️ Gesture Bindings</h2>
+                    <button class="close-button" id="close-bindings">✕</button>
+                </div>
+                <form class="settings-content" id="gesture-bindings-form">
+                    <label>
+                        <span>Profile</span>
+                        <select name="profile"></select>
+                    </label>
+                    <div class="settings-actions">
+                        <button type="button" class="settings-button" data-action="new-profile">➕ New profile</button>
+                        <button type="button" class="settings-button" data-action="delete-profile">🗑️ Delete / reset profile</button>
+                    </div>
+                    <div class="binding-list" id="binding-list"></div>
+                    <div class="settings-actions">
+                        <button type="button" class="settings-button" data-action="add-binding">➕ Add binding</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const closeBtn = document.getElementById('close-bindings');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.togglePanel('bindings'));
+        }
+
+        const form = document.getElementById('gesture-bindings-form');
+
+        form.addEventListener('change', (event) => {
+            const { name, value } = event.target;
+
+            if (name === 'profile') {
+                this.eventBus.emit('binding-profile-select-requested', { name: value });
+                return;
+            }
+
+            const row = event.target.closest('.binding-row');
+            if (!row) return;
+
+            const index = Number(row.dataset.index);
+            let changes;
+
+            if (name === 'gesture') {
+                // Data conditions belong to the old gesture
+                changes = { gesture: value, when: null };
+            } else if (name === 'modifier') {
+                const [gesture, hand] = value.split('|');
+                changes = { modifier: gesture ? { gesture, hand } : null };
+            } else {
+                changes = { [name]: value };
+            }
+
+            this.eventBus.emit('binding-update-requested', { index, changes });
+        });
+
+        form.addEventListener('click', (event) => {
+            const { action } = event.target.dataset;
+            const profile = form.elements.profile.value;
+
+            if (action === 'new-profile') {
+                const name = prompt('New profile name (copies the current bindings):');
+                if (name) this.eventBus.emit('binding-profile-create-requested', { name });
+            } else if (action === 'delete-profile') {
+                this.eventBus.emit('binding-profile-delete-requested', { name: profile });
+            } else if (action === 'add-binding') {
+                this.eventBus.emit('binding-add-requested');
+            } else if (action === 'remove-binding') {
+                const index = Number(event.target.closest('.binding-row').dataset.index);
+                this.eventBus.emit('binding-remove-requested', { index });
+            }
+        });
+
+        this.eventBus.on('gesture-bindings-changed', (state) => {
+            this.updateBindings(state);
+        });
+    }
+
+    /**
+     * Show gesture bindings in the bindings panel
+     * @param {Object} state - {profiles, activeProfile, bindings, gestures, gestureHands, actions}
+     */
+    updateBindings(state) {
+        const form = document.getElementById('gesture-bindings-form');
+        if (!form) return;
+
+        const profileSelect = form.elements.profile;
+        profileSelect.innerHTML = '';
+        for (const profile of state.profiles) {
+            profileSelect.add(new Option(profile, profile));
+        }
+        profileSelect.value = state.activeProfile;
+
+        const list = document.getElementById('binding-list');
+        list.innerHTML = '';
+
+        if (state.bindings.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty';
+            empty.textContent = 'No bindings in this profile';
+            list.appendChild(empty);
+            return;
+        }
+
+        const createSelect = (name, options, value) => {
+            const select = document.createElement('select');
+            select.name = name;
+            for (const [optionValue, label] of options) {
+                select.add(new Option(label, optionValue));
+            }
+            // e.g. a custom pose that was deleted since
+            if (![...select.options].some(option => option.value === value)) {
+                select.add(new Option(`${value} (missing)`, value));
+            }
+            select.value = value;
+            return select;
+        };
+
+        const gestureLabel = (gesture) => gesture.replace(/^custom:/, '🎓 ');
+        const gestureOptions = state.gestures.map(gesture => [gesture, gestureLabel(gesture)]);
+        const handLabels = { any: 'Any hand', left: 'Left', right: 'Right', both: 'Both' };
+
+        // Only the hands each gesture reports (two-hand gestures are 'both')
+        const getHandOptions = (gesture) => {
+            const hands = state.gestureHands[gesture] || [];
+            return (hands.length > 1 ? ['any', ...hands] : hands).map(hand => [hand, handLabels[hand]]);
+        };
+
+        const modifierOptions = [['', 'No modifier']];
+        for (const gesture of state.gestures) {
+            for (const hand of state.gestureHands[gesture] || []) {
+                const label = hand === 'both'
+                    ? `+ two-hand ${gestureLabel(gesture)} held`
+                    : `+ ${hand} ${gestureLabel(gesture)} held`;
+                modifierOptions.push([`${gesture}|${hand}`, label]);
+            }
+        }
+        const actionOptions = state.actions.map(action => [action.id, action.label]);
+
+        state.bindings.forEach((binding, index) => {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+            row.dataset.index = index;
+
+            // Conditions like a swipe direction show in the gesture name
+            const gesture = createSelect('gesture', gestureOptions, binding.gesture);
+            if (binding.when) {
+                gesture.selectedOptions[0].textContent += ` (${Object.values(binding.when).join(', ')})`;
+            }
+
+            const modifier = binding.modifier ? `${binding.modifier.gesture}|${binding.modifier.hand}` : '';
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'close-button';
+            removeBtn.title = 'Remove binding';
+            removeBtn.textContent = '✕';
+            removeBtn.dataset.action = 'remove-binding';
+
+            row.append(
+                gesture,
+                createSelect('hand', getHandOptions(binding.gesture), binding.hand),
+                createSelect('modifier', modifierOptions, modifier),
+                createSelect('action', actionOptions, binding.action),
+                removeBtn
+            );
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Show current tracker settings in the settings panel
+     * @param {Object} settings - TrackerSettings values
+     */
+    updateSettingsForm(settings) {
+        const form = document.getElementById('tracker-settings-form');
+        if (!form) return;
+
+        const resolution = `${settings.width}x${settings.height}`;
+        const resolutionSelect = form.elements.resolution;
+
+        // Keep sizes set outside the presets selectable
+        if (![...resolutionSelect.options].some(option => option.value === resolution)) {
+            resolutionSelect.add(new Option(`${settings.width} × ${settings.height}`, resolution));
+        }
+
+        form.elements.modelComplexity.value = String(settings.modelComplexity);
+        form.elements.maxNumHands.value = String(settings.maxNumHands);
+        resolutionSelect.value = resolution;
+        form.elements.minDetectionConfidence.value = settings.minDetectionConfidence;
+        form.elements.minTrackingConfidence.value = settings.minTrackingConfidence;
+        form.elements.minDetectionConfidenceValue.value = settings.minDetectionConfidence.toFixed(2);
+        form.elements.minTrackingConfidenceValue.value = settings.minTrackingConfidence.toFixed(2);
+
+        form.elements.smoothingMethod.value = settings.smoothingMethod;
+        for (const name of ['oneEuroMinCutoff', 'oneEuroBeta', 'kalmanProcessNoise', 'kalmanPredictionMs']) {
+            form.elements[name].value = settings[name];
+            form.elements[`${name}Value`].value = this.formatSliderValue(name, settings[name]);
+        }
+
+        // Only the parameters of the chosen filter
+        for (const label of form.querySelectorAll('[data-smoothing]')) {
+            label.hidden = label.dataset.smoothing !== settings.smoothingMethod;
+        }
+    }
+
+    /**
+     * Show the point-to-select dwell time in the settings panel
+     * @param {number} dwellTimeMs - Dwell time in milliseconds
+     */
+    updateDwellTime(dwellTimeMs) {
+        const form = document.getElementById('tracker-settings-form');
+        if (!form) return;
+
+        form.elements.dwellTimeMs.value = dwellTimeMs;
+        form.elements.dwellTimeMsValue.value = this.formatSliderValue('dwellTimeMs', dwellTimeMs);
+    }
+
+    /**
+     * Format a settings slider value for its label
+     * @param {string} name - Slider name
+     * @param {number|string} value - Slider value
+     * @returns {string}
+     */
+    formatSliderValue(name, value) {
+        const number = Number(value);
+
+        switch (name) {
+            case 'dwellTimeMs':
+                return `${(number / 1000).toFixed(1)} s`;
+            case 'oneEuroMinCutoff':
+                return `${number.toFixed(1)} Hz`;
+            case 'oneEuroBeta':
+                return String(Math.round(number));
+            case 'kalmanProcessNoise':
+                return number.toFixed(1);
+            case 'kalmanPredictionMs':
+                return `${Math.round(number)} ms`;
+            default:
+                return number.toFixed(2);
+        }
+    }
+
     /**
      * Setup event listeners
      */
     setupEventListeners() {
         // H key for help
         window.addEventListener('keydown', (event) => {
+            // Typing a pose or profile name
+            if (event.target.matches && event.target.matches('input[type="text"], textarea')) return;
+
             if (event.key === 'h' || event.key === 'H') {
                 if (!event.ctrlKey && !event.metaKey) {
                     this.togglePanel('help');
@@ -200,6 +830,82 @@ export class UIPanel {
                 this.closeAllPanels();
             }
         });
+
+        // Gesture bindings can toggle help too
+        this.eventBus.on('help-toggle-requested', () => {
+            this.togglePanel('help');
+        });
+
+        // Name the history step an undo/redo (e.g. a swipe) reverted
+        this.eventBus.on('command-undone', ({ command }) => {
+            this.showMessage(`↶ Undone: ${command.getDescription()}`, { duration: 2000 });
+        });
+
+        this.eventBus.on('command-redone', ({ command }) => {
+            this.showMessage(`↷ Redone: ${command.getDescription()}`, { duration: 2000 });
+        });
+
+        this.eventBus.on('history-empty', ({ action }) => {
+            this.showMessage(`Nothing to ${action}`, { duration: 1500 });
+        });
+
+        // Fist-grab drops onto occupied cells are put back
+        this.eventBus.on('grab-cancelled', ({ reason }) => {
+            if (reason === 'collision') {
+                this.showMessage('⚠️ Can\'t drop there: cells are occupied', { duration: 2500 });
+            }
+        });
+
+        // Workspace calibration prompts
+        this.eventBus.on('calibration-step', ({ index, total, instruction }) => {
+            this.showMessage(`🎯 Calibration ${index + 1}/${total}: ${instruction} (Esc to cancel)`);
+        });
+
+        this.eventBus.on('calibration-complete', () => {
+            this.showMessage('✅ Workspace calibrated and saved', { duration: 3000 });
+        });
+
+        this.eventBus.on('calibration-failed', () => {
+            this.showMessage('⚠️ Calibration failed: spread the corners further apart and try again', { duration: 4000 });
+        });
+
+        this.eventBus.on('calibration-cancelled', () => {
+            this.hideMessage();
+        });
+    }
+
+    /**
+     * Show a message banner
+     * @param {string} text - Message text
+     * @param {Object} [options]
+     * @param {number} [options.duration] - Auto-hide after ms (stays until hidden if omitted)
+     */
+    showMessage(text, options = {}) {
+        let banner = document.getElementById('message-banner');
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'message-banner';
+            (document.getElementById('ui-overlay') || document.body).appendChild(banner);
+        }
+
+        banner.textContent = text;
+        banner.classList.add('active');
+
+        clearTimeout(this.messageTimer);
+        this.messageTimer = options.duration
+            ? setTimeout(() => this.hideMessage(), options.duration)
+            : null;
+    }
+
+    /**
+     * Hide the message banner
+     */
+    hideMessage() {
+        clearTimeout(this.messageTimer);
+        this.messageTimer = null;
+
+        const banner = document.getElementById('message-banner');
+        if (banner) banner.classList.remove('active');
     }
 
     /**
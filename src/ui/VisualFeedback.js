@@ -23,21 +23,24 @@ export class VisualFeedback {
     /**
      * Draw hand skeleton on 2D canvas overlay
      * @param {Object} results - MediaPipe hands results
+     * @param {Array} [targets] - Markers in MediaPipe coordinates [{x, y, depth, color}]
      */
-    drawHandOverlay(results) {
+    drawHandOverlay(results, targets = []) {
         if (!this.canvasCtx || !this.canvasElement) return;
 
         // Clear canvas
         this.canvasCtx.save();
         this.canvasCtx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
 
-        // Draw video frame (mirrored for user friendliness)
-        this.canvasCtx.drawImage(
-            results.image,
-            0, 0,
-            this.canvasElement.width,
-            this.canvasElement.height
-        );
+        // Draw video frame (mirrored for user friendliness), absent during replay
+        if (results.image) {
+            this.canvasCtx.drawImage(
+                results.image,
+                0, 0,
+                this.canvasElement.width,
+                this.canvasElement.height
+            );
+        }
 
         // Draw hand landmarks and connections
         if (results.multiHandLandmarks) {
@@ -65,9 +68,37 @@ export class VisualFeedback {
             }
         }
 
+        // Draw target markers (scene objects projected into camera space)
+        for (const target of targets) {
+            this.drawTargetMarker(target);
+        }
+
         this.canvasCtx.restore();
     }
 
+    /**
+     * Draw a crosshair ring at a MediaPipe position
+     * Ring size follows depth: closer to the camera = larger
+     * @param {Object} target - {x, y, depth (cm), color}
+     */
+    drawTargetMarker(target) {
+        const ctx = this.canvasCtx;
+        const x = target.x * this.canvasElement.width;
+        const y = target.y * this.canvasElement.height;
+        const radius = Math.max(4, Math.min(24, 1200 / (target.depth || 100)));
+
+        ctx.strokeStyle = target.color || '#FF6B9D';
+        ctx.lineWidth = 2;
+
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.moveTo(x - radius * 1.5, y);
+        ctx.lineTo(x + radius * 1.5, y);
+        ctx.moveTo(x, y - radius * 1.5);
+        ctx.lineTo(x, y + radius * 1.5);
+        ctx.stroke();
+    }
+
     /**
      * Show hand cursor in 3D space
      * @param {string} handId - Hand identifier
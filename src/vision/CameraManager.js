@@ -1,69 +1,81 @@
 /**
  * Camera Manager - WebRTC Camera Access
  * Handles camera initialization and provides video stream
+ *
+ * Owns the camera stream: device choice (remembered in localStorage),
+ * capture size, and recovery when the camera is unplugged. The video
+ * element stays the same across switches, so consumers only need to
+ * restart on 'camera-changed'.
+ *
+ * Events: 'camera-changed' {deviceId, label, width, height},
+ *         'camera-lost', 'camera-devices-changed' {devices, deviceId}
  */
 
+import { saveStored, loadStored } from '../state/LocalStore.js';
+
 export class CameraManager {
-    constructor() {
+    /**
+     * @param {EventBus} [eventBus] - Event bus for camera events
+     * @param {Object} [options]
+     * @param {string} [options.storageKey] - localStorage key for the chosen device
+     */
+    constructor(eventBus = null, options = {}) {
+        this.eventBus = eventBus;
+        this.storageKey = options.storageKey || 'handcraft3d-camera-device';
+
         this.stream = null;
         this.videoElement = null;
         this.isActive = false;
+
+        this.deviceId = null;
+        this.label = '';
+        this.width = 1280;
+        this.height = 720;
+
+        // Reconnect in progress (track ended / device plugged in)
+        this.isReconnecting = false;
+
+        this.onTrackEnded = () => this.handleDisconnect();
+        this.onDeviceChange = () => this.handleDeviceChange();
     }
 
     /**
      * Initialize camera with optimal settings
      * @param {HTMLVideoElement} videoElement - Video element to attach stream
+     * @param {Object} [options]
+     * @param {string} [options.deviceId] - Camera to use (default: last chosen)
+     * @param {number} [options.width] - Capture width
+     * @param {number} [options.height] - Capture height
      * @returns {Promise<MediaStream>} Camera stream
      */
-    async initialize(videoElement) {
+    async initialize(videoElement, options = {}) {
         this.videoElement = videoElement;
+        this.width = options.width || this.width;
+        this.height = options.height || this.height;
 
-        // Define camera constraints for optimal hand tracking
-        const constraints = {
-            video: {
-                width: { ideal: 1280, min: 640 },
-                height: { ideal: 720, min: 480 },
-                frameRate: { ideal: 60, min: 30 },
-                facingMode: 'user' // Front-facing camera
-            },
-            audio: false // No audio needed
-        };
+        const preferredId = options.deviceId || this.loadDeviceId();
 
         try {
             console.log('📷 Requesting camera access...');
 
-            // Request camera access
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-
-            // Attach stream to video element
-            this.videoElement.srcObject = this.stream;
-
-            // Wait for video metadata to load
-            await new Promise((resolve, reject) => {
-                this.videoElement.onloadedmetadata = () => {
-                    this.videoElement.play()
-                        .then(resolve)
-                        .catch(reject);
-                };
-
-                this.videoElement.onerror = () => {
-                    reject(new Error('Failed to load video'));
-                };
-
-                // Timeout after 10 seconds
-                setTimeout(() => {
-                    reject(new Error('Camera initialization timeout'));
-                }, 10000);
-            });
+            try {
+                await this.openStream(preferredId);
+            } catch (error) {
+                // Remembered camera unplugged since last session: take any camera
+                if (!preferredId || error.name === 'NotAllowedError') throw error;
+                console.warn('⚠️ Saved camera unavailable, using default:', error.message);
+                await this.openStream(null);
+            }
 
-            this.isActive = true;
+            navigator.mediaDevices.addEventListener('devicechange', this.onDeviceChange);
 
             console.log('✅ Camera initialized:', {
                 width: this.videoElement.videoWidth,
                 height: this.videoElement.videoHeight,
-                stream: this.stream
+                device: this.label
             });
 
+            this.refreshDevices();
             return this.stream;
 
         } catch (error) {
@@ -82,6 +94,249 @@ export class CameraManager {
         }
     }
 
+    /**
+     * Build getUserMedia constraints
+     * @param {string|null} deviceId - Specific camera, or null for the front camera
+     * @returns {MediaStreamConstraints}
+     */
+    buildConstraints(deviceId) {
+        return {
+            video: {
+                width: { ideal: this.width, min: 640 },
+                height: { ideal: this.height, min: 480 },
+                frameRate: { ideal: 60, min: 30 },
+                ...(deviceId
+                    ? { deviceId: { exact: deviceId } }
+                    : { facingMode: 'user' }) // Front-facing camera
+            },
+            audio: false // No audio needed
+        };
+    }
+
+    /**
+     * Open a camera and attach it to the video element (replaces the current stream)
+     * @param {string|null} deviceId - Camera to open, or null for the default
+     * @returns {Promise<void>}
+     */
+    async openStream(deviceId) {
+        this.releaseStream();
+
+        // Request camera access
+        const stream = await navigator.mediaDevices.getUserMedia(this.buildConstraints(deviceId));
+
+        // Attach stream to video element
+        this.stream = stream;
+        this.videoElement.srcObject = stream;
+
+        // Wait for video metadata to load
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error('Camera initialization timeout'));
+            }, 10000);
+
+            this.videoElement.onloadedmetadata = () => {
+                clearTimeout(timeout);
+                this.videoElement.play()
+                    .then(resolve)
+                    .catch(reject);
+            };
+
+            this.videoElement.onerror = () => {
+                clearTimeout(timeout);
+                reject(new Error('Failed to load video'));
+            };
+        });
+
+        // Unplugging the camera ends the track
+        const track = stream.getVideoTracks()[0];
+        track.addEventListener('ended', this.onTrackEnded);
+
+        this.deviceId = track.getSettings().deviceId || deviceId;
+        this.label = track.label || 'Camera';
+        this.isActive = true;
+    }
+
+    /**
+     * Stop the current stream without firing disconnect handling
+     */
+    releaseStream() {
+        if (!this.stream) return;
+
+        this.stream.getTracks().forEach(track => {
+            track.removeEventListener('ended', this.onTrackEnded);
+            track.stop();
+            console.log('🛑 Stopped camera track:', track.label);
+        });
+        this.stream = null;
+        this.isActive = false;
+    }
+
+    /**
+     * List available cameras
+     * @returns {Promise<Array>} [{deviceId, label}]
+     */
+    async enumerateDevices() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+
+        // Labels are empty until camera permission is granted
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Camera ${index + 1}`
+            }));
+    }
+
+    /**
+     * Enumerate cameras and announce the list
+     * @returns {Promise<Array>} [{deviceId, label}]
+     */
+    async refreshDevices() {
+        let devices = [];
+        try {
+            devices = await this.enumerateDevices();
+        } catch (error) {
+            console.warn('⚠️ Could not list cameras:', error);
+        }
+
+        this.emit('camera-devices-changed', { devices, deviceId: this.deviceId });
+        return devices;
+    }
+
+    /**
+     * Switch to another camera (user choice, remembered for next session)
+     * @param {string} deviceId - Camera to use
+     * @returns {Promise<void>}
+     */
+    async switchDevice(deviceId) {
+        const previousId = this.deviceId;
+
+        try {
+            await this.openStream(deviceId);
+        } catch (error) {
+            console.error('❌ Could not switch camera:', error);
+            // Back to the camera that worked
+            if (previousId) await this.openStream(previousId);
+            throw new Error(`Could not open camera: ${error.message}`);
+        }
+
+        this.saveDeviceId(this.deviceId);
+        console.log(`📷 Switched camera: ${this.label}`);
+        this.emitChanged();
+    }
+
+    /**
+     * Reopen the current camera at a new capture size
+     * @param {number} width - Capture width
+     * @param {number} height - Capture height
+     * @returns {Promise<void>}
+     */
+    async setResolution(width, height) {
+        if (width === this.width && height === this.height) return;
+
+        this.width = width;
+        this.height = height;
+
+        if (!this.videoElement) return;
+
+        await this.openStream(this.deviceId);
+        console.log(`📷 Camera restarted at ${this.videoElement.videoWidth}x${this.videoElement.videoHeight}`);
+        this.emitChanged();
+    }
+
+    /**
+     * Camera track ended (unplugged, revoked, driver crash)
+     */
+    handleDisconnect() {
+        console.warn('⚠️ Camera disconnected');
+        this.releaseStream();
+        this.emit('camera-lost');
+        this.reconnect();
+    }
+
+    /**
+     * Cameras plugged in or removed
+     */
+    async handleDeviceChange() {
+        const devices = await this.refreshDevices();
+        const preferredId = this.loadDeviceId();
+
+        // Chosen camera came back while running on a fallback
+        const preferredBack = preferredId && preferredId !== this.deviceId
+            && devices.some(device => device.deviceId === preferredId);
+
+        if (!this.isActive || preferredBack) {
+            this.reconnect();
+        }
+    }
+
+    /**
+     * Open the remembered camera if present, otherwise any camera
+     * Without cameras, waits for the next devicechange.
+     * @returns {Promise<void>}
+     */
+    async reconnect() {
+        if (this.isReconnecting || !this.videoElement) return;
+        this.isReconnecting = true;
+
+        try {
+            const devices = await this.enumerateDevices();
+            if (devices.length === 0) {
+                console.log('📷 No camera available, waiting for one to be connected');
+                return;
+            }
+
+            const preferredId = this.loadDeviceId();
+            const device = devices.find(d => d.deviceId === preferredId) || devices[0];
+
+            await this.openStream(device.deviceId);
+            console.log(`📷 Camera reconnected: ${this.label}`);
+            this.emitChanged();
+            this.refreshDevices();
+
+        } catch (error) {
+            // Device may still be busy; the next devicechange retries
+            console.warn('⚠️ Camera reconnect failed:', error.message);
+        } finally {
+            this.isReconnecting = false;
+        }
+    }
+
+    /**
+     * Announce the active camera
+     */
+    emitChanged() {
+        this.emit('camera-changed', {
+            deviceId: this.deviceId,
+            label: this.label,
+            ...this.getResolution()
+        });
+    }
+
+    /**
+     * Emit an event if an event bus is attached
+     */
+    emit(event, data) {
+        if (this.eventBus) this.eventBus.emit(event, data);
+    }
+
+    /**
+     * Remember the chosen camera
+     * @param {string} deviceId - Camera device id
+     */
+    saveDeviceId(deviceId) {
+        saveStored(this.storageKey, deviceId, 'camera choice');
+    }
+
+    /**
+     * Get the remembered camera
+     * @returns {string|null} Camera device id
+     */
+    loadDeviceId() {
+        const deviceId = loadStored(this.storageKey, 'camera choice');
+        return typeof deviceId === 'string' ? deviceId : null;
+    }
+
     /**
      * Get current video resolution
      * @returns {Object} Width and height
@@ -117,19 +372,13 @@ export class CameraManager {
      * Stop camera and release resources
      */
     dispose() {
-        if (this.stream) {
-            this.stream.getTracks().forEach(track => {
-                track.stop();
-                console.log('🛑 Stopped camera track:', track.label);
-            });
-            this.stream = null;
-        }
+        navigator.mediaDevices.removeEventListener('devicechange', this.onDeviceChange);
+        this.releaseStream();
 
         if (this.videoElement) {
             this.videoElement.srcObject = null;
         }
 
-        this.isActive = false;
         console.log('✅ Camera disposed');
     }
 }
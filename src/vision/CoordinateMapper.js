@@ -3,55 +3,84 @@
  * Maps camera space (MediaPipe) to 3D world space (Three.js)
  */
 
+// Hand coordinate ranges mapped onto the workspace bounds (uncalibrated).
+// input.*.min maps to the far/high/right end of the corresponding world axis.
+// depth is the hand-to-camera distance in cm (see HandDepthEstimator).
+const DEFAULT_INPUT_RANGES = {
+    x: { min: 0, max: 1 },
+    y: { min: 0, max: 1 },
+    depth: { min: 60, max: 160 }
+};
+
 export class CoordinateMapper {
     constructor(videoElement, workspaceBounds = null) {
         this.videoWidth = videoElement?.videoWidth || 1280;
         this.videoHeight = videoElement?.videoHeight || 720;
 
         // Define 3D workspace bounds (can be customized)
-        this.bounds = workspaceBounds || {
+        // bounds.input holds the hand ranges (set by WorkspaceCalibrator)
+        this.bounds = this.normalizeBounds(workspaceBounds || {
             x: { min: -10, max: 10 },
             y: { min: -10, max: 10 },
             z: { min: -10, max: 10 }
+        });
+    }
+
+    /**
+     * Fill in default input ranges for bounds that don't define them
+     * @param {Object} bounds - Workspace bounds
+     * @returns {Object} Bounds with input ranges
+     */
+    normalizeBounds(bounds) {
+        const input = bounds.input || {};
+
+        return {
+            ...bounds,
+            input: {
+                x: { ...(input.x || DEFAULT_INPUT_RANGES.x) },
+                y: { ...(input.y || DEFAULT_INPUT_RANGES.y) },
+                depth: { ...(input.depth || DEFAULT_INPUT_RANGES.depth) }
+            }
         };
     }
 
     /**
      * Convert MediaPipe normalized coordinates to Three.js world coordinates
-     * MediaPipe: x[0,1] (left to right), y[0,1] (top to bottom), z[-1,1] (relative depth)
+     * MediaPipe: x[0,1] (left to right), y[0,1] (top to bottom), depth (cm from camera)
      * Three.js: x[-10,10], y[-10,10], z[-10,10]
-     * @param {Object} landmark - MediaPipe landmark with x, y, z
+     * @param {Object} landmark - MediaPipe landmark with x, y and depth
+     *   (HandDepthEstimator.estimate() of the hand it belongs to)
      * @returns {Object} Three.js world position
      */
     mediaPipeToWorld(landmark) {
         // Depth-based mapping for intuitive cursor control:
         // Hand X (left-right) → World X (left-right)
         // Hand Y (up-down) → World Z (forward-back depth)
-        // Hand Z (MediaPipe depth) → World Y (height)
+        // Hand distance from camera → World Y (height)
+        const input = this.bounds.input;
 
         return {
-            // X: Map [0,1] to workspace X bounds (flip for natural mirroring)
+            // X: Map input X range to workspace X bounds (flip for natural mirroring)
             x: this.mapRange(
-                1 - landmark.x,
-                0, 1,
-                this.bounds.x.min,
-                this.bounds.x.max
+                landmark.x,
+                input.x.min, input.x.max,
+                this.bounds.x.max,
+                this.bounds.x.min
             ),
 
-            // Y: Use MediaPipe's depth (z) for world height
-            // MediaPipe z is roughly [-0.1, 0.1] for close hand, scale to world Y
+            // Y: Use hand distance for world height; closer = higher
             y: this.mapRange(
-                -landmark.z * 5, // Scale and invert
-                -1, 1,
-                this.bounds.y.min,
-                this.bounds.y.max
+                landmark.depth,
+                input.depth.min, input.depth.max,
+                this.bounds.y.max,
+                this.bounds.y.min
             ),
 
             // Z: Map hand Y to world depth (forward/back)
             // Moving hand down on screen = moving forward in 3D space
             z: this.mapRange(
                 landmark.y,
-                0, 1,
+                input.y.min, input.y.max,
                 this.bounds.z.max,  // Inverted: top of screen = far
                 this.bounds.z.min   // bottom of screen = close
             )
@@ -83,10 +112,10 @@ export class CoordinateMapper {
 
     /**
      * Update workspace bounds
-     * @param {Object} bounds - New workspace bounds
+     * @param {Object} bounds - New workspace bounds (optional input ranges)
      */
     updateBounds(bounds) {
-        this.bounds = bounds;
+        this.bounds = this.normalizeBounds(bounds);
     }
 
     /**
@@ -99,29 +128,37 @@ export class CoordinateMapper {
 
     /**
      * Convert world coordinates back to MediaPipe coordinates
-     * (useful for inverse operations)
+     * Exact inverse of mediaPipeToWorld (e.g. to project scene objects
+     * onto the camera overlay)
      * @param {Object} worldPos - Three.js world position
      * @returns {Object} MediaPipe normalized coordinates
      */
     worldToMediaPipe(worldPos) {
+        const input = this.bounds.input;
+
         return {
+            // X: World X back to hand X (undo mirroring)
             x: this.mapRange(
                 worldPos.x,
-                this.bounds.x.min,
                 this.bounds.x.max,
-                0, 1
-            ),
-            y: 1 - this.mapRange(
-                worldPos.y,
-                this.bounds.y.min,
-                this.bounds.y.max,
-                0, 1
+                this.bounds.x.min,
+                input.x.min, input.x.max
             ),
-            z: this.mapRange(
+
+            // Y: World depth back to hand Y (top of screen = far)
+            y: this.mapRange(
                 worldPos.z,
-                this.bounds.z.min,
                 this.bounds.z.max,
-                -1, 1
+                this.bounds.z.min,
+                input.y.min, input.y.max
+            ),
+
+            // Depth: World height back to hand distance (higher = closer)
+            depth: this.mapRange(
+                worldPos.y,
+                this.bounds.y.max,
+                this.bounds.y.min,
+                input.depth.min, input.depth.max
             )
         };
     }
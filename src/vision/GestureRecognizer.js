@@ -152,6 +152,15 @@ export class GestureRecognizer {
         return this.velocities.get(handId) || { x: 0, y: 0, z: 0 };
     }
 
+    /**
+     * Forget a hand's movement (hand left the view)
+     * @param {string} handId - Hand identifier ('left' or 'right')
+     */
+    resetMovement(handId) {
+        this.previousPositions.delete(handId);
+        this.velocities.delete(handId);
+    }
+
     /**
      * Detect rotation gesture (two-hand angle)
      * @param {Array} leftLandmarks - Left hand landmarks
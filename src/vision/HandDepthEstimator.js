@@ -0,0 +1,161 @@
+/**
+ * Hand Depth Estimator - Metric hand-to-camera distance
+ *
+ * MediaPipe's landmark z is relative to the wrist, so it says little about
+ * how far the hand is from the camera. Hand proportions do: with a pinhole
+ * camera, distance = focalLength * realSize / imageSize.
+ *
+ * Two measurements are used, palm width (index MCP → pinky MCP) and palm
+ * length (wrist → middle MCP). Turning the hand only shortens them in the
+ * image, which overestimates distance, so the smaller estimate wins.
+ *
+ * Default sizes are adult averages; calibrate() fits them to the user.
+ */
+
+import { saveStored, loadStored } from '../state/LocalStore.js';
+
+const PALM_WIDTH_LANDMARKS = [5, 17];  // Index MCP, pinky MCP
+const PALM_LENGTH_LANDMARKS = [0, 9];  // Wrist, middle MCP
+
+export class HandDepthEstimator {
+    /**
+     * @param {Object} [config]
+     * @param {number} [config.videoWidth=1280] - Camera image width (px)
+     * @param {number} [config.videoHeight=720] - Camera image height (px)
+     * @param {number} [config.fov=65] - Horizontal camera field of view (degrees)
+     * @param {number} [config.palmWidth=7.0] - Real palm width (cm)
+     * @param {number} [config.palmLength=9.0] - Real palm length (cm)
+     * @param {number} [config.near=60] - Closest working distance (cm)
+     * @param {number} [config.far=160] - Farthest working distance (cm)
+     * @param {string} [config.storageKey] - localStorage key for calibrated hand size
+     */
+    constructor(config = {}) {
+        this.videoWidth = config.videoWidth || 1280;
+        this.videoHeight = config.videoHeight || 720;
+        this.fov = config.fov ?? 65;
+
+        this.palmWidth = config.palmWidth ?? 7.0;
+        this.palmLength = config.palmLength ?? 9.0;
+
+        this.near = config.near ?? 60;
+        this.far = config.far ?? 160;
+
+        this.storageKey = config.storageKey || 'handcraft3d-hand-size';
+    }
+
+    /**
+     * Update camera resolution (call when video size changes)
+     * @param {number} width - Video width
+     * @param {number} height - Video height
+     */
+    updateResolution(width, height) {
+        this.videoWidth = width;
+        this.videoHeight = height;
+    }
+
+    /**
+     * Focal length from the field of view
+     * @returns {number} Focal length (px)
+     */
+    getFocalLength() {
+        const halfFov = (this.fov * Math.PI / 180) / 2;
+        return (this.videoWidth / 2) / Math.tan(halfFov);
+    }
+
+    /**
+     * Measure palm size in the image
+     * @param {Array} landmarks - Hand landmarks (21 points)
+     * @returns {Object} {width, length} in pixels
+     */
+    measure(landmarks) {
+        return {
+            width: this.pixelDistance(landmarks[PALM_WIDTH_LANDMARKS[0]], landmarks[PALM_WIDTH_LANDMARKS[1]]),
+            length: this.pixelDistance(landmarks[PALM_LENGTH_LANDMARKS[0]], landmarks[PALM_LENGTH_LANDMARKS[1]])
+        };
+    }
+
+    /**
+     * Estimate hand-to-camera distance
+     * @param {Array} landmarks - Hand landmarks (21 points)
+     * @returns {number|null} Distance (cm), or null without a usable hand
+     */
+    estimate(landmarks) {
+        if (!landmarks || landmarks.length < 21) return null;
+
+        const { width, length } = this.measure(landmarks);
+        const focalLength = this.getFocalLength();
+        const estimates = [];
+
+        if (width > 1) estimates.push(focalLength * this.palmWidth / width);
+        if (length > 1) estimates.push(focalLength * this.palmLength / length);
+
+        return estimates.length > 0 ? Math.min(...estimates) : null;
+    }
+
+    /**
+     * Position of a distance within the working range
+     * @param {number} distance - Distance (cm)
+     * @returns {number} 0 (near) to 1 (far), clamped
+     */
+    normalize(distance) {
+        const t = (distance - this.near) / (this.far - this.near);
+        return Math.max(0, Math.min(1, t));
+    }
+
+    /**
+     * Fit palm size to the user's hand
+     * Hold the open hand flat, facing the camera, at a known distance.
+     * @param {Array} landmarks - Hand landmarks (21 points)
+     * @param {number} distance - Actual hand-to-camera distance (cm)
+     * @returns {boolean} True if calibrated
+     */
+    calibrate(landmarks, distance) {
+        if (!landmarks || landmarks.length < 21 || !(distance > 0)) return false;
+
+        const { width, length } = this.measure(landmarks);
+        if (width <= 1 || length <= 1) return false;
+
+        const focalLength = this.getFocalLength();
+        this.palmWidth = width * distance / focalLength;
+        this.palmLength = length * distance / focalLength;
+
+        this.saveCalibration();
+        console.log(`📏 Hand size calibrated: palm ${this.palmWidth.toFixed(1)} x ${this.palmLength.toFixed(1)} cm`);
+        return true;
+    }
+
+    /**
+     * Save calibrated hand size
+     */
+    saveCalibration() {
+        saveStored(this.storageKey, {
+            palmWidth: this.palmWidth,
+            palmLength: this.palmLength
+        }, 'hand size');
+    }
+
+    /**
+     * Load calibrated hand size (call at startup)
+     * @returns {boolean} True if a calibration was loaded
+     */
+    loadCalibration() {
+        const saved = loadStored(this.storageKey, 'hand size');
+        if (!saved || !(saved.palmWidth > 0 && saved.palmLength > 0)) return false;
+
+        this.palmWidth = saved.palmWidth;
+        this.palmLength = saved.palmLength;
+        return true;
+    }
+
+    /**
+     * Distance between two landmarks in image pixels
+     * @param {Object} a - Landmark
+     * @param {Object} b - Landmark
+     * @returns {number} Distance (px)
+     */
+    pixelDistance(a, b) {
+        const dx = (a.x - b.x) * this.videoWidth;
+        const dy = (a.y - b.y) * this.videoHeight;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+}
@@ -0,0 +1,264 @@
+/**
+ * Hand Identity Tracker - Stable 'left'/'right' hand assignment
+ *
+ * MediaPipe's handedness label flips when hands cross or the image is
+ * mirrored, and a hand can vanish for a frame or two. This tracker:
+ * - matches detections to known hands by palm position (predicted with
+ *   each hand's velocity), so identities survive crossings and label flips
+ * - uses the handedness label only for hands that appear fresh
+ * - keeps a missing hand alive for a grace period, extrapolating its
+ *   landmarks, before declaring it lost
+ *
+ * Events: 'hand-lost' {handId}, 'hand-found' {handId}
+ */
+
+const HAND_IDS = ['left', 'right'];
+const PALM_LANDMARKS = [0, 5, 9, 13, 17];
+
+export class HandIdentityTracker {
+    /**
+     * @param {EventBus} eventBus - Event bus
+     * @param {Object} [config]
+     * @param {number} [config.gracePeriodMs=150] - How long a missing hand is predicted before it is lost
+     * @param {number} [config.maxMatchDistance=0.25] - Max palm movement per frame to keep identity (normalized)
+     * @param {number} [config.velocitySmoothing=0.5] - Velocity averaging factor (0-1)
+     */
+    constructor(eventBus, config = {}) {
+        this.eventBus = eventBus;
+        this.gracePeriodMs = config.gracePeriodMs ?? 150;
+        this.maxMatchDistance = config.maxMatchDistance ?? 0.25;
+        this.velocitySmoothing = config.velocitySmoothing ?? 0.5;
+
+        this.hands = new Map(); // handId -> {landmarks, center, velocity, lastSeen, isPredicted}
+    }
+
+    /**
+     * Assign this frame's detections to hand identities
+     * @param {Array} detections - [{landmarks, label}] from MediaPipe results
+     * @param {number} timestamp - Frame time (ms)
+     * @returns {Object} {left, right}: landmarks (measured or predicted) or null
+     */
+    update(detections, timestamp) {
+        const centers = detections.map(detection => this.getPalmCenter(detection.landmarks));
+        const assignment = this.matchDetections(centers, timestamp);
+
+        // Detections that didn't continue a known hand start a new one
+        const unmatched = detections
+            .map((detection, index) => index)
+            .filter(index => !Object.values(assignment).includes(index));
+
+        this.assignNewHands(unmatched, detections, centers, assignment);
+
+        for (const handId of HAND_IDS) {
+            if (assignment[handId] !== undefined) {
+                const index = assignment[handId];
+                this.observe(handId, detections[index].landmarks, centers[index], timestamp);
+            } else {
+                this.predict(handId, timestamp);
+            }
+        }
+
+        return {
+            left: this.hands.get('left')?.landmarks || null,
+            right: this.hands.get('right')?.landmarks || null
+        };
+    }
+
+    /**
+     * Match detections to known hands (minimum total palm distance)
+     * @param {Array} centers - Palm centers of detections
+     * @param {number} timestamp - Frame time (ms)
+     * @returns {Object} handId -> detection index
+     */
+    matchDetections(centers, timestamp) {
+        const known = HAND_IDS.filter(handId => this.hands.has(handId));
+        let best = { cost: Infinity, assignment: {} };
+
+        // At most two hands: try every assignment
+        const search = (handIndex, used, assignment, cost) => {
+            if (handIndex === known.length) {
+                // Prefer keeping more hands, then the shortest total movement
+                const score = cost - Object.keys(assignment).length * this.maxMatchDistance * 10;
+                if (score < best.cost) best = { cost: score, assignment: { ...assignment } };
+                return;
+            }
+
+            const handId = known[handIndex];
+            const expected = this.getExpectedCenter(handId, timestamp);
+
+            search(handIndex + 1, used, assignment, cost);
+
+            centers.forEach((center, index) => {
+                if (used.has(index)) return;
+
+                const distance = Math.hypot(center.x - expected.x, center.y - expected.y);
+                if (distance > this.maxMatchDistance) return;
+
+                used.add(index);
+                assignment[handId] = index;
+                search(handIndex + 1, used, assignment, cost + distance);
+                delete assignment[handId];
+                used.delete(index);
+            });
+        };
+
+        search(0, new Set(), {}, 0);
+        return best.assignment;
+    }
+
+    /**
+     * Give identities to hands that appeared this frame
+     * @param {Array} indices - Unmatched detection indices
+     * @param {Array} detections - Detections
+     * @param {Array} centers - Palm centers of detections
+     * @param {Object} assignment - handId -> detection index (updated)
+     */
+    assignNewHands(indices, detections, centers, assignment) {
+        const [a, b] = indices;
+        const bothFree = HAND_IDS.every(handId => assignment[handId] === undefined && !this.hands.has(handId));
+
+        // Two new hands with the same label: go by position instead
+        // ('Left' hands appear on the image right, see SyntheticHandSource)
+        if (indices.length === 2 && bothFree && detections[a].label === detections[b].label) {
+            const leftIndex = centers[a].x >= centers[b].x ? a : b;
+            assignment.left = leftIndex;
+            assignment.right = leftIndex === a ? b : a;
+            return;
+        }
+
+        for (const index of indices) {
+            const handId = this.getFreeHandId(detections[index].label, assignment);
+            if (handId) assignment[handId] = index;
+        }
+    }
+
+    /**
+     * Pick an identity for a new hand
+     * @param {string} label - MediaPipe handedness ('Left' / 'Right')
+     * @param {Object} assignment - Identities already taken this frame
+     * @returns {string|null} handId or null if both are taken
+     */
+    getFreeHandId(label, assignment) {
+        const preferred = label === 'Left' ? 'left' : 'right';
+        const other = preferred === 'left' ? 'right' : 'left';
+
+        const isFree = (handId) => assignment[handId] === undefined && !this.hands.has(handId);
+
+        if (isFree(preferred)) return preferred;
+        if (isFree(other)) return other;
+        return null;
+    }
+
+    /**
+     * Record a measured hand
+     */
+    observe(handId, landmarks, center, timestamp) {
+        const hand = this.hands.get(handId);
+
+        if (!hand) {
+            this.hands.set(handId, {
+                landmarks,
+                center,
+                velocity: { x: 0, y: 0 },
+                lastSeen: timestamp,
+                lastUpdate: timestamp,
+                isPredicted: false
+            });
+            this.eventBus.emit('hand-found', { handId });
+            return;
+        }
+
+        const dt = timestamp - hand.lastUpdate;
+        if (dt > 0) {
+            const k = this.velocitySmoothing;
+            hand.velocity = {
+                x: hand.velocity.x + k * ((center.x - hand.center.x) / dt - hand.velocity.x),
+                y: hand.velocity.y + k * ((center.y - hand.center.y) / dt - hand.velocity.y)
+            };
+        }
+
+        hand.landmarks = landmarks;
+        hand.center = center;
+        hand.lastSeen = timestamp;
+        hand.lastUpdate = timestamp;
+        hand.isPredicted = false;
+    }
+
+    /**
+     * Extrapolate a missing hand, or drop it once the grace period is over
+     */
+    predict(handId, timestamp) {
+        const hand = this.hands.get(handId);
+        if (!hand) return;
+
+        if (timestamp - hand.lastSeen > this.gracePeriodMs) {
+            this.hands.delete(handId);
+            this.eventBus.emit('hand-lost', { handId });
+            return;
+        }
+
+        // Move the last landmarks along the hand's velocity
+        const dt = Math.max(0, timestamp - hand.lastUpdate);
+        const dx = hand.velocity.x * dt;
+        const dy = hand.velocity.y * dt;
+
+        hand.landmarks = hand.landmarks.map(landmark => ({ ...landmark, x: landmark.x + dx, y: landmark.y + dy }));
+        hand.center = { x: hand.center.x + dx, y: hand.center.y + dy };
+        hand.lastUpdate = timestamp;
+        hand.isPredicted = true;
+    }
+
+    /**
+     * Where a known hand is expected this frame
+     */
+    getExpectedCenter(handId, timestamp) {
+        const hand = this.hands.get(handId);
+        const dt = Math.max(0, timestamp - hand.lastUpdate);
+
+        return {
+            x: hand.center.x + hand.velocity.x * dt,
+            y: hand.center.y + hand.velocity.y * dt
+        };
+    }
+
+    /**
+     * Palm center (wrist + finger bases)
+     * @param {Array} landmarks - Hand landmarks
+     * @returns {Object} {x, y}
+     */
+    getPalmCenter(landmarks) {
+        let x = 0;
+        let y = 0;
+        for (const index of PALM_LANDMARKS) {
+            x += landmarks[index].x;
+            y += landmarks[index].y;
+        }
+        return { x: x / PALM_LANDMARKS.length, y: y / PALM_LANDMARKS.length };
+    }
+
+    /**
+     * Check if a hand is currently extrapolated rather than measured
+     * @param {string} handId - 'left' or 'right'
+     * @returns {boolean}
+     */
+    isPredicted(handId) {
+        return this.hands.get(handId)?.isPredicted || false;
+    }
+
+    /**
+     * Drop all hands at once (input gone), emitting 'hand-lost' for each
+     */
+    loseAll() {
+        for (const handId of this.hands.keys()) {
+            this.eventBus.emit('hand-lost', { handId });
+        }
+        this.hands.clear();
+    }
+
+    /**
+     * Forget all hands (no events)
+     */
+    reset() {
+        this.hands.clear();
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * Hand Inference Worker - MediaPipe Hands off the main thread
+ *
+ * Loaded as a classic worker (MediaPipe loads its wasm with importScripts).
+ *
+ * Messages in:
+ *   { type: 'init', assetsBase, options }
+ *   { type: 'options', options }
+ *   { type: 'frame', image: ImageBitmap, frameId }
+ * Messages out:
+ *   { type: 'ready' }
+ *   { type: 'results', frameId, multiHandLandmarks, multiHandedness }
+ *   { type: 'error', message, frameId? }
+ */
+
+import { Hands } from '@mediapipe/hands';
+
+let hands = null;
+let currentFrameId = null;
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    if (message.type === 'init') {
+        try {
+            hands = new Hands({
+                locateFile: (file) => `${message.assetsBase}${file}`
+            });
+
+            await hands.setOptions(message.options);
+
+            hands.onResults((results) => {
+                self.postMessage({
+                    type: 'results',
+                    frameId: currentFrameId,
+                    multiHandLandmarks: results.multiHandLandmarks || [],
+                    multiHandedness: results.multiHandedness || []
+                });
+            });
+
+            await hands.initialize();
+            self.postMessage({ type: 'ready' });
+
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message || String(error) });
+        }
+        return;
+    }
+
+    if (message.type === 'options') {
+        try {
+            await hands.setOptions(message.options);
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message || String(error) });
+        }
+        return;
+    }
+
+    if (message.type === 'frame') {
+        currentFrameId = message.frameId;
+
+        try {
+            await hands.send({ image: message.image });
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message || String(error), frameId: message.frameId });
+        } finally {
+            message.image.close();
+        }
+    }
+};
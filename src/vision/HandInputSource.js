@@ -0,0 +1,87 @@
+/**
+ * Hand Input Source - Interface for anything that produces hand landmarks
+ *
+ * HandTracker delegates to one of these. Every source emits results in the
+ * MediaPipe Hands format:
+ *   { image, multiHandLandmarks: [[21 x {x, y, z}]], multiHandedness: [{index, score, label}] }
+ * so gesture detection never needs to know where the landmarks came from.
+ */
+
+export class HandInputSource {
+    /**
+     * @param {Object} config
+     * @param {Function} [config.onResults] - Receives MediaPipe-shaped results
+     */
+    constructor(config = {}) {
+        this.onResults = config.onResults || (() => { });
+        this.isRunning = false;
+        this.name = 'base';
+    }
+
+    /**
+     * Prepare the source (load models, attach listeners, ...)
+     * @returns {Promise<void>}
+     */
+    async initialize() { }
+
+    /**
+     * Start producing results
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.isRunning = true;
+    }
+
+    /**
+     * Stop producing results
+     */
+    stop() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.stop();
+    }
+
+    /**
+     * Pass results on to the consumer
+     * @param {Object} results - MediaPipe-shaped results
+     */
+    emitResults(results) {
+        this.onResults(results);
+    }
+
+    /**
+     * Update source options at runtime (sources that have any)
+     * @param {Object} options - Options to change
+     * @returns {Promise<void>}
+     */
+    async setOptions(options) { }
+
+    /**
+     * Get current source options
+     * @returns {Object} Options
+     */
+    getOptions() {
+        return {};
+    }
+
+    /**
+     * Get inference statistics (sources that run a model)
+     * @returns {Object|null} {mode, fps, latency, ...} or null
+     */
+    getInferenceStats() {
+        return null;
+    }
+
+    /**
+     * Check if source is producing results
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.isRunning;
+    }
+}
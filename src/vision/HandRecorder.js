@@ -0,0 +1,90 @@
+/**
+ * Hand Recorder - Capture MediaPipe results for offline replay
+ * Stores timestamped multiHandLandmarks/multiHandedness frames as JSON
+ */
+
+export class HandRecorder {
+    constructor() {
+        this.frames = [];
+        this.startTime = 0;
+        this.isRecording = false;
+    }
+
+    /**
+     * Start a new recording (drops any previous frames)
+     */
+    start() {
+        this.frames = [];
+        this.startTime = performance.now();
+        this.isRecording = true;
+        console.log('⏺️ Hand recording started');
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object} Recording (see toJSON)
+     */
+    stop() {
+        this.isRecording = false;
+        console.log(`⏹️ Hand recording stopped (${this.frames.length} frames)`);
+        return this.toJSON();
+    }
+
+    /**
+     * Record one MediaPipe results frame
+     * @param {Object} results - MediaPipe Hands results
+     */
+    record(results) {
+        if (!this.isRecording) return;
+
+        // Copy plain landmark data only (results.image is a live video frame)
+        this.frames.push({
+            t: Math.round(performance.now() - this.startTime),
+            multiHandLandmarks: (results.multiHandLandmarks || []).map(landmarks =>
+                landmarks.map(({ x, y, z }) => ({ x, y, z }))
+            ),
+            multiHandedness: (results.multiHandedness || []).map(({ index, score, label }) => ({
+                index,
+                score,
+                label
+            }))
+        });
+    }
+
+    /**
+     * Get recording as a plain object
+     * @returns {Object} {version, recordedAt, duration, frames}
+     */
+    toJSON() {
+        return {
+            version: 1,
+            recordedAt: new Date().toISOString(),
+            duration: this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0,
+            frames: this.frames
+        };
+    }
+
+    /**
+     * Download recording as a JSON file
+     * @param {string} filename - Output filename
+     */
+    download(filename = 'hand-recording.json') {
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        console.log(`💾 Hand recording saved: ${filename}`);
+    }
+
+    /**
+     * Get number of recorded frames
+     * @returns {number}
+     */
+    getFrameCount() {
+        return this.frames.length;
+    }
+}
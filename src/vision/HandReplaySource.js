@@ -0,0 +1,157 @@
+/**
+ * Hand Replay Source - Feed a HandRecorder recording back as MediaPipe results
+ * Lets gesture bugs be reproduced without a camera
+ */
+
+export class HandReplaySource {
+    /**
+     * @param {Object} config
+     * @param {Function} config.onResults - Receives MediaPipe-shaped results
+     * @param {Function} [config.onEnded] - Called when the recording has finished
+     * @param {number} [config.speed=1] - Playback speed (2 = twice as fast)
+     * @param {boolean} [config.loop=false] - Restart when finished
+     */
+    constructor(config = {}) {
+        this.onResults = config.onResults || (() => { });
+        this.onEnded = config.onEnded || (() => { });
+        this.speed = config.speed || 1;
+        this.loop = config.loop || false;
+
+        this.recording = null;
+        this.frameIndex = 0;
+        this.startTime = 0;
+        this.timer = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Load a recording
+     * @param {Object|string} recording - Recording object or its JSON text
+     */
+    load(recording) {
+        const data = typeof recording === 'string' ? JSON.parse(recording) : recording;
+
+        if (!data || !Array.isArray(data.frames)) {
+            throw new Error('Invalid hand recording: missing frames');
+        }
+
+        this.stop();
+        this.recording = data;
+        this.frameIndex = 0;
+
+        console.log(`📼 Hand recording loaded (${data.frames.length} frames, ${data.duration}ms)`);
+    }
+
+    /**
+     * Load a recording from a File (e.g. from a file input)
+     * @param {File} file - JSON file
+     * @returns {Promise<void>}
+     */
+    async loadFile(file) {
+        this.load(await file.text());
+    }
+
+    /**
+     * Start playback from the beginning
+     */
+    start() {
+        if (!this.recording) {
+            throw new Error('HandReplaySource has no recording. Call load() first.');
+        }
+
+        this.stop();
+        this.frameIndex = 0;
+        this.startTime = performance.now();
+        this.isRunning = true;
+
+        console.log(`▶️ Hand replay started (${this.speed}x)`);
+        this.scheduleNextFrame();
+    }
+
+    /**
+     * Stop playback
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.isRunning = false;
+    }
+
+    /**
+     * Set playback speed (takes effect from the next frame)
+     * @param {number} speed - Speed multiplier
+     */
+    setSpeed(speed) {
+        if (!(speed > 0)) return;
+
+        // Keep current position when changing speed mid-playback
+        if (this.isRunning && this.frameIndex > 0) {
+            const elapsed = this.recording.frames[this.frameIndex - 1].t;
+            this.startTime = performance.now() - elapsed / speed;
+        }
+        this.speed = speed;
+    }
+
+    /**
+     * Wait until the next frame is due, then emit it
+     */
+    scheduleNextFrame() {
+        const frames = this.recording.frames;
+
+        if (this.frameIndex >= frames.length) {
+            this.finish();
+            return;
+        }
+
+        const dueTime = this.startTime + frames[this.frameIndex].t / this.speed;
+        const delay = Math.max(0, dueTime - performance.now());
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (!this.isRunning) return;
+
+            this.emitFrame(frames[this.frameIndex]);
+            this.frameIndex++;
+            this.scheduleNextFrame();
+        }, delay);
+    }
+
+    /**
+     * Emit one recorded frame in MediaPipe results format
+     * @param {Object} frame - Recorded frame
+     */
+    emitFrame(frame) {
+        this.onResults({
+            image: null, // No video during replay
+            multiHandLandmarks: frame.multiHandLandmarks,
+            multiHandedness: frame.multiHandedness,
+            replayTime: frame.t
+        });
+    }
+
+    /**
+     * Handle end of recording
+     * @param {Object} [options]
+     * @param {boolean} [options.stopped=false] - Playback was stopped by the user, don't loop
+     */
+    finish({ stopped = false } = {}) {
+        if (!stopped && this.loop && this.recording.frames.length > 0) {
+            this.start();
+            return;
+        }
+
+        this.isRunning = false;
+        console.log('⏹️ Hand replay finished');
+        this.onEnded();
+    }
+
+    /**
+     * Check if replay is running
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.isRunning;
+    }
+}
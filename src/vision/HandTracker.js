@@ -1,68 +1,44 @@
 /**
- * Hand Tracker - MediaPipe Hands Integration
+ * Hand Tracker - Hand landmark input
  * Real-time hand detection and landmark tracking
+ *
+ * Landmarks come from a pluggable HandInputSource (MediaPipe webcam
+ * tracking by default, or e.g. SyntheticHandSource without a camera).
  */
 
-import { Hands } from '@mediapipe/hands';
-import { Camera } from '@mediapipe/camera_utils';
+import { MediaPipeHandSource } from './MediaPipeHandSource.js';
+import { HandRecorder } from './HandRecorder.js';
 
 export class HandTracker {
+    /**
+     * @param {Object} config
+     * @param {HTMLVideoElement} [config.videoElement] - Camera video (for the default MediaPipe source)
+     * @param {Function} [config.onResults] - Receives MediaPipe-shaped results
+     * @param {HandInputSource} [config.source] - Input source to use instead of MediaPipe
+     * @param {Object} [config.options] - MediaPipe options (see TrackerSettings)
+     */
     constructor(config = {}) {
         this.videoElement = config.videoElement;
         this.onResults = config.onResults || (() => { });
 
-        this.hands = null;
-        this.camera = null;
+        this.source = config.source || new MediaPipeHandSource({
+            videoElement: this.videoElement,
+            options: config.options
+        });
+        this.source.onResults = (results) => this.handleResults(results);
+
         this.isRunning = false;
+
+        // Captures live results for offline replay (see HandReplaySource)
+        this.recorder = new HandRecorder();
     }
 
     /**
-     * Initialize MediaPipe Hands
+     * Initialize the input source
      * @returns {Promise<void>}
      */
     async initialize() {
-        console.log('🤖 Initializing MediaPipe Hands...');
-
-        try {
-            // Create Hands instance
-            this.hands = new Hands({
-                locateFile: (file) => {
-                    // Use CDN for MediaPipe files
-                    return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
-                }
-            });
-
-            // Configure MediaPipe Hands
-            await this.hands.setOptions({
-                maxNumHands: 2,                  // Track both hands
-                modelComplexity: 1,              // 0=lite, 1=full (balance accuracy/speed)
-                minDetectionConfidence: 0.7,      // Higher = fewer false positives
-                minTrackingConfidence: 0.5,       // Lower = better tracking continuity
-                selfieMode: false                 // True would mirror, false for natural
-            });
-
-            // Set up results callback
-            this.hands.onResults((results) => {
-                this.onResults(results);
-            });
-
-            // Initialize camera utility
-            this.camera = new Camera(this.videoElement, {
-                onFrame: async () => {
-                    if (this.isRunning && this.hands) {
-                        await this.hands.send({ image: this.videoElement });
-                    }
-                },
-                width: 1280,
-                height: 720
-            });
-
-            console.log('✅ MediaPipe Hands initialized');
-
-        } catch (error) {
-            console.error('❌ MediaPipe initialization failed:', error);
-            throw new Error(`Failed to initialize hand tracking: ${error.message}`);
-        }
+        await this.source.initialize();
     }
 
     /**
@@ -70,14 +46,10 @@ export class HandTracker {
      * @returns {Promise<void>}
      */
     async start() {
-        if (!this.camera) {
-            throw new Error('HandTracker not initialized. Call initialize() first.');
-        }
-
         try {
-            await this.camera.start();
+            await this.source.start();
             this.isRunning = true;
-            console.log('✅ Hand tracking started');
+            console.log(`✅ Hand tracking started (${this.source.name})`);
         } catch (error) {
             console.error('❌ Failed to start hand tracking:', error);
             throw error;
@@ -88,25 +60,74 @@ export class HandTracker {
      * Stop hand tracking
      */
     stop() {
-        if (this.camera) {
-            this.camera.stop();
-        }
+        this.source.stop();
         this.isRunning = false;
         console.log('🛑 Hand tracking stopped');
     }
 
+    /**
+     * Forward results from the source (recording them if requested)
+     * @param {Object} results - MediaPipe-shaped results
+     */
+    handleResults(results) {
+        this.recorder.record(results);
+        this.onResults(results);
+    }
+
+    /**
+     * Start recording live results
+     */
+    startRecording() {
+        this.recorder.start();
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object} Recording
+     */
+    stopRecording() {
+        return this.recorder.stop();
+    }
+
+    /**
+     * Check if live results are being recorded
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.recorder.isRecording;
+    }
+
+    /**
+     * Change tracking options at runtime
+     * @param {Object} options - maxNumHands, modelComplexity, confidences
+     * @returns {Promise<void>}
+     */
+    async setOptions(options) {
+        await this.source.setOptions(options);
+    }
+
+    /**
+     * Get current tracking options
+     * @returns {Object} Options
+     */
+    getOptions() {
+        return this.source.getOptions();
+    }
+
+    /**
+     * Get inference statistics of the source
+     * @returns {Object|null} Stats, or null for sources without a model
+     */
+    getInferenceStats() {
+        return this.source.getInferenceStats();
+    }
+
     /**
      * Clean up resources
      */
     dispose() {
         this.stop();
-
-        if (this.hands) {
-            this.hands.close();
-            this.hands = null;
-        }
-
-        this.camera = null;
+        this.source.dispose();
         console.log('✅ HandTracker disposed');
     }
 
@@ -115,6 +136,6 @@ export class HandTracker {
      * @returns {boolean}
      */
     isActive() {
-        return this.isRunning && this.hands !== null;
+        return this.isRunning && this.source.isActive();
     }
 }
@@ -0,0 +1,116 @@
+/**
+ * Inference Scheduler - Adaptive frame pacing for hand inference
+ *
+ * Camera frames arrive faster than inference can handle on slow machines.
+ * The scheduler:
+ * - drops frames while an inference is still running (never queues)
+ * - skips frames to keep the send interval at measured latency x headroom,
+ *   leaving time for rendering instead of saturating the CPU/GPU
+ * - measures inference FPS and latency for the stats panel
+ */
+
+export class InferenceScheduler {
+    /**
+     * @param {Object} [config]
+     * @param {number} [config.maxFps=30] - Upper bound on inference rate
+     * @param {number} [config.minFps=5] - Lower bound (slowest pacing)
+     * @param {number} [config.headroom=1.25] - Interval / latency ratio
+     * @param {number} [config.smoothing=0.2] - Latency averaging factor (0-1)
+     */
+    constructor(config = {}) {
+        this.maxFps = config.maxFps ?? 30;
+        this.minFps = config.minFps ?? 5;
+        this.headroom = config.headroom ?? 1.25;
+        this.smoothing = config.smoothing ?? 0.2;
+
+        this.reset();
+    }
+
+    /**
+     * Decide whether to run inference on a new frame
+     * @param {number} now - Current time (ms)
+     * @returns {boolean} True to process the frame (then call begin/end)
+     */
+    shouldProcess(now) {
+        if (this.busy) {
+            this.droppedFrames++;
+            return false;
+        }
+
+        if (now - this.lastStart < this.interval) {
+            this.skippedFrames++;
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Mark inference as started
+     * @param {number} now - Current time (ms)
+     */
+    begin(now) {
+        this.busy = true;
+        this.lastStart = now;
+    }
+
+    /**
+     * Mark inference as finished and adapt the interval
+     * @param {number} now - Current time (ms)
+     */
+    end(now) {
+        if (!this.busy) return;
+        this.busy = false;
+
+        const latency = now - this.lastStart;
+        this.latency = this.latency === null
+            ? latency
+            : this.latency + this.smoothing * (latency - this.latency);
+
+        this.interval = Math.max(
+            1000 / this.maxFps,
+            Math.min(1000 / this.minFps, this.latency * this.headroom)
+        );
+
+        this.completions.push(now);
+        while (this.completions.length > 0 && now - this.completions[0] > 1000) {
+            this.completions.shift();
+        }
+    }
+
+    /**
+     * Inference results per second (last second)
+     * @param {number} [now] - Current time (ms)
+     * @returns {number}
+     */
+    getInferenceFps(now = performance.now()) {
+        return this.completions.filter(time => now - time <= 1000).length;
+    }
+
+    /**
+     * Get statistics
+     * @returns {Object} Stats
+     */
+    getStats() {
+        return {
+            fps: this.getInferenceFps(),
+            latency: this.latency,
+            interval: this.interval,
+            droppedFrames: this.droppedFrames,
+            skippedFrames: this.skippedFrames
+        };
+    }
+
+    /**
+     * Forget measurements
+     */
+    reset() {
+        this.busy = false;
+        this.lastStart = -Infinity;
+        this.latency = null;
+        this.interval = 1000 / this.maxFps;
+        this.completions = [];
+        this.droppedFrames = 0;
+        this.skippedFrames = 0;
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Kalman Filter - 1D constant-velocity model with short-term prediction
+ *
+ * State is [position, velocity]. Predicting a few milliseconds ahead
+ * compensates for camera + inference latency.
+ */
+
+export class KalmanFilter {
+    /**
+     * @param {Object} [config]
+     * @param {number} [config.processNoise=1.0] - Acceleration noise (units/s²)², higher = follows faster
+     * @param {number} [config.measurementNoise=1e-5] - Measurement noise variance, higher = smoother
+     * @param {number} [config.predictionMs=0] - How far ahead to extrapolate the output (ms)
+     */
+    constructor(config = {}) {
+        this.processNoise = config.processNoise ?? 1.0;
+        this.measurementNoise = config.measurementNoise ?? 1e-5;
+        this.predictionMs = config.predictionMs ?? 0;
+
+        this.reset();
+    }
+
+    /**
+     * Filter one sample
+     * @param {number} value - Measured value
+     * @param {number} timestamp - Sample time (ms)
+     * @returns {number} Filtered (and optionally predicted) value
+     */
+    filter(value, timestamp) {
+        if (this.lastTime === null) {
+            this.lastTime = timestamp;
+            this.x = value;
+            this.v = 0;
+            this.p = [this.measurementNoise, 0, 0, 1];
+            return value;
+        }
+
+        const dt = (timestamp - this.lastTime) / 1000;
+        if (dt > 0) {
+            this.lastTime = timestamp;
+            this.predict(dt);
+        }
+
+        this.update(value);
+
+        return this.x + this.v * (this.predictionMs / 1000);
+    }
+
+    /**
+     * Time update: x += v·dt, P = F·P·Fᵀ + Q
+     * @param {number} dt - Time step (s)
+     */
+    predict(dt) {
+        const [p00, p01, p10, p11] = this.p;
+        const q = this.processNoise;
+
+        this.x += this.v * dt;
+
+        this.p = [
+            p00 + dt * (p10 + p01) + dt * dt * p11 + q * dt ** 4 / 4,
+            p01 + dt * p11 + q * dt ** 3 / 2,
+            p10 + dt * p11 + q * dt ** 3 / 2,
+            p11 + q * dt * dt
+        ];
+    }
+
+    /**
+     * Measurement update (position is observed)
+     * @param {number} value - Measured position
+     */
+    update(value) {
+        const [p00, p01, p10, p11] = this.p;
+        const s = p00 + this.measurementNoise;
+        const k0 = p00 / s;
+        const k1 = p10 / s;
+        const residual = value - this.x;
+
+        this.x += k0 * residual;
+        this.v += k1 * residual;
+
+        this.p = [
+            (1 - k0) * p00,
+            (1 - k0) * p01,
+            p10 - k1 * p00,
+            p11 - k1 * p01
+        ];
+    }
+
+    /**
+     * Forget filter state
+     */
+    reset() {
+        this.lastTime = null;
+        this.x = 0;
+        this.v = 0;
+        this.p = [1, 0, 0, 1];
+    }
+}
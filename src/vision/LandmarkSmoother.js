@@ -0,0 +1,86 @@
+/**
+ * Landmark Smoother - Shared filter stage between hand tracking and gestures
+ *
+ * Filters x/y/z of all 21 landmarks of each hand independently with a
+ * One Euro filter (default) or a Kalman filter with short-term prediction.
+ * Each hand's filters are reset when it stops being tracked, so a hand
+ * re-entering the frame doesn't slide in from its last known position.
+ */
+
+import { OneEuroFilter } from './OneEuroFilter.js';
+import { KalmanFilter } from './KalmanFilter.js';
+
+export class LandmarkSmoother {
+    /**
+     * @param {Object} [config]
+     * @param {string} [config.method='oneEuro'] - 'oneEuro', 'kalman' or 'none'
+     * @param {Object} [config.oneEuro] - OneEuroFilter options
+     * @param {Object} [config.kalman] - KalmanFilter options
+     */
+    constructor(config = {}) {
+        this.hands = new Map(); // handId -> filters (21 landmarks x 3 axes)
+        this.setConfig(config);
+    }
+
+    /**
+     * Change filter configuration (resets all filter state)
+     * @param {Object} config - See constructor
+     */
+    setConfig(config = {}) {
+        this.config = {
+            method: config.method || 'oneEuro',
+            oneEuro: { ...config.oneEuro },
+            kalman: { ...config.kalman }
+        };
+        this.resetAll();
+    }
+
+    /**
+     * Filter landmarks of one hand
+     * @param {string} handId - Hand identifier ('left' or 'right')
+     * @param {Array} landmarks - Raw landmarks (21 points)
+     * @param {number} timestamp - Frame time (ms)
+     * @returns {Array} Filtered landmarks (new objects, raw input is untouched)
+     */
+    filter(handId, landmarks, timestamp) {
+        if (this.config.method === 'none') return landmarks;
+
+        let filters = this.hands.get(handId);
+        if (!filters) {
+            filters = landmarks.map(() => [this.createFilter(), this.createFilter(), this.createFilter()]);
+            this.hands.set(handId, filters);
+        }
+
+        return landmarks.map((landmark, i) => ({
+            ...landmark,
+            x: filters[i][0].filter(landmark.x, timestamp),
+            y: filters[i][1].filter(landmark.y, timestamp),
+            z: filters[i][2].filter(landmark.z, timestamp)
+        }));
+    }
+
+    /**
+     * Create one scalar filter for the configured method
+     * @returns {OneEuroFilter|KalmanFilter}
+     */
+    createFilter() {
+        return this.config.method === 'kalman'
+            ? new KalmanFilter(this.config.kalman)
+            : new OneEuroFilter(this.config.oneEuro);
+    }
+
+    /**
+     * Drop filter state of a hand (call when tracking is lost)
+     * @param {string} handId - Hand identifier
+     */
+    reset(handId) {
+        this.hands.delete(handId);
+    }
+
+    /**
+     * Drop filter state of all hands
+     */
+    resetAll() {
+        this.hands.clear();
+    }
+}
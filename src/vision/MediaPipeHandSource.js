@@ -0,0 +1,486 @@
+/**
+ * MediaPipe Hand Source - Webcam + MediaPipe Hands landmark input
+ *
+ * Inference runs in a Web Worker (HandInferenceWorker.js) fed with
+ * ImageBitmaps, so it doesn't compete with Three.js rendering. Browsers
+ * without worker support fall back to the main thread, and so does a
+ * worker that crashes or stops answering frames. Either way an
+ * InferenceScheduler paces frames to the measured inference latency.
+ *
+ * Frames are read from the video element, whose stream CameraManager owns
+ * (device choice, capture size, reconnects).
+ *
+ * Model and wasm files are served with the app (see vite.config.js), so no
+ * network access is needed. Set VITE_MEDIAPIPE_ASSETS_BASE to load them
+ * from elsewhere.
+ */
+
+import { Hands } from '@mediapipe/hands';
+import { HandInputSource } from './HandInputSource.js';
+import { InferenceScheduler } from './InferenceScheduler.js';
+
+const DEFAULT_ASSETS_BASE = import.meta.env.VITE_MEDIAPIPE_ASSETS_BASE
+    || `${import.meta.env.BASE_URL}mediapipe/hands/`;
+
+// Files checked before startup (graph, packed assets), plus the landmark model in use
+const REQUIRED_ASSETS = [
+    'hands.binarypb',
+    'hands_solution_packed_assets_loader.js'
+];
+
+// Landmark model by modelComplexity (0=lite, 1=full)
+const LANDMARK_MODELS = [
+    'hand_landmark_lite.tflite',
+    'hand_landmark_full.tflite'
+];
+
+const DEFAULT_HANDS_OPTIONS = {
+    maxNumHands: 2,                  // Track both hands
+    modelComplexity: 1,              // 0=lite, 1=full (balance accuracy/speed)
+    minDetectionConfidence: 0.7,      // Higher = fewer false positives
+    minTrackingConfidence: 0.5,       // Lower = better tracking continuity
+    selfieMode: false                 // Always raw camera coordinates, the app mirrors the view itself
+};
+
+// Options that can be changed from outside (tracker settings also hold
+// capture size and smoothing, which are applied elsewhere)
+const CONFIGURABLE_OPTIONS = ['maxNumHands', 'modelComplexity', 'minDetectionConfidence', 'minTrackingConfidence'];
+
+const WORKER_INIT_TIMEOUT_MS = 20000;
+
+// A frame unanswered this long means the worker is stuck: give up on it
+const WORKER_FRAME_TIMEOUT_MS = 3000;
+
+export class MediaPipeHandSource extends HandInputSource {
+    /**
+     * @param {Object} config
+     * @param {HTMLVideoElement} config.videoElement - Video element with the camera stream
+     * @param {Function} [config.onResults] - Receives MediaPipe results
+     * @param {string} [config.assetsBase] - URL prefix for MediaPipe files (locateFile)
+     * @param {boolean} [config.useWorker=true] - Run inference in a Web Worker when supported
+     * @param {Object} [config.scheduler] - InferenceScheduler options
+     * @param {Object} [config.options] - Hands options
+     */
+    constructor(config = {}) {
+        super(config);
+        this.name = 'mediapipe';
+        this.videoElement = config.videoElement;
+        this.assetsBase = (config.assetsBase || DEFAULT_ASSETS_BASE).replace(/\/?$/, '/');
+        this.useWorker = config.useWorker ?? true;
+
+        this.hands = null;   // Main-thread inference
+        this.worker = null;  // Off-thread inference
+        this.frameRequest = null;
+        this.lastVideoTime = -1;
+        this.isInitialized = false;
+
+        this.scheduler = new InferenceScheduler(config.scheduler);
+        this.frameId = 0;
+        this.pendingFrameId = null; // Frame the worker is working on, replies for others are stale
+        this.watchdogTimer = null;
+
+        this.options = { ...DEFAULT_HANDS_OPTIONS, ...this.pickOptions(config.options) };
+    }
+
+    /**
+     * Initialize MediaPipe Hands
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        console.log('🤖 Initializing MediaPipe Hands...');
+
+        // Fail early with a clear message instead of a wasm loader error
+        await this.checkAssets();
+
+        try {
+            if (this.useWorker && this.canUseWorker()) {
+                try {
+                    await this.initializeWorker();
+                } catch (error) {
+                    console.warn('⚠️ Worker inference unavailable, using main thread:', error.message);
+                    this.disposeWorker();
+                }
+            }
+
+            if (!this.worker) {
+                await this.initializeMainThread();
+            }
+
+            this.isInitialized = true;
+
+            console.log(`✅ MediaPipe Hands initialized (${this.worker ? 'worker' : 'main thread'})`);
+
+        } catch (error) {
+            console.error('❌ MediaPipe initialization failed:', error);
+            throw new Error(`Failed to initialize hand tracking: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update Hands options at runtime
+     * @param {Object} settings - Hands options (partial; other tracker settings are ignored)
+     * @returns {Promise<void>}
+     * @throws {Error} If the landmark model for a new modelComplexity is missing
+     */
+    async setOptions(settings = {}) {
+        const options = this.pickOptions(settings);
+
+        // Keep the current model running if the other one isn't served
+        if (options.modelComplexity !== undefined && options.modelComplexity !== this.options.modelComplexity) {
+            await this.checkAssets(options.modelComplexity);
+        }
+
+        this.options = { ...this.options, ...options };
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'options', options: this.options });
+        } else if (this.hands) {
+            await this.hands.setOptions(this.options);
+        }
+
+        // Latency changes with the model, measure again
+        this.scheduler.reset();
+    }
+
+    /**
+     * Keep only the Hands options that may be configured
+     * @param {Object} [settings] - Tracker settings or Hands options
+     * @returns {Object} Options
+     */
+    pickOptions(settings = {}) {
+        const options = {};
+        for (const key of CONFIGURABLE_OPTIONS) {
+            if (settings[key] !== undefined) options[key] = settings[key];
+        }
+        return options;
+    }
+
+    /**
+     * Get current Hands options
+     * @returns {Object} Options
+     */
+    getOptions() {
+        return { ...this.options };
+    }
+
+    /**
+     * Check if off-thread inference is possible in this browser
+     * @returns {boolean}
+     */
+    canUseWorker() {
+        return typeof Worker !== 'undefined' && typeof createImageBitmap === 'function';
+    }
+
+    /**
+     * Start the inference worker and wait until its models are loaded
+     * @returns {Promise<void>}
+     */
+    initializeWorker() {
+        return new Promise((resolve, reject) => {
+            // Classic worker: MediaPipe loads its wasm runtime with importScripts
+            this.worker = new Worker(new URL('./HandInferenceWorker.js', import.meta.url), { type: 'classic' });
+
+            const timeout = setTimeout(() => {
+                reject(new Error('Worker startup timed out'));
+            }, WORKER_INIT_TIMEOUT_MS);
+
+            this.worker.onmessage = (event) => {
+                const message = event.data;
+
+                if (message.type === 'ready') {
+                    clearTimeout(timeout);
+                    this.worker.onmessage = (e) => this.handleWorkerMessage(e.data);
+                    this.worker.onerror = (e) => {
+                        e.preventDefault();
+                        this.fallBackToMainThread(e.message || 'worker crashed');
+                    };
+                    resolve();
+                } else if (message.type === 'error') {
+                    clearTimeout(timeout);
+                    reject(new Error(message.message));
+                }
+            };
+
+            this.worker.onerror = (event) => {
+                clearTimeout(timeout);
+                reject(new Error(event.message || 'Worker failed to load'));
+            };
+
+            // Absolute URL: relative paths would resolve against the worker script
+            this.worker.postMessage({
+                type: 'init',
+                assetsBase: new URL(this.assetsBase, window.location.href).href,
+                options: this.options
+            });
+        });
+    }
+
+    /**
+     * Set up inference on the main thread
+     * @returns {Promise<void>}
+     */
+    async initializeMainThread() {
+        // Create Hands instance
+        this.hands = new Hands({
+            locateFile: (file) => `${this.assetsBase}${file}`
+        });
+
+        // Configure MediaPipe Hands
+        await this.hands.setOptions(this.options);
+
+        // Set up results callback
+        this.hands.onResults((results) => {
+            this.emitResults(results);
+        });
+
+        // Load graph and models now rather than on the first frame
+        await this.hands.initialize();
+    }
+
+    /**
+     * Poll the video element once per display frame
+     */
+    requestFrame() {
+        this.frameRequest = requestAnimationFrame(async () => {
+            if (!this.isRunning) return;
+
+            // Only new video frames, and none while a stream is being swapped
+            const video = this.videoElement;
+            if (video.readyState >= 2 && video.currentTime !== this.lastVideoTime) {
+                this.lastVideoTime = video.currentTime;
+                await this.processFrame();
+            }
+
+            if (this.isRunning) this.requestFrame();
+        });
+    }
+
+    /**
+     * Video frame callback: run inference if the scheduler allows it
+     * @returns {Promise<void>}
+     */
+    async processFrame() {
+        // Nothing to run on while switching from the worker to the main thread
+        if (!this.isRunning || (!this.worker && !this.hands)) return;
+
+        const now = performance.now();
+        if (!this.scheduler.shouldProcess(now)) return;
+
+        this.scheduler.begin(now);
+
+        if (this.worker) {
+            // Don't wait for results: the frame loop keeps running and the
+            // scheduler drops frames until the worker answers
+            try {
+                const image = await createImageBitmap(this.videoElement);
+                if (!this.worker || !this.isRunning) {
+                    // Worker dropped or tracking stopped while capturing
+                    image.close();
+                    this.scheduler.end(performance.now());
+                    return;
+                }
+
+                this.frameId++;
+                this.pendingFrameId = this.frameId;
+                this.worker.postMessage({ type: 'frame', image, frameId: this.frameId }, [image]);
+                this.startWatchdog();
+            } catch (error) {
+                this.scheduler.end(performance.now());
+                console.error('❌ Could not capture camera frame:', error);
+            }
+            return;
+        }
+
+        try {
+            await this.hands.send({ image: this.videoElement });
+        } finally {
+            this.scheduler.end(performance.now());
+        }
+    }
+
+    /**
+     * Handle results and errors from the inference worker
+     * @param {Object} message - Worker message
+     */
+    handleWorkerMessage(message) {
+        // Errors without a frame (e.g. options) don't end an inference
+        if (message.type === 'error' && message.frameId === undefined) {
+            console.error('❌ Hand inference worker error:', message.message);
+            return;
+        }
+
+        // Reply to a frame sent before stop() or given up on by the watchdog
+        if (message.frameId !== this.pendingFrameId) return;
+
+        this.pendingFrameId = null;
+        this.clearWatchdog();
+
+        if (message.type === 'results') {
+            this.scheduler.end(performance.now());
+
+            // The bitmap was transferred, overlay draws the live video instead
+            this.emitResults({
+                image: this.videoElement,
+                multiHandLandmarks: message.multiHandLandmarks,
+                multiHandedness: message.multiHandedness
+            });
+        } else if (message.type === 'error') {
+            this.scheduler.end(performance.now());
+            console.error('❌ Hand inference failed:', message.message);
+        }
+    }
+
+    /**
+     * Give up on the worker if the pending frame isn't answered in time
+     */
+    startWatchdog() {
+        this.clearWatchdog();
+        this.watchdogTimer = setTimeout(() => {
+            this.watchdogTimer = null;
+            this.fallBackToMainThread(`no result within ${WORKER_FRAME_TIMEOUT_MS} ms`);
+        }, WORKER_FRAME_TIMEOUT_MS);
+    }
+
+    /**
+     * Stop waiting for the pending frame
+     */
+    clearWatchdog() {
+        if (this.watchdogTimer !== null) {
+            clearTimeout(this.watchdogTimer);
+            this.watchdogTimer = null;
+        }
+    }
+
+    /**
+     * Drop a stuck or crashed worker and continue inference on the main thread
+     * @param {string} reason - Why the worker was dropped
+     * @returns {Promise<void>}
+     */
+    async fallBackToMainThread(reason) {
+        if (!this.worker) return;
+
+        console.warn(`⚠️ Worker inference failed (${reason}), switching to main thread`);
+
+        this.clearWatchdog();
+        this.pendingFrameId = null;
+        this.disposeWorker();
+        this.scheduler.end(performance.now());
+
+        try {
+            await this.initializeMainThread();
+            // Latency is different on the main thread, measure again
+            this.scheduler.reset();
+            console.log('✅ MediaPipe Hands running on main thread');
+        } catch (error) {
+            this.hands = null;
+            console.error('❌ Main-thread hand tracking failed:', error);
+        }
+    }
+
+    /**
+     * Get inference statistics
+     * @returns {Object} Scheduler stats plus {mode}
+     */
+    getInferenceStats() {
+        return {
+            mode: this.worker ? 'worker' : 'main',
+            ...this.scheduler.getStats()
+        };
+    }
+
+    /**
+     * Verify MediaPipe files are reachable at the configured base path
+     * @param {number} [modelComplexity] - Landmark model to check (defaults to the configured one)
+     * @returns {Promise<void>}
+     * @throws {Error} Listing missing files and how to fix it
+     */
+    async checkAssets(modelComplexity = this.options.modelComplexity) {
+        const missing = [];
+        const files = [...REQUIRED_ASSETS, LANDMARK_MODELS[modelComplexity === 0 ? 0 : 1]];
+
+        for (const file of files) {
+            try {
+                const response = await fetch(`${this.assetsBase}${file}`, { method: 'HEAD' });
+                const type = response.headers.get('Content-Type') || '';
+
+                // SPA fallbacks answer unknown paths with index.html
+                if (!response.ok || type.includes('text/html')) missing.push(file);
+            } catch (error) {
+                missing.push(file);
+            }
+        }
+
+        if (missing.length > 0) {
+            throw new Error(
+                `Hand tracking model files not found at ${this.assetsBase} (${missing.join(', ')}). ` +
+                'Rebuild with "npm run build" so they are copied into dist/, ' +
+                'or set VITE_MEDIAPIPE_ASSETS_BASE to where they are hosted.'
+            );
+        }
+    }
+
+    /**
+     * Start camera frames flowing into MediaPipe
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (!this.isInitialized) {
+            throw new Error('MediaPipeHandSource not initialized. Call initialize() first.');
+        }
+
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.lastVideoTime = -1;
+        this.requestFrame();
+    }
+
+    /**
+     * Stop camera frames (the camera itself keeps running)
+     */
+    stop() {
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+        this.isRunning = false;
+
+        // A frame still in the worker must not end the next run's inference
+        this.clearWatchdog();
+        this.pendingFrameId = null;
+        this.scheduler.reset();
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.stop();
+
+        if (this.hands) {
+            this.hands.close();
+            this.hands = null;
+        }
+
+        this.disposeWorker();
+        this.isInitialized = false;
+    }
+
+    /**
+     * Terminate the inference worker
+     */
+    disposeWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Check if tracking is active
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.isRunning && (this.hands !== null || this.worker !== null);
+    }
+}
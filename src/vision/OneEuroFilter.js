@@ -0,0 +1,71 @@
+/**
+ * One Euro Filter - Speed-adaptive low-pass filter
+ *
+ * Casiez et al. (CHI 2012): the cutoff frequency rises with speed, so slow
+ * movements are smoothed heavily (no jitter) and fast movements pass with
+ * little lag.
+ */
+
+export class OneEuroFilter {
+    /**
+     * @param {Object} [config]
+     * @param {number} [config.minCutoff=1.0] - Cutoff at rest (Hz), lower = smoother
+     * @param {number} [config.beta=30] - Speed coefficient, higher = less lag when moving
+     * @param {number} [config.dCutoff=1.0] - Cutoff for the speed estimate (Hz)
+     */
+    constructor(config = {}) {
+        this.minCutoff = config.minCutoff ?? 1.0;
+        this.beta = config.beta ?? 30; // Tuned for normalized (0-1) image coordinates
+        this.dCutoff = config.dCutoff ?? 1.0;
+
+        this.reset();
+    }
+
+    /**
+     * Filter one sample
+     * @param {number} value - Raw value
+     * @param {number} timestamp - Sample time (ms)
+     * @returns {number} Filtered value
+     */
+    filter(value, timestamp) {
+        if (this.lastTime === null) {
+            this.lastTime = timestamp;
+            this.x = value;
+            this.dx = 0;
+            return value;
+        }
+
+        const dt = (timestamp - this.lastTime) / 1000;
+        if (dt <= 0) return this.x;
+        this.lastTime = timestamp;
+
+        // Smoothed speed drives the cutoff
+        const rawDx = (value - this.x) / dt;
+        this.dx += this.alpha(dt, this.dCutoff) * (rawDx - this.dx);
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.dx);
+        this.x += this.alpha(dt, cutoff) * (value - this.x);
+
+        return this.x;
+    }
+
+    /**
+     * Smoothing factor for an exponential low-pass filter
+     * @param {number} dt - Time step (s)
+     * @param {number} cutoff - Cutoff frequency (Hz)
+     * @returns {number} Alpha in (0, 1]
+     */
+    alpha(dt, cutoff) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    /**
+     * Forget filter state
+     */
+    reset() {
+        this.lastTime = null;
+        this.x = 0;
+        this.dx = 0;
+    }
+}
@@ -0,0 +1,324 @@
+/**
+ * Synthetic Hand Source - Camera-free hand landmarks
+ *
+ * Builds 21-point MediaPipe-style landmark sets from poses ('open',
+ * 'pinch', 'fist') so every gesture path can be driven without hardware.
+ *
+ * Input:
+ * - Mouse moves the right hand, mouse wheel changes its distance (hand size)
+ * - Space: pinch, F: fist
+ * - Hold Shift: show the left hand where the mouse was (two-hand gestures),
+ *   Space then pinches both hands
+ * - [ / ]: scripted swipe left / right with both hands
+ * - playScript(): scripted trajectories (keyframes)
+ */
+
+import { HandInputSource } from './HandInputSource.js';
+
+// Landmark offsets per pose, in units of hand size, for a right hand
+// (fingers pointing up, thumb on the -x side; y grows downward like MediaPipe)
+const POSES = {
+    open: [
+        [0, 0],                                                     // 0 wrist
+        [-0.15, -0.1], [-0.3, -0.2], [-0.4, -0.32], [-0.48, -0.42], // 1-4 thumb
+        [-0.15, -0.45], [-0.17, -0.65], [-0.18, -0.78], [-0.19, -0.9], // 5-8 index
+        [0, -0.48], [0, -0.7], [0, -0.84], [0, -0.97],              // 9-12 middle
+        [0.13, -0.45], [0.15, -0.64], [0.16, -0.77], [0.17, -0.88], // 13-16 ring
+        [0.25, -0.4], [0.29, -0.55], [0.31, -0.65], [0.33, -0.74]   // 17-20 pinky
+    ],
+    pinch: [
+        [0, 0],
+        [-0.15, -0.1], [-0.28, -0.25], [-0.34, -0.42], [-0.33, -0.58],
+        [-0.15, -0.45], [-0.2, -0.62], [-0.28, -0.64], [-0.33, -0.6],
+        [0, -0.48], [0, -0.7], [0, -0.84], [0, -0.97],
+        [0.13, -0.45], [0.15, -0.64], [0.16, -0.77], [0.17, -0.88],
+        [0.25, -0.4], [0.29, -0.55], [0.31, -0.65], [0.33, -0.74]
+    ],
+    fist: [
+        [0, 0],
+        [-0.15, -0.1], [-0.25, -0.2], [-0.25, -0.4], [-0.15, -0.6],
+        [-0.15, -0.45], [-0.17, -0.55], [-0.12, -0.38], [-0.08, -0.22],
+        [0, -0.48], [0, -0.58], [0.02, -0.42], [0.02, -0.24],
+        [0.13, -0.45], [0.15, -0.55], [0.13, -0.4], [0.12, -0.25],
+        [0.25, -0.4], [0.28, -0.48], [0.25, -0.36], [0.22, -0.26]
+    ]
+};
+
+export class SyntheticHandSource extends HandInputSource {
+    /**
+     * @param {Object} config
+     * @param {HTMLElement|Window} [config.element=window] - Element receiving mouse input
+     * @param {Function} [config.onResults] - Receives MediaPipe-shaped results
+     * @param {number} [config.fps=30] - Frames emitted per second
+     * @param {number} [config.handSize=0.2] - Wrist-to-fingertip length (normalized image units)
+     * @param {number} [config.aspect=16/9] - Image aspect ratio, keeps hand proportions metric
+     */
+    constructor(config = {}) {
+        super(config);
+        this.name = 'synthetic';
+        this.element = config.element || window;
+        this.fps = config.fps || 30;
+        this.handSize = config.handSize || 0.2;
+        this.aspect = config.aspect || 16 / 9;
+
+        // Interactive hand state (normalized image coordinates, scale = apparent size)
+        this.pointer = { x: 0.5, y: 0.5, scale: 1 };
+        this.pose = 'open';
+        this.leftAnchor = null; // Left hand position while Shift is held
+
+        // Scripted playback
+        this.script = null;
+        this.scriptStart = 0;
+        this.scriptLoop = false;
+
+        this.timer = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Attach mouse/keyboard listeners
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        const keys = new Set();
+
+        const updatePose = () => {
+            this.pose = keys.has('f') ? 'fist' : keys.has(' ') ? 'pinch' : 'open';
+        };
+
+        this.listen(this.element, 'mousemove', (event) => {
+            const rect = this.element.getBoundingClientRect
+                ? this.element.getBoundingClientRect()
+                : { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+
+            // Camera images are not mirrored, so screen-right is image-left
+            this.pointer.x = 1 - (event.clientX - rect.left) / rect.width;
+            this.pointer.y = (event.clientY - rect.top) / rect.height;
+        });
+
+        // Larger hand = closer to the camera (HandDepthEstimator); kept within
+        // sizes the gesture detectors' absolute thresholds accept
+        this.listen(this.element, 'wheel', (event) => {
+            this.pointer.scale = Math.max(0.75, Math.min(1.3, this.pointer.scale - Math.sign(event.deltaY) * 0.05));
+        });
+
+        this.listen(window, 'keydown', (event) => {
+            if (this.isTypingTarget(event.target) || event.ctrlKey || event.metaKey) return;
+
+            const key = event.key.toLowerCase();
+
+            if (key === 'shift' && !this.leftAnchor) {
+                this.leftAnchor = { ...this.pointer };
+            }
+            if (key === '[' || key === ']') {
+                this.playScript(this.createSwipeScript(key === '[' ? 'left' : 'right'));
+            }
+            if (key === ' ') event.preventDefault();
+
+            keys.add(key);
+            updatePose();
+        });
+
+        this.listen(window, 'keyup', (event) => {
+            const key = event.key.toLowerCase();
+
+            if (key === 'shift') this.leftAnchor = null;
+
+            keys.delete(key);
+            updatePose();
+        });
+
+        console.log('🖱️ Synthetic hands: mouse = right hand, Space = pinch, F = fist, Shift = left hand, [ ] = swipe');
+    }
+
+    /**
+     * Start emitting frames
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.stop();
+        this.isRunning = true;
+        this.timer = setInterval(() => this.emitFrame(), 1000 / this.fps);
+    }
+
+    /**
+     * Stop emitting frames
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.isRunning = false;
+    }
+
+    /**
+     * Remove listeners
+     */
+    dispose() {
+        this.stop();
+
+        for (const { target, type, handler } of this.listeners) {
+            target.removeEventListener(type, handler);
+        }
+        this.listeners = [];
+    }
+
+    /**
+     * Play a scripted trajectory (overrides mouse input until finished)
+     *
+     * Keyframe format: { t: ms, hands: [{ label: 'Left'|'Right', x, y, scale, pose }] }
+     * Positions are interpolated linearly between keyframes, poses switch at keyframes.
+     *
+     * @param {Array} keyframes - Keyframes sorted by t
+     * @param {Object} [options] - {loop}
+     */
+    playScript(keyframes, options = {}) {
+        if (!keyframes || keyframes.length === 0) return;
+
+        this.script = keyframes;
+        this.scriptStart = performance.now();
+        this.scriptLoop = options.loop || false;
+    }
+
+    /**
+     * Stop scripted playback (back to mouse input)
+     */
+    stopScript() {
+        this.script = null;
+    }
+
+    /**
+     * Build a two-hand swipe script
+     * @param {string} direction - 'left' or 'right' (screen direction)
+     * @returns {Array} Keyframes
+     */
+    createSwipeScript(direction) {
+        // Fast enough for SwipeDetector's per-frame velocity threshold at 30 fps;
+        // screen-right is image-left (see mousemove)
+        const dx = direction === 'right' ? -0.5 : 0.5;
+        const y = this.pointer.y;
+
+        return [
+            { t: 0, hands: [
+                { label: 'Left', x: 0.6 - dx / 2, y, pose: 'open' },
+                { label: 'Right', x: 0.4 - dx / 2, y, pose: 'open' }
+            ] },
+            { t: 50, hands: [
+                { label: 'Left', x: 0.6 - dx / 2, y, pose: 'open' },
+                { label: 'Right', x: 0.4 - dx / 2, y, pose: 'open' }
+            ] },
+            { t: 170, hands: [
+                { label: 'Left', x: 0.6 + dx / 2, y, pose: 'open' },
+                { label: 'Right', x: 0.4 + dx / 2, y, pose: 'open' }
+            ] }
+        ];
+    }
+
+    /**
+     * Get hands for the current frame
+     * @returns {Array} Hands [{label, x, y, z, pose}]
+     */
+    getCurrentHands() {
+        if (this.script) {
+            const hands = this.sampleScript(performance.now() - this.scriptStart);
+            if (hands) return hands;
+        }
+
+        const hands = [{ label: 'Right', ...this.pointer, pose: this.pose }];
+
+        if (this.leftAnchor) {
+            // Fist only applies to the mouse hand; pinch drives both for two-hand gestures
+            hands.push({ label: 'Left', ...this.leftAnchor, pose: this.pose === 'pinch' ? 'pinch' : 'open' });
+        }
+
+        return hands;
+    }
+
+    /**
+     * Sample the active script
+     * @param {number} time - Time since script start (ms)
+     * @returns {Array|null} Hands, or null when the script has finished
+     */
+    sampleScript(time) {
+        const frames = this.script;
+        const duration = frames[frames.length - 1].t;
+
+        if (time > duration) {
+            if (!this.scriptLoop || duration === 0) {
+                this.script = null;
+                return null;
+            }
+            time %= duration;
+        }
+
+        let next = frames.findIndex(frame => frame.t >= time);
+        if (next <= 0) return frames[0].hands;
+
+        const a = frames[next - 1];
+        const b = frames[next];
+        const alpha = (time - a.t) / (b.t - a.t);
+
+        return a.hands.map((hand) => {
+            const target = b.hands.find(other => other.label === hand.label);
+            if (!target) return hand;
+
+            return {
+                ...hand,
+                x: hand.x + (target.x - hand.x) * alpha,
+                y: hand.y + (target.y - hand.y) * alpha,
+                scale: (hand.scale || 1) + ((target.scale || 1) - (hand.scale || 1)) * alpha
+            };
+        });
+    }
+
+    /**
+     * Emit one frame of results
+     */
+    emitFrame() {
+        const hands = this.getCurrentHands();
+
+        this.emitResults({
+            image: null,
+            multiHandLandmarks: hands.map(hand => this.createLandmarks(hand)),
+            multiHandedness: hands.map((hand, index) => ({ index, score: 1, label: hand.label }))
+        });
+    }
+
+    /**
+     * Build 21 landmarks for a hand
+     * @param {Object} hand - {label, x, y, scale, pose}; x/y = middle of the palm
+     * @returns {Array} Landmarks [{x, y, z}]
+     */
+    createLandmarks(hand) {
+        const offsets = POSES[hand.pose] || POSES.open;
+        const mirror = hand.label === 'Left' ? -1 : 1;
+        const size = this.handSize * (hand.scale || 1);
+
+        // Anchor on the palm (between wrist and middle MCP) so poses don't jump
+        const wristX = hand.x;
+        const wristY = hand.y + size * 0.25;
+
+        // x is a fraction of the (wider) image width
+        return offsets.map(([dx, dy]) => ({
+            x: wristX + dx * size * mirror / this.aspect,
+            y: wristY + dy * size,
+            z: 0
+        }));
+    }
+
+    /**
+     * Register a DOM listener (removed on dispose)
+     */
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    /**
+     * Check if a key event comes from a text input
+     */
+    isTypingTarget(target) {
+        return target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+    }
+}
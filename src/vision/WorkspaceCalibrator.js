@@ -0,0 +1,275 @@
+/**
+ * Workspace Calibrator - Fit hand reach to the 3D workspace
+ *
+ * The user pinches at corners of their comfortable reach. For every world
+ * axis a linear mapping (scale + offset) is fitted by least squares from
+ * the hand coordinate driving that axis, and stored as input ranges in the
+ * CoordinateMapper bounds. The result is saved as a per-user profile in
+ * localStorage and applied again at startup.
+ *
+ * Hand → world axes (see CoordinateMapper.mediaPipeToWorld):
+ *   landmark x → world x, hand distance (depth) → world y, landmark y → world z
+ */
+
+import { saveStored, loadStored, removeStored } from '../state/LocalStore.js';
+
+const PROFILE_VERSION = 2;
+
+// Which hand coordinate drives each world axis
+const AXIS_SOURCES = { x: 'x', y: 'depth', z: 'y' };
+
+// Corners to pinch (world extremes). Four corners of a tetrahedron cover
+// the min and max of every axis twice.
+const TARGETS = [
+    { x: 'min', y: 'min', z: 'min' },
+    { x: 'max', y: 'max', z: 'min' },
+    { x: 'max', y: 'min', z: 'max' },
+    { x: 'min', y: 'max', z: 'max' }
+];
+
+// Frames a pinch must be held before release counts as a sample
+const MIN_SAMPLE_FRAMES = 5;
+
+export class WorkspaceCalibrator {
+    /**
+     * @param {CoordinateMapper} coordinateMapper - Mapper to calibrate
+     * @param {EventBus} eventBus - Event bus
+     * @param {Object} [options]
+     * @param {string} [options.storageKey] - localStorage key for the profile
+     */
+    constructor(coordinateMapper, eventBus, options = {}) {
+        this.coordinateMapper = coordinateMapper;
+        this.eventBus = eventBus;
+        this.storageKey = options.storageKey || 'handcraft3d-workspace-profile';
+
+        // Calibration state
+        this.active = false;
+        this.stepIndex = 0;
+        this.samples = [];
+        this.currentFrames = [];
+        this.wasPinched = false;
+    }
+
+    /**
+     * Start the calibration flow
+     */
+    start() {
+        this.active = true;
+        this.stepIndex = 0;
+        this.samples = [];
+        this.currentFrames = [];
+        this.wasPinched = false;
+
+        console.log('🎯 Workspace calibration started');
+        this.emitStep();
+    }
+
+    /**
+     * Abort calibration (keeps the current mapping)
+     */
+    cancel() {
+        if (!this.active) return;
+
+        this.active = false;
+        console.log('🎯 Workspace calibration cancelled');
+        this.eventBus.emit('calibration-cancelled');
+    }
+
+    /**
+     * Feed pinch state while calibrating
+     *
+     * A sample is the average pinch position while held, taken on release.
+     *
+     * @param {Object} pinch - GestureRecognizer.detectPinch() result, position with depth
+     */
+    update(pinch) {
+        if (!this.active || !pinch) return;
+
+        if (pinch.isPinched) {
+            this.currentFrames.push(pinch.position);
+        } else if (this.wasPinched) {
+            if (this.currentFrames.length >= MIN_SAMPLE_FRAMES) {
+                this.addSample(this.averagePosition(this.currentFrames));
+            }
+            this.currentFrames = [];
+        }
+
+        this.wasPinched = pinch.isPinched;
+    }
+
+    /**
+     * Store sample for the current target and advance
+     * @param {Object} position - Hand position {x, y, depth}
+     */
+    addSample(position) {
+        this.samples.push({ target: TARGETS[this.stepIndex], position });
+        this.stepIndex++;
+
+        if (this.stepIndex < TARGETS.length) {
+            this.emitStep();
+            return;
+        }
+
+        this.finish();
+    }
+
+    /**
+     * Fit the mapping from collected samples, apply and save it
+     */
+    finish() {
+        this.active = false;
+
+        const bounds = this.fitBounds(this.samples, this.coordinateMapper.getBounds());
+
+        if (!bounds) {
+            console.warn('⚠️ Calibration failed: corners too close together');
+            this.eventBus.emit('calibration-failed', { reason: 'degenerate-samples' });
+            return;
+        }
+
+        this.coordinateMapper.updateBounds(bounds);
+        this.saveProfile(bounds);
+
+        console.log('✅ Workspace calibrated', bounds.input);
+        this.eventBus.emit('calibration-complete', { bounds });
+    }
+
+    /**
+     * Fit per-axis linear mappings (least squares)
+     * @param {Array} samples - [{target, position}]
+     * @param {Object} currentBounds - Current world bounds
+     * @returns {Object|null} Bounds with fitted input ranges, or null if degenerate
+     */
+    fitBounds(samples, currentBounds) {
+        const input = {};
+
+        for (const [worldAxis, handAxis] of Object.entries(AXIS_SOURCES)) {
+            const range = currentBounds[worldAxis];
+            const hand = samples.map(sample => sample.position[handAxis]);
+            const world = samples.map(sample => range[sample.target[worldAxis]]);
+
+            // world = scale * hand + offset
+            const n = samples.length;
+            const meanHand = hand.reduce((sum, v) => sum + v, 0) / n;
+            const meanWorld = world.reduce((sum, v) => sum + v, 0) / n;
+
+            let covariance = 0;
+            let variance = 0;
+            for (let i = 0; i < n; i++) {
+                covariance += (hand[i] - meanHand) * (world[i] - meanWorld);
+                variance += (hand[i] - meanHand) ** 2;
+            }
+
+            if (variance < 1e-6) return null;
+
+            const scale = covariance / variance;
+            const offset = meanWorld - scale * meanHand;
+
+            // Hand values that map to the ends of the world range
+            // (mediaPipeToWorld maps input.min → world max, input.max → world min)
+            input[handAxis] = {
+                min: (range.max - offset) / scale,
+                max: (range.min - offset) / scale
+            };
+        }
+
+        return {
+            x: { ...currentBounds.x },
+            y: { ...currentBounds.y },
+            z: { ...currentBounds.z },
+            input
+        };
+    }
+
+    /**
+     * Average a list of positions
+     * @param {Array} positions - Positions {x, y, depth}
+     * @returns {Object} Average position
+     */
+    averagePosition(positions) {
+        const sum = positions.reduce(
+            (acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y, depth: acc.depth + p.depth }),
+            { x: 0, y: 0, depth: 0 }
+        );
+        return { x: sum.x / positions.length, y: sum.y / positions.length, depth: sum.depth / positions.length };
+    }
+
+    /**
+     * Announce current calibration step
+     */
+    emitStep() {
+        const target = TARGETS[this.stepIndex];
+
+        this.eventBus.emit('calibration-step', {
+            index: this.stepIndex,
+            total: TARGETS.length,
+            target,
+            instruction: this.describeTarget(target)
+        });
+    }
+
+    /**
+     * Describe a target corner in terms of hand movement
+     * @param {Object} target - {x, y, z} of 'min'/'max'
+     * @returns {string} Instruction
+     */
+    describeTarget(target) {
+        const side = target.x === 'max' ? 'right' : 'left';
+        const height = target.z === 'max' ? 'high' : 'low';
+        const depth = target.y === 'max' ? 'close to' : 'far from';
+
+        return `Pinch and release with your hand to the ${side}, ${height} in the camera view, ${depth} the camera`;
+    }
+
+    /**
+     * Save calibrated bounds as the user's profile
+     * @param {Object} bounds - Calibrated bounds
+     */
+    saveProfile(bounds) {
+        saveStored(this.storageKey, {
+            version: PROFILE_VERSION,
+            createdAt: Date.now(),
+            bounds
+        }, 'workspace profile');
+    }
+
+    /**
+     * Load the saved profile
+     * @returns {Object|null} Profile {version, createdAt, bounds} or null
+     */
+    loadProfile() {
+        const profile = loadStored(this.storageKey, 'workspace profile');
+        if (profile && profile.version === PROFILE_VERSION && profile.bounds && profile.bounds.input) {
+            return profile;
+        }
+        return null;
+    }
+
+    /**
+     * Apply the saved profile to the mapper (call at startup)
+     * @returns {boolean} True if a profile was applied
+     */
+    applySavedProfile() {
+        const profile = this.loadProfile();
+        if (!profile) return false;
+
+        this.coordinateMapper.updateBounds(profile.bounds);
+        console.log('🎯 Workspace profile loaded');
+        return true;
+    }
+
+    /**
+     * Delete the saved profile
+     */
+    clearProfile() {
+        removeStored(this.storageKey, 'workspace profile');
+    }
+
+    /**
+     * Check if calibration is running
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.active;
+    }
+}
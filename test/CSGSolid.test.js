@@ -0,0 +1,64 @@
+/**
+ * CSGSolid booleans on rotated, curved meshes: splitting their polygons
+ * makes thin slivers, which must keep a plane and not break the BSP tree
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { CSGSolid } from '../src/modeling/CSGSolid.js';
+
+// Small deterministic generator, so failures can be reproduced
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+function createMesh(geometry, random) {
+    const mesh = new THREE.Mesh(geometry);
+    mesh.position.set(random() - 0.5, random() - 0.5, random() - 0.5);
+    mesh.rotation.set(random() * Math.PI, random() * Math.PI, random() * Math.PI);
+    return mesh;
+}
+
+function createShapes(random) {
+    return [
+        createMesh(new THREE.BoxGeometry(2, 1.5, 1), random),
+        createMesh(new THREE.SphereGeometry(1, 12, 8), random),
+        createMesh(new THREE.CylinderGeometry(0.8, 0.8, 2, 12), random)
+    ];
+}
+
+function assertValidSolid(solid, label) {
+    assert.ok(!solid.isEmpty(), `${label}: empty result`);
+    for (const polygon of solid.polygons) {
+        assert.ok(polygon.plane, `${label}: polygon without a plane`);
+    }
+    assert.ok(solid.toGeometry().getAttribute('position').count > 0, `${label}: no triangles`);
+}
+
+test('union, subtract and intersect of rotated non-box meshes', () => {
+    const random = createRandom(42);
+
+    for (let round = 0; round < 20; round++) {
+        const shapes = createShapes(random);
+
+        for (let i = 0; i < shapes.length; i++) {
+            for (let j = 0; j < shapes.length; j++) {
+                if (i === j) continue;
+
+                const a = CSGSolid.fromMesh(shapes[i]);
+                const b = CSGSolid.fromMesh(shapes[j]);
+                const label = `round ${round}, shapes ${i}/${j}`;
+
+                assertValidSolid(a.union(b), `${label} union`);
+                assertValidSolid(a.subtract(b), `${label} subtract`);
+                assertValidSolid(a.intersect(b), `${label} intersect`);
+            }
+        }
+    }
+});
@@ -0,0 +1,112 @@
+/**
+ * CoordinateMapper round trips: worldToMediaPipe must undo mediaPipeToWorld
+ * (and the reverse) for the default and for calibrated bounds
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CoordinateMapper } from '../src/vision/CoordinateMapper.js';
+import { WorkspaceCalibrator } from '../src/vision/WorkspaceCalibrator.js';
+
+const EPSILON = 1e-9;
+
+const HAND_POINTS = [
+    { x: 0, y: 0, depth: 60 },
+    { x: 1, y: 1, depth: 160 },
+    { x: 0.5, y: 0.5, depth: 110 },
+    { x: 0.23, y: 0.81, depth: 72.5 },
+    { x: -0.1, y: 1.2, depth: 200 } // Outside the input ranges
+];
+
+const WORLD_POINTS = [
+    { x: -10, y: -10, z: -10 },
+    { x: 10, y: 10, z: 10 },
+    { x: 0, y: 0, z: 0 },
+    { x: 3.7, y: -8.2, z: 5.5 },
+    { x: 14, y: -12, z: 11 } // Outside the workspace
+];
+
+function assertClose(actual, expected, keys) {
+    for (const key of keys) {
+        assert.ok(
+            Math.abs(actual[key] - expected[key]) < EPSILON,
+            `${key}: expected ${expected[key]}, got ${actual[key]}`
+        );
+    }
+}
+
+function assertRoundTrips(mapper) {
+    for (const point of HAND_POINTS) {
+        const back = mapper.worldToMediaPipe(mapper.mediaPipeToWorld(point));
+        assertClose(back, point, ['x', 'y', 'depth']);
+    }
+
+    for (const point of WORLD_POINTS) {
+        const back = mapper.mediaPipeToWorld(mapper.worldToMediaPipe(point));
+        assertClose(back, point, ['x', 'y', 'z']);
+    }
+}
+
+// Pinches at the calibration corners, as a user with a smaller, shifted reach would make them
+function calibrationSamples(bounds) {
+    const corners = [
+        { x: 'min', y: 'min', z: 'min' },
+        { x: 'max', y: 'max', z: 'min' },
+        { x: 'max', y: 'min', z: 'max' },
+        { x: 'min', y: 'max', z: 'max' }
+    ];
+    const reach = {
+        x: { min: 0.8, max: 0.3 },   // Mirrored: world min is on the camera's right
+        depth: { min: 130, max: 70 }, // Higher = closer
+        y: { min: 0.7, max: 0.25 }    // World z max = top of the image
+    };
+
+    return corners.map((target, i) => ({
+        target,
+        position: {
+            x: reach.x[target.x] + 0.01 * i,
+            depth: reach.depth[target.y] - 0.5 * i,
+            y: reach.y[target.z] + 0.005 * i
+        }
+    }));
+}
+
+test('default bounds round-trip hand and world positions', () => {
+    assertRoundTrips(new CoordinateMapper(null));
+});
+
+test('default bounds map the hand ranges onto the workspace corners', () => {
+    const mapper = new CoordinateMapper(null);
+
+    assertClose(mapper.mediaPipeToWorld({ x: 0, y: 0, depth: 60 }), { x: 10, y: 10, z: 10 }, ['x', 'y', 'z']);
+    assertClose(mapper.mediaPipeToWorld({ x: 1, y: 1, depth: 160 }), { x: -10, y: -10, z: -10 }, ['x', 'y', 'z']);
+});
+
+test('calibrated bounds round-trip hand and world positions', () => {
+    const mapper = new CoordinateMapper(null);
+    const calibrator = new WorkspaceCalibrator(mapper, null);
+
+    const bounds = calibrator.fitBounds(calibrationSamples(mapper.getBounds()), mapper.getBounds());
+    assert.ok(bounds, 'calibration samples should fit');
+
+    mapper.updateBounds(bounds);
+    assert.notDeepEqual(mapper.getBounds().input, new CoordinateMapper(null).getBounds().input);
+
+    assertRoundTrips(mapper);
+});
+
+test('calibrated bounds round-trip with custom workspace bounds', () => {
+    const mapper = new CoordinateMapper(null, {
+        x: { min: -30, max: 30 },
+        y: { min: 0, max: 24 },
+        z: { min: -15, max: 45 }
+    });
+    const calibrator = new WorkspaceCalibrator(mapper, null);
+
+    const bounds = calibrator.fitBounds(calibrationSamples(mapper.getBounds()), mapper.getBounds());
+    assert.ok(bounds, 'calibration samples should fit');
+
+    mapper.updateBounds(bounds);
+    assertRoundTrips(mapper);
+});
@@ -0,0 +1,61 @@
+/**
+ * GestureTrainer.fromJSON: a hand-edited or corrupt gesture file must load
+ * its usable samples and drop the rest instead of throwing or storing NaN
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GestureTrainer } from '../src/gestures/GestureTrainer.js';
+
+// save() writes the loaded set to localStorage
+globalThis.localStorage = { getItem: () => null, setItem: () => {} };
+
+function createTrainer() {
+    return new GestureTrainer({ emit: () => {} });
+}
+
+function createSample(value = 0.5) {
+    return new Array(63).fill(value);
+}
+
+test('skips labels whose samples are not a list', () => {
+    const trainer = createTrainer();
+
+    const loaded = trainer.fromJSON({
+        format: 'handcraft3d-gestures',
+        version: 1,
+        gestures: { peace: [createSample()], broken: 'oops', empty: null, counted: { 0: createSample() } }
+    });
+
+    assert.equal(loaded, 1);
+    assert.deepEqual(trainer.getLabels(), [{ label: 'peace', count: 1 }]);
+});
+
+test('rejects samples with non-finite or non-numeric values', () => {
+    const trainer = createTrainer();
+    const withNull = createSample();
+    withNull[10] = null;
+    const withText = createSample();
+    withText[20] = '0.5';
+
+    // The short last sample gets a 63rd value, 1e999, which parses to Infinity
+    const json = JSON.stringify({
+        format: 'handcraft3d-gestures',
+        version: 1,
+        gestures: { peace: [createSample(), withNull, withText, createSample().slice(1)] }
+    }).replace(']]}', ',1e999]]}');
+
+    trainer.fromJSON(json);
+
+    const samples = trainer.samples.get('peace');
+    assert.equal(samples.length, 1);
+    assert.ok(samples.every(sample => sample.every(Number.isFinite)));
+});
+
+test('throws on files that are not gesture sets', () => {
+    const trainer = createTrainer();
+
+    assert.throws(() => trainer.fromJSON({ format: 'handcraft3d-gestures', gestures: null }), /Not a HandCraft3D gesture set/);
+    assert.throws(() => trainer.fromJSON({ gestures: {} }), /Not a HandCraft3D gesture set/);
+});
@@ -0,0 +1,55 @@
+/**
+ * LocalStore: saved preferences must never break startup, whatever
+ * localStorage holds or however it fails
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { saveStored, loadStored, removeStored } from '../src/state/LocalStore.js';
+
+function useStorage(items = {}) {
+    globalThis.localStorage = {
+        getItem: (key) => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = value; },
+        removeItem: (key) => { delete items[key]; }
+    };
+    return items;
+}
+
+function useBlockedStorage() {
+    const blocked = () => { throw new Error('SecurityError'); };
+    globalThis.localStorage = { getItem: blocked, setItem: blocked, removeItem: blocked };
+}
+
+// Warnings are expected here, keep the test output clean
+console.warn = () => {};
+
+test('saves and loads values as JSON', () => {
+    const items = useStorage();
+
+    saveStored('size', { width: 8.4 }, 'hand size');
+
+    assert.equal(items.size, '{"width":8.4}');
+    assert.deepEqual(loadStored('size', 'hand size'), { width: 8.4 });
+    assert.equal(loadStored('missing', 'hand size'), null);
+
+    removeStored('size', 'hand size');
+    assert.equal(loadStored('size', 'hand size'), null);
+});
+
+test('treats unreadable values and failed restores as nothing saved', () => {
+    useStorage({ broken: '{oops', saved: '{"version":1}' });
+
+    assert.equal(loadStored('broken', 'bindings'), null);
+    assert.equal(loadStored('saved', 'bindings', () => { throw new Error('bad set'); }), null);
+    assert.equal(loadStored('saved', 'bindings', saved => saved.version), 1);
+});
+
+test('carries on when localStorage is blocked', () => {
+    useBlockedStorage();
+
+    assert.doesNotThrow(() => saveStored('size', 1, 'hand size'));
+    assert.doesNotThrow(() => removeStored('size', 'hand size'));
+    assert.equal(loadStored('size', 'hand size'), null);
+});
@@ -0,0 +1,63 @@
+/**
+ * VoxelGridSystem.raycast: the grid ray march must find the first voxel
+ * along a ray, report the face it entered and stop when nothing is ahead
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { VoxelGridSystem } from '../src/core/VoxelGridSystem.js';
+
+const EPSILON = 1e-9;
+
+function createGrid(cells) {
+    const grid = new VoxelGridSystem(3);
+    for (const [x, y, z] of cells) {
+        grid.setVoxel(x, y, z, `${x},${y},${z}`);
+    }
+    return grid;
+}
+
+test('hits the nearest voxel and the face the ray entered', () => {
+    const grid = createGrid([[0, 0, 0], [0, 0, -2]]);
+
+    const hit = grid.raycast({ x: 0, y: 0, z: 30 }, { x: 0, y: 0, z: -1 });
+
+    assert.equal(hit.voxel, '0,0,0');
+    assert.deepEqual(hit.gridPosition, { x: 0, y: 0, z: 0 });
+    assert.deepEqual(hit.normal, { x: 0, y: 0, z: 1 });
+    assert.ok(Math.abs(hit.distance - 28.5) < EPSILON);
+    assert.ok(Math.abs(hit.point.z - 1.5) < EPSILON);
+});
+
+test('follows diagonal rays across chunk borders', () => {
+    const grid = createGrid([[20, -17, 5]]);
+    const target = grid.gridToWorld({ x: 20, y: -17, z: 5 });
+
+    const hit = grid.raycast(
+        { x: 0, y: 0, z: 0 },
+        { x: target.x - 1.4, y: target.y + 1.4, z: target.z }
+    );
+
+    assert.equal(hit.voxel, '20,-17,5');
+    assert.ok(hit.normal.x === -1 || hit.normal.y === 1);
+});
+
+test('reports a zero normal when the ray starts inside a voxel', () => {
+    const grid = createGrid([[1, 1, 1]]);
+
+    const hit = grid.raycast({ x: 3.2, y: 2.9, z: 3 }, { x: 1, y: 0, z: 0 });
+
+    assert.equal(hit.voxel, '1,1,1');
+    assert.deepEqual(hit.normal, { x: 0, y: 0, z: 0 });
+    assert.equal(hit.distance, 0);
+});
+
+test('misses when nothing is ahead or within range', () => {
+    const grid = createGrid([[0, 0, 0]]);
+
+    assert.equal(grid.raycast({ x: 0, y: 0, z: 30 }, { x: 0, y: 0, z: 1 }), null);
+    assert.equal(grid.raycast({ x: 0, y: 10, z: 30 }, { x: 0, y: 0, z: -1 }), null);
+    assert.equal(grid.raycast({ x: 0, y: 0, z: 30 }, { x: 0, y: 0, z: -1 }, 20), null);
+    assert.equal(new VoxelGridSystem(3).raycast({ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }), null);
+});
@@ -1,6 +1,53 @@
 import { defineConfig } from 'vite';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// MediaPipe Hands runtime files (graph, models, wasm) requested via locateFile
+const MEDIAPIPE_HANDS_DIR = path.resolve('node_modules/@mediapipe/hands');
+const MEDIAPIPE_ASSETS_PATH = 'mediapipe/hands';
+const MEDIAPIPE_ASSET_PATTERN = /\.(wasm|data|tflite|binarypb)$|_(loader|bin)\.js$/;
+
+const CONTENT_TYPES = {
+    '.wasm': 'application/wasm',
+    '.js': 'text/javascript'
+};
+
+/**
+ * Serve MediaPipe Hands assets in dev and copy them into the build,
+ * so hand tracking works without network access
+ */
+function mediapipeAssets() {
+    const listAssets = () => fs.readdirSync(MEDIAPIPE_HANDS_DIR)
+        .filter(file => MEDIAPIPE_ASSET_PATTERN.test(file));
+
+    return {
+        name: 'handcraft3d-mediapipe-assets',
+
+        configureServer(server) {
+            server.middlewares.use((req, res, next) => {
+                const match = req.url.match(new RegExp(`/${MEDIAPIPE_ASSETS_PATH}/([^?]+)`));
+                if (!match || !listAssets().includes(match[1])) return next();
+
+                const type = CONTENT_TYPES[path.extname(match[1])] || 'application/octet-stream';
+                res.setHeader('Content-Type', type);
+                fs.createReadStream(path.join(MEDIAPIPE_HANDS_DIR, match[1])).pipe(res);
+            });
+        },
+
+        generateBundle() {
+            for (const file of listAssets()) {
+                this.emitFile({
+                    type: 'asset',
+                    fileName: `${MEDIAPIPE_ASSETS_PATH}/${file}`,
+                    source: fs.readFileSync(path.join(MEDIAPIPE_HANDS_DIR, file))
+                });
+            }
+        }
+    };
+}
 
 export default defineConfig({
+    plugins: [mediapipeAssets()],
     server: {
         port: 5173,
         open: true,
@@ -13,12 +60,12 @@ export default defineConfig({
             output: {
                 manualChunks: {
                     'three': ['three'],
-                    'mediapipe': ['@mediapipe/hands', '@mediapipe/camera_utils', '@mediapipe/drawing_utils']
+                    'mediapipe': ['@mediapipe/hands', '@mediapipe/drawing_utils']
                 }
             }
         }
     },
     optimizeDeps: {
-        include: ['three', '@mediapipe/hands', '@mediapipe/camera_utils', '@mediapipe/drawing_utils']
+        include: ['three', '@mediapipe/hands', '@mediapipe/drawing_utils']
     }
 });